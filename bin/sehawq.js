@@ -42,6 +42,11 @@ ${c.b}Commands:${c.r}
   export [--csv]    Export data as JSON/CSV
   import <file>     Import data from JSON file
   migrate           Run pending migrations
+  restore [time]    Rebuild DB as of a past time (lists restore points if no time)
+  restore <backup>  Replace the DB with a backup: a file, a name or 'latest' (checksum verified)
+  backup [dest]     Write a backup (default <name>.backups/), --list to list them
+                    --target s3://bucket/prefix (or a dir) also uploads there;
+                    with restore/--list it reads from there instead
   status            Show DB stats
 
 ${c.b}Examples:${c.r}
@@ -49,6 +54,10 @@ ${c.b}Examples:${c.r}
   ${c.d}$ sehawq start${c.r}
   ${c.d}$ sehawq export > backup.json${c.r}
   ${c.d}$ sehawq import data.json${c.r}
+  ${c.d}$ sehawq restore 2024-05-01T12:00:00Z --path ./data/sehawq.json${c.r}
+  ${c.d}$ sehawq backup /mnt/backups/${c.r}
+  ${c.d}$ AWS_ENDPOINT_URL=http://localhost:9000 sehawq backup --target s3://backups/prod${c.r}
+  ${c.d}$ sehawq restore latest --target s3://backups/prod${c.r}
 `);
 }
 
@@ -230,6 +239,7 @@ function cmdMigrate() {
             const status = db.migrationStatus();
             if (status.pending === 0) {
                 ok('no pending migrations');
+                db.stop(); // releases the lock too
             } else {
                 info(`${status.pending} migrations pending...`);
                 db.runMigrations().then(n => {
@@ -237,6 +247,10 @@ function cmdMigrate() {
                     db.stop();
                 });
             }
+        }).catch(e => {
+            // most likely the server still has the db open (lock file)
+            warn('migration error: ' + e.message);
+            process.exitCode = 1;
         });
     } catch (e) {
         warn('migration error: ' + e.message);
@@ -245,6 +259,94 @@ function cmdMigrate() {
     }
 }
 
+function cmdRestore() {
+    const target = args[1] && !args[1].startsWith('--') ? args[1] : null;
+    const dbPath = args.includes('--path') ? args[args.indexOf('--path') + 1] : './data/sehawq.json';
+
+    // talk to the files directly, server should be stopped for this
+    const Database = require('../src/core/Database');
+    const db = new Database({ path: dbPath, autoSave: false, archive: true });
+    const remote = args.includes('--target') ? args[args.indexOf('--target') + 1] : null;
+
+    if (!target && !remote) {
+        // just list, no need to open (and re-snapshot) the db for that
+        db.listArchives().then(({ snapshots, segments }) => {
+            if (!snapshots.length) return warn('no archived snapshots found (is `archive: true` enabled?)');
+            log(`${c.bold}Restore points${c.r} ${c.d}(${segments.length} WAL segments)${c.r}`);
+            for (const s of snapshots) log(`  ${new Date(s.ts).toISOString()}  ${c.d}${s.file}${c.r}`);
+        }).catch(e => warn('restore error: ' + e.message));
+        return;
+    }
+
+    // a backup ('latest', a name from `backup --list` or a file), not a
+    // point in time
+    if (remote || target === 'latest' || /^backup-\d+\.json$/.test(target) || fs.existsSync(target)) {
+        db.init().then(async () => {
+            info(`Restoring from ${remote ? `${target || 'latest'} on ${remote}` : target}...`);
+            const r = await db.restore(target || 'latest', remote ? { target: remote } : {});
+            ok(`${r.size} records restored (backup from ${new Date(r.ts).toISOString()})`);
+        }).catch(e => {
+            warn('restore error: ' + e.message);
+            process.exitCode = 1;
+        }).finally(() => db.close());
+        return;
+    }
+
+    db.init().then(async () => {
+        // accept epoch ms or anything Date can parse
+        const ts = /^\d+$/.test(target) ? Number(target) : Date.parse(target);
+        if (isNaN(ts)) {
+            warn(`invalid time: ${target}`);
+            process.exitCode = 1;
+            return;
+        }
+
+        info(`Restoring to ${new Date(ts).toISOString()}...`);
+        const r = await db.restoreTo(ts);
+        ok(`${r.size} records restored (snapshot ${new Date(r.snapshot).toISOString()} + ${r.replayed} ops)`);
+    }).catch(e => {
+        warn('restore error: ' + e.message);
+        process.exitCode = 1;
+    }).finally(() => db.close());
+}
+
+function cmdBackup() {
+    const dest = args[1] && !args[1].startsWith('--') ? args[1] : undefined;
+    const dbPath = args.includes('--path') ? args[args.indexOf('--path') + 1] : './data/sehawq.json';
+    const target = args.includes('--target') ? args[args.indexOf('--target') + 1] : null;
+
+    // opens the files directly like restore, so the server has to be
+    // stopped (while it runs, use db.backup() or GET /api/backup)
+    const Database = require('../src/core/Database');
+    let db;
+    try {
+        db = new Database({ path: dbPath, autoSave: false, readOnly: true, backupTargets: target ? [target] : [] });
+    } catch (e) {
+        warn('backup error: ' + e.message); // e.g. no S3 credentials
+        process.exitCode = 1;
+        return;
+    }
+
+    if (args.includes('--list')) {
+        db.listBackups(target ? { target } : dest).then(list => {
+            if (!list.length) return warn('no backups found');
+            log(`${c.bold}Backups${c.r}`);
+            for (const b of list) {
+                log(`  ${new Date(b.ts).toISOString()}  ${b.count ?? '?'} records  ${c.d}${b.file}${c.r}`);
+            }
+        }).catch(e => warn('backup error: ' + e.message));
+        return;
+    }
+
+    db.init().then(async () => {
+        const b = await db.backup(dest);
+        ok(`${b.count} records backed up to ${[b.file, ...b.uploaded].join(', ')}`);
+    }).catch(e => {
+        warn('backup error: ' + e.message);
+        process.exitCode = 1;
+    }).finally(() => db.close());
+}
+
 function cmdStatus() {
     const port = args.includes('--port') ? args[args.indexOf('--port') + 1] : 3000;
 
@@ -302,6 +404,8 @@ switch (cmd) {
     case 'export': cmdExport(); break;
     case 'import': cmdImport(); break;
     case 'migrate': cmdMigrate(); break;
+    case 'restore': cmdRestore(); break;
+    case 'backup': cmdBackup(); break;
     case 'status': cmdStatus(); break;
     case '--help': case '-h': case undefined:
         showHelp(); break;
@@ -10,13 +10,37 @@ declare class SehawqDB {
     start(): Promise<void>;
     stop(): Promise<void>;
 
+    readonly trash: SehawqDB.Trash; // soft deletes, needs the `trash` option
+
     // Data Ops
-    set(key: string, value: any, opts?: { ttl?: number }): this;
+    set(key: string, value: any, opts?: SehawqDB.SetOptions): this;
     get(key: string): any;
-    delete(key: string): boolean;
+    getPath(key: string, path: string | string[]): any;
+    setPath(key: string, path: string | string[], value: any, opts?: { ifVersion?: number }): Promise<this>;
+    getWithVersion(key: string): { value: any; version: number };
+    ttl(key: string): number; // seconds left, -1 = no expiry, -2 = missing
+    expire(key: string, seconds: number): Promise<boolean>;
+    expireAt(key: string, when: Date | number): Promise<boolean>;
+    persist(key: string): Promise<boolean>;
+    compareAndSwap(key: string, expected: number, next: any): Promise<number>;
+    update<T = any>(key: string, fn: (value: T | undefined) => T | Promise<T>, opts?: { retries?: number }): Promise<T>;
+    delete(key: string, opts?: SehawqDB.DeleteOptions): Promise<boolean>;
     has(key: string): boolean;
     all(): Record<string, any>;
+    keys(opts?: SehawqDB.RangeOptions): AsyncIterableIterator<string>;
+    entries(opts?: SehawqDB.RangeOptions): AsyncIterableIterator<[string, any]>;
+    scan(opts?: SehawqDB.RangeOptions): IterableIterator<[string, any]>;
+    snapshot(opts?: { prefix?: string }): SehawqDB.Snapshot;
+    enableHistory(prefix?: string, opts?: SehawqDB.HistoryLimits): this;
+    disableHistory(prefix?: string): this;
+    history(key: string, opts?: { limit?: number }): SehawqDB.Revision[];
+    getAt(key: string, when: number | Date): any;
+    revert(key: string, rev: number): Promise<SehawqDB.Revision>; // code 'EREVISION' if not kept
+    dump(): Record<string, any>;
+    load(data: Record<string, any>, opts?: { merge?: boolean }): Promise<this>;
     clear(): Promise<this>;
+    transaction<T>(fn: (tx: SehawqDB.Transaction) => T | Promise<T>): Promise<T>;
+    batch(ops: SehawqDB.BatchOp[]): Promise<this>;
 
     // Query
     find(filterFn: (value: any, key?: string) => boolean): SehawqDB.QueryResult;
@@ -35,10 +59,17 @@ declare class SehawqDB {
 
     // Collections (MongoDB-style)
     collection(name: string): SehawqDB.Collection;
+    namespace(name: string, quota?: SehawqDB.NamespaceQuota): SehawqDB.Namespace;
+    namespaces(): string[];
 
     // Reactive Watchers (Firebase-style)
-    watch(key: string, callback: (newVal: any, oldVal: any) => void): void;
-    unwatch(key: string, callback?: Function): void;
+    // key can be an exact key, a glob ('session:*', 'a?c') or { prefix }
+    watch(key: SehawqDB.WatchTarget, callback: SehawqDB.WatchCallback): void;
+    unwatch(key: SehawqDB.WatchTarget, callback?: SehawqDB.WatchCallback): void;
+
+    // Change feed, resumable from a stored seq
+    changes(opts?: SehawqDB.ChangesOptions): AsyncIterableIterator<SehawqDB.Change>;
+    readonly seq: number;
 
     // Migrations
     migrate(version: number, name: string, fn: (db: any) => Promise<void>): this;
@@ -48,26 +79,44 @@ declare class SehawqDB {
     // Plugin System
     use(plugin: Function, opts?: Record<string, any>): this;
 
+    // Hooks (middleware)
+    pre(op: SehawqDB.HookOp, fn: (ctx: SehawqDB.HookContext) => void | Promise<void>, opts?: { priority?: number }): this;
+    post(op: SehawqDB.HookOp, fn: (ctx: SehawqDB.HookContext) => void | Promise<void>, opts?: { priority?: number }): this;
+
     // Replication
     replicationStatus(): SehawqDB.ReplicationStatus | null;
 
+    // Point-in-time recovery (needs `archive: true`)
+    restoreTo(timestamp: number | Date): Promise<{ timestamp: number; snapshot: number; replayed: number; size: number }>;
+    listArchives(): Promise<{ snapshots: SehawqDB.ArchiveFile[]; segments: SehawqDB.ArchiveFile[] }>;
+
+    // Online backups (dest: file or directory, default backupDir), uploaded to backupTargets
+    backup(dest?: string, opts?: { upload?: boolean }): Promise<SehawqDB.BackupInfo>;
+    restore(src: string | SehawqDB.BackupFile, opts?: { verify?: boolean; target?: string | SehawqDB.BackupTargetSpec }): Promise<{ file: string; ts: number | null; size: number }>;
+    listBackups(dir?: string | { target: string | SehawqDB.BackupTargetSpec }): Promise<SehawqDB.BackupFile[]>;
+
+    // Integrity
+    verify(): Promise<SehawqDB.VerifyReport>;
+
     // Audit
     auditLog(filter?: { action?: string; key?: string; user?: string; limit?: number }): Promise<any[]>;
 
     // GDPR / Compliance
     gdprExport(userId: string): Promise<{ userId: string; recordCount: number; data: Record<string, any> }>;
-    gdprDelete(userId: string): Promise<{ userId: string; deletedRecords: number }>;
+    gdprDelete(userId: string): Promise<{ userId: string; deletedRecords: number; purgedFromTrash: number }>;
     gdprAnonymize(userId: string): Promise<{ userId: string; anonymizedRecords: number }>;
     complianceReport(): { totalRecords: number; recordsWithOwner: number; recordsWithoutOwner: number; uniqueOwners: number; piiFieldsFound: string[] };
 
     // Utils
-    push(key: string, value: any): number;
-    pull(key: string, value: any): boolean;
-    add(key: string, number: number): number;
-    subtract(key: string, number: number): number;
+    push(key: string, value: any): Promise<this>;
+    pull(key: string, value: any): Promise<this | false>;
+    add(key: string, number: number): Promise<this>;
+    subtract(key: string, number: number): Promise<this>;
 
     // Stats
     getStats(): object;
+    metrics(): SehawqDB.MetricsSnapshot;
+    metrics(opts: { format: 'prometheus' }): string;
 }
 
 declare namespace SehawqDB {
@@ -77,6 +126,28 @@ declare namespace SehawqDB {
         saveInterval?: number;
         cache?: boolean;
         cacheLimit?: number;
+        durability?: 'none' | 'interval' | 'always';
+        fsyncInterval?: number;
+        archive?: boolean;
+        archiveDir?: string;
+        archiveRetention?: number;
+        snapshotFormat?: 'ndjson' | 'json'; // 'json' (old single object) is read-only, saves write 'ndjson'
+        lock?: boolean;
+        readOnly?: boolean;
+        storage?: 'wal-json' | 'memory' | 'stream' | StorageEngine;
+        inMemory?: boolean; // same as path: ':memory:', no file I/O at all
+        maxMemoryItems?: number; // 'stream' storage: keys kept hot in RAM
+        changeLog?: boolean; // keep the change feed in <name>.changes (default true)
+        changeLogSize?: number; // changes kept for changes() cursors (default 10000)
+        compactOps?: number; // snapshot + WAL truncate after this many ops (default 100000, 0 = off)
+        compactBytes?: number; // ...or once the WAL is this big (default 64MB, 0 = off)
+        snapshotWorker?: boolean; // crc + file writes of snapshots in a worker thread, values are still serialized on the main one (default true)
+        metrics?: boolean; // record get/set/delete/query latency histograms (default false)
+        history?: boolean | HistoryRule | HistoryRule[]; // keep old revisions in <name>.history (default off)
+        trash?: boolean | { retention?: number }; // soft deletes, retention in days (default 30, 0 = forever)
+        backupDir?: string; // where backup() writes by default (default <name>.backups)
+        backups?: boolean | BackupSchedule; // scheduled backups into backupDir (default off)
+        backupTargets?: BackupTargetSpec[]; // every backup also goes here, see src/core/targets.js
         enableServer?: boolean;
         serverPort?: number;
         enableRealtime?: boolean;
@@ -85,6 +156,254 @@ declare namespace SehawqDB {
         [key: string]: any;
     }
 
+    // see src/core/engines.js
+    export interface StorageEngine {
+        open(): Promise<void>;
+        get(key: string): any;
+        put(key: string, value: any, meta?: { ver?: number; exp?: number }): void | Promise<void>;
+        del(key: string): any;
+        iterate(): Iterable<[string, any, { ver?: number; exp?: number }?]> | AsyncIterable<[string, any, { ver?: number; exp?: number }?]>;
+        snapshot(): Promise<void>;
+        close(): Promise<void>;
+        clear?(): void | Promise<unknown>; // result is ignored
+    }
+
+    export class MemoryStorage implements StorageEngine {
+        open(): Promise<void>;
+        get(key: string): any;
+        put(key: string, value: any, meta?: { ver?: number; exp?: number }): void;
+        del(key: string): boolean;
+        iterate(): Iterable<[string, any, { ver?: number; exp?: number }]>;
+        snapshot(): Promise<void>;
+        close(): Promise<void>;
+        clear(): void;
+    }
+
+    export class StreamStorage implements StorageEngine {
+        constructor(filePath: string, opts?: { maxMemoryItems?: number; debug?: boolean });
+        open(): Promise<void>;
+        get(key: string): Promise<any>;
+        put(key: string, value: any, meta?: { ver?: number; exp?: number }): Promise<void>;
+        del(key: string): Promise<boolean>;
+        iterate(): AsyncIterable<[string, any, { ver?: number; exp?: number }?]>;
+        snapshot(): Promise<void>;
+        close(): Promise<void>;
+        clear(): Promise<void>;
+    }
+
+    export class Storage implements StorageEngine {
+        constructor(filePath: string, opts?: { backupOnWrite?: boolean; backupRetention?: number; debug?: boolean });
+        open(): Promise<void>;
+        get(key: string): any;
+        put(key: string, value: any, meta?: { ver?: number; exp?: number }): void;
+        del(key: string): boolean;
+        iterate(): Iterable<[string, any, { ver?: number; exp?: number }?]>;
+        snapshot(): Promise<void>;
+        close(): Promise<void>;
+        clear(): void;
+    }
+
+    export class Persistence implements StorageEngine {
+        constructor(filePath: string, opts?: { autoSave?: boolean; debug?: boolean });
+        open(): Promise<void>;
+        get(key: string): Promise<any>;
+        put(key: string, value: any, meta?: { ver?: number; exp?: number }): Promise<void>;
+        del(key: string): Promise<boolean>;
+        iterate(): Iterable<[string, any, { ver?: number; exp?: number }?]>;
+        snapshot(): Promise<void>;
+        close(): Promise<void>;
+        clear(): Promise<boolean>;
+    }
+
+    // per process, not stored: enforced once namespace(name, quota) was called
+    export interface NamespaceQuota {
+        maxKeys?: number; // 0 = unlimited
+        maxValueSize?: number; // bytes of JSON per value
+    }
+
+    // Scoped view, every key is stored as '@<name>/<key>'. Quota errors have code 'EQUOTA'.
+    export class Namespace {
+        readonly name: string;
+        readonly prefix: string;
+        quota: NamespaceQuota;
+        readonly size: number; // keys in the tenant right now
+        get(key: string): any;
+        set(key: string, value: any, opts?: SetOptions): Promise<this>;
+        delete(key: string, opts?: DeleteOptions): Promise<boolean>;
+        readonly trash: Trash; // this tenant's deleted keys, relative
+        has(key: string): boolean;
+        all(): Record<string, any>;
+        scan(opts?: RangeOptions): IterableIterator<[string, any]>;
+        keys(opts?: RangeOptions): AsyncIterableIterator<string>;
+        entries(opts?: RangeOptions): AsyncIterableIterator<[string, any]>;
+        getPath(key: string, path: string | string[]): any;
+        setPath(key: string, path: string | string[], value: any, opts?: { ifVersion?: number }): Promise<this>;
+        getWithVersion(key: string): { value: any; version: number };
+        compareAndSwap(key: string, expected: number, next: any): Promise<number>;
+        update<T = any>(key: string, fn: (value: T | undefined) => T | Promise<T>, opts?: { retries?: number }): Promise<T>;
+        push(key: string, value: any): Promise<this>;
+        pull(key: string, value: any): Promise<this | false>;
+        add(key: string, n: number): Promise<this>;
+        subtract(key: string, n: number): Promise<this>;
+        ttl(key: string): number;
+        expire(key: string, seconds: number): Promise<boolean>;
+        expireAt(key: string, when: Date | number): Promise<boolean>;
+        persist(key: string): Promise<boolean>;
+        batch(ops: BatchOp[]): Promise<this>;
+        transaction<T>(fn: (tx: Transaction) => T | Promise<T>): Promise<T>;
+        collection(name: string): Collection;
+        find(filterFn: (value: any, key?: string) => boolean): QueryResult;
+        where(field: string, operator: Operator, value: any): QueryResult;
+        count(filterFn?: Function): number;
+        sum(field: string, filterFn?: Function): number;
+        avg(field: string, filterFn?: Function): number;
+        min(field: string, filterFn?: Function): number;
+        max(field: string, filterFn?: Function): number;
+        watch(key: WatchTarget, callback: WatchCallback): void;
+        unwatch(key: WatchTarget, callback?: WatchCallback): void;
+        changes(opts?: ChangesOptions): AsyncIterableIterator<Change>;
+        dump(): Record<string, any>;
+        load(data: Record<string, any>, opts?: { merge?: boolean }): Promise<this>;
+        snapshot(): Snapshot;
+        enableHistory(prefix?: string, opts?: HistoryLimits): this;
+        disableHistory(prefix?: string): this;
+        history(key: string, opts?: { limit?: number }): Revision[];
+        getAt(key: string, when: number | Date): any;
+        revert(key: string, rev: number): Promise<Revision>;
+        clear(): Promise<number>;
+        drop(): Promise<number>;
+        getStats(): { namespace: string; size: number; reads: number; writes: number; deletes: number; quota: NamespaceQuota };
+    }
+
+    // Point-in-time read view from db.snapshot(). Copy-on-write, so it stays
+    // cheap, but it keeps old values alive until release().
+    export class Snapshot implements Iterable<[string, any]> {
+        readonly at: number; // ms timestamp it was taken at
+        readonly prefix: string;
+        readonly released: boolean;
+        get(key: string): any;
+        has(key: string): boolean;
+        getWithVersion(key: string): { value: any; version: number };
+        iterate(opts?: RangeOptions): IterableIterator<[string, any, { ver: number; exp?: number }]>;
+        scan(opts?: RangeOptions): IterableIterator<[string, any]>;
+        keys(opts?: RangeOptions): AsyncIterableIterator<string>;
+        entries(opts?: RangeOptions): AsyncIterableIterator<[string, any]>;
+        all(): Record<string, any>;
+        release(): void;
+        [Symbol.iterator](): IterableIterator<[string, any]>;
+    }
+
+    export type HookOp = 'set' | 'get' | 'delete';
+
+    export interface HookContext {
+        op: HookOp;
+        key: string;
+        value?: any;
+        opts?: { ttl?: number; [key: string]: any };
+        old?: any;
+        result?: boolean;
+    }
+
+    export interface VerifyReport {
+        ok: boolean;
+        snapshot: {
+            format: 'ndjson' | 'json';
+            expected: number | null;
+            records: number;
+            corrupt: number[];
+            checksum: 'ok' | 'mismatch' | 'none';
+        } | null;
+        wal: {
+            lines: number;
+            replayable: number;
+            corrupt: number[];
+            tornTail: number;
+            uncommitted: number;
+        } | null;
+    }
+
+    export interface ArchiveFile {
+        file: string;
+        ts: number;
+    }
+
+    export interface BackupInfo {
+        file: string | null; // null: in-memory db without backupDir, only uploaded
+        name: string;
+        ts: number;
+        count: number;
+        crc: string;
+        size: number; // bytes
+        uploaded: string[]; // target names
+    }
+
+    export interface BackupFile {
+        file: string;
+        name: string;
+        ts: number;
+        count: number | null; // null on targets
+        size: number; // bytes
+        target?: string;
+    }
+
+    // see src/core/targets.js
+    export interface BackupTarget {
+        name?: string;
+        put(name: string, file: string): Promise<void>;
+        get(name: string, file: string): Promise<void>;
+        list(): Promise<{ name: string; size: number }[]>;
+        del(name: string): Promise<void>;
+        url?(name: string): string;
+    }
+
+    export type BackupTargetSpec = string | BackupTarget
+        | ({ type: 's3' } & S3TargetOptions)
+        | { type: 'dir'; path: string; name?: string };
+
+    export interface S3TargetOptions {
+        bucket: string;
+        prefix?: string;
+        endpoint?: string; // MinIO etc., default AWS (or AWS_ENDPOINT_URL)
+        region?: string;
+        accessKeyId?: string; // default AWS_ACCESS_KEY_ID
+        secretAccessKey?: string; // default AWS_SECRET_ACCESS_KEY
+        sessionToken?: string;
+        pathStyle?: boolean; // default: true with an endpoint
+        partSize?: number; // multipart above this (default 8MB, at least 5MB)
+        retries?: number; // per request (default 3)
+        retryDelay?: number; // ms, doubles each retry (default 200)
+        timeout?: number; // ms per request (default 30000)
+        name?: string;
+    }
+
+    export class S3Target implements BackupTarget {
+        constructor(opts: S3TargetOptions);
+        readonly name: string;
+        put(name: string, file: string): Promise<void>;
+        get(name: string, file: string): Promise<void>;
+        list(): Promise<{ name: string; size: number }[]>;
+        del(name: string): Promise<void>;
+        url(name: string): string;
+    }
+
+    export class DirTarget implements BackupTarget {
+        constructor(opts: { path: string; name?: string });
+        readonly name: string;
+        put(name: string, file: string): Promise<void>;
+        get(name: string, file: string): Promise<void>;
+        list(): Promise<{ name: string; size: number }[]>;
+        del(name: string): Promise<void>;
+        url(name: string): string;
+    }
+
+    // keeps the newest backup per hour/day/week, this many of each
+    export interface BackupSchedule {
+        interval?: number; // ms between backups (default 1 hour)
+        hourly?: number; // default 24
+        daily?: number; // default 7
+        weekly?: number; // default 4
+    }
+
     export interface ReplicationOptions {
         role: 'primary' | 'replica';
         nodes?: string[];
@@ -122,11 +441,133 @@ declare namespace SehawqDB {
         findOne(query?: object): any | null;
         update(query: object, changes: object): Promise<boolean>;
         updateMany(query: object, changes: object): Promise<number>;
-        remove(query: object): Promise<boolean>;
-        removeMany(query: object): Promise<number>;
+        remove(query: object, opts?: DeleteOptions): Promise<boolean>;
+        removeMany(query: object, opts?: DeleteOptions): Promise<number>;
         count(query?: object): number;
-        drop(): Promise<void>;
+        drop(opts?: DeleteOptions): Promise<void>;
         schema(rules: Record<string, SchemaRule>): this;
+        enableHistory(opts?: HistoryLimits): this;
+        disableHistory(): this;
+        history(id: string, opts?: { limit?: number }): Revision[];
+        getAt(id: string, when: number | Date): any;
+        revert(id: string, rev: number): Promise<Revision>;
+    }
+
+    // neither given = keep the last 10
+    export interface HistoryLimits {
+        keep?: number; // revisions per key
+        days?: number; // drop revisions older than this (the current one stays)
+    }
+
+    export interface HistoryRule extends HistoryLimits {
+        prefix?: string; // default '' = every key
+    }
+
+    export interface Revision {
+        rev: number; // per key, counts up from 1
+        op: 'set' | 'delete' | 'expire';
+        value?: any; // set only
+        version: number; // the key's version it had, 0 = didn't exist
+        ts: number;
+    }
+
+    export interface RangeOptions {
+        prefix?: string;
+        gt?: string;
+        gte?: string;
+        lt?: string;
+        lte?: string;
+        reverse?: boolean;
+        limit?: number;
+    }
+
+    export type BatchOp =
+        | { op: 'put'; k: string; v: any; ttl?: number }
+        | { op: 'del'; k: string; by?: string; hard?: boolean };
+
+    export interface DeleteOptions {
+        by?: string; // who deleted it, kept with the trash entry
+        hard?: boolean; // skip the trash, drop its revisions and change log values
+    }
+
+    export interface TrashItem {
+        key: string;
+        value: any;
+        deletedAt: number;
+        by: string | null;
+        expiresAt: number | null; // purged automatically then, null = kept until purge()
+    }
+
+    export class Trash {
+        readonly enabled: boolean;
+        readonly retention: number; // days, 0 = forever
+        list(opts?: { prefix?: string; limit?: number }): TrashItem[]; // newest first
+        get(key: string): TrashItem | undefined;
+        restore(key: string, opts?: { overwrite?: boolean }): Promise<boolean>; // code 'EEXIST' if the key is back
+        purge(key?: string): Promise<number>;
+    }
+
+    export type WatchTarget = string | { prefix: string };
+    export type WatchCallback = (newVal: any, oldVal: any, key: string, op: 'set' | 'delete' | 'expire') => void;
+
+    export interface LatencySummary {
+        count: number;
+        sum: number; // seconds
+        avg: number;
+        p50: number; // bucket upper bounds, seconds
+        p95: number;
+        p99: number;
+    }
+
+    export interface MetricsSnapshot {
+        enabled: boolean; // latency histograms on (the `metrics` option)
+        latency: Record<'get' | 'set' | 'delete' | 'query', LatencySummary>;
+        // counters + gauges by Prometheus name; labelled ones are arrays
+        metrics: Record<string, number | Array<Record<string, string | number>>>;
+    }
+
+    export interface Change {
+        seq: number;
+        op: 'set' | 'delete' | 'expire' | 'ttl' | 'clear' | 'restore';
+        key?: string; // missing for clear/restore
+        value?: any; // set only
+        ver?: number; // set only
+        exp?: number | null; // set/ttl, null = ttl removed
+        ts: number;
+    }
+
+    export interface ChangesOptions {
+        since?: number; // last seq already handled, default = only new changes
+        filter?: WatchTarget | ((change: Change) => boolean);
+        limit?: number;
+        live?: boolean; // default true, wait for new changes instead of ending
+        signal?: AbortSignal; // ends the iterator, even while it waits
+    }
+
+    export interface SetOptions {
+        ttl?: number;
+        ifVersion?: number; // only write if the key is still at this version (0 = must not exist)
+    }
+
+    export class ConflictError extends Error {
+        code: 'ECONFLICT';
+        key: string;
+        expected: number;
+        actual: number;
+    }
+
+    // Tagged JSON encoding used by the WAL, snapshots, REST API and client:
+    // Date, BigInt, Buffer (Uint8Array), Map and Set round-trip as { $t, v }
+    export const codec: {
+        encode(value: any): any;
+        decode(value: any): any;
+    };
+
+    export interface Transaction {
+        set(key: string, value: any, opts?: SehawqDB.SetOptions): this;
+        delete(key: string, opts?: SehawqDB.DeleteOptions): this;
+        get(key: string): any;
+        has(key: string): boolean;
     }
 
     export class QueryResult {
@@ -1,13 +1,18 @@
 // SehawqDB Universal Client
 // Works in browser (script tag) and Node (require)
+// In the browser, load codec.js first to get Dates/BigInts/Buffers/Maps/Sets
+// back as themselves (otherwise they show up as { $t, v } tags).
 
 (function (root, factory) {
     if (typeof module === 'object' && module.exports) {
-        module.exports = factory(require('socket.io-client'), require('axios'));
+        module.exports = factory(require('socket.io-client'), require('axios'), require('./codec'));
     } else {
-        root.Sehawq = factory(root.io, null);
+        root.Sehawq = factory(root.io, null, root.SehawqCodec);
     }
-}(typeof self !== 'undefined' ? self : this, function (io, axios) {
+}(typeof self !== 'undefined' ? self : this, function (io, axios, codec) {
+
+    const encode = codec ? codec.encode : v => v;
+    const decode = codec ? codec.decode : v => v;
 
     class Sehawq {
         constructor(url = 'http://localhost:3000', opts = {}) {
@@ -67,10 +72,24 @@
                 console.log('Sehawq: WebSocket Disconnected ❌');
             });
 
-            this.socket.on('update', (evt) => {
+            this.socket.on('update', (msg) => {
+                const evt = decode(msg);
                 if (this.opts.debug) console.log('update:', evt);
                 this._notify(evt.key, evt.value);
             });
+
+            this.socket.on('delete', (evt) => this._notify(evt.key, undefined));
+            this.socket.on('expire', (evt) => {
+                if (this.opts.debug) console.log('expire:', evt.key);
+                this._notify(evt.key, undefined);
+            });
+
+            // bulk writes arrive as one message, fan out per key
+            this.socket.on('batch', (msg) => {
+                const evt = decode(msg);
+                if (this.opts.debug) console.log('batch:', evt.count);
+                for (const o of evt.ops) this._notify(o.key, o.op === 'put' ? o.value : undefined);
+            });
         }
 
         async get(key) {
@@ -80,13 +99,13 @@
 
                 const res = await fetch(`${this.url}/api/data/${key}`, { headers });
                 if (res.status === 404) return undefined;
-                return (await res.json()).value;
+                return decode(await res.json()).value;
             } else {
                 try {
                     const headers = {};
                     if (this.token) headers['Authorization'] = 'Bearer ' + this.token;
                     const res = await axios.get(`${this.url}/api/data/${key}`, { headers });
-                    return res.data.value;
+                    return decode(res.data).value;
                 } catch (e) {
                     if (e.response && e.response.status === 404) return undefined;
                     throw e;
@@ -102,12 +121,12 @@
                 await fetch(`${this.url}/api/data`, {
                     method: 'POST',
                     headers,
-                    body: JSON.stringify({ key, value })
+                    body: JSON.stringify(encode({ key, value }))
                 });
             } else {
                 const headers = {};
                 if (this.token) headers['Authorization'] = 'Bearer ' + this.token;
-                await axios.post(`${this.url}/api/data`, { key, value }, { headers });
+                await axios.post(`${this.url}/api/data`, encode({ key, value }), { headers });
             }
         }
 
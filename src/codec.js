@@ -0,0 +1,106 @@
+// Typed value codec 🏷️
+// JSON loses types: Date -> string, BigInt throws, Buffer -> {type,data},
+// Map/Set -> {}. encode() swaps them for tagged objects JSON can carry,
+// decode() turns the tags back. Used for the WAL, snapshots, the REST API
+// and the client, so a value comes back as what went in.
+//
+//   { $t: 'Date', v: '2024-01-01T00:00:00.000Z' }
+//   { $t: 'BigInt', v: '123' }
+//   { $t: 'Buffer', v: '<base64>' }     (any Uint8Array)
+//   { $t: 'Map', v: [[k, v], ...] }
+//   { $t: 'Set', v: [v, ...] }
+//   { $t: 'Object', v: {...} }         a plain object that has its own `$t` key
+//
+// encode() returns the very same value when there's nothing to tag, so
+// callers can check `encoded !== value` to skip decoding later.
+// Works in Node and the browser (no Buffer there, Uint8Array instead).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SehawqCodec = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+
+    const hasBuffer = typeof Buffer !== 'undefined';
+    const hasOwn = (o, k) => Object.prototype.hasOwnProperty.call(o, k);
+
+    function toBase64(bytes) {
+        if (hasBuffer) return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+        let bin = '';
+        for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+        return btoa(bin);
+    }
+
+    function fromBase64(str) {
+        if (hasBuffer) return Buffer.from(str, 'base64');
+        const bin = atob(str);
+        const out = new Uint8Array(bin.length);
+        for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+        return out;
+    }
+
+    function encode(val) {
+        if (typeof val === 'bigint') return { $t: 'BigInt', v: val.toString() };
+        if (val === null || typeof val !== 'object') return val;
+
+        if (val instanceof Date) return { $t: 'Date', v: isNaN(val) ? null : val.toISOString() };
+        if (val instanceof Uint8Array) return { $t: 'Buffer', v: toBase64(val) };
+        if (val instanceof Map) return { $t: 'Map', v: Array.from(val, ([k, v]) => [encode(k), encode(v)]) };
+        if (val instanceof Set) return { $t: 'Set', v: Array.from(val, encode) };
+
+        // only copy what actually changes
+        let out = val;
+        if (Array.isArray(val)) {
+            for (let i = 0; i < val.length; i++) {
+                const e = encode(val[i]);
+                if (e === val[i]) continue;
+                if (out === val) out = val.slice();
+                out[i] = e;
+            }
+            return out;
+        }
+
+        if (typeof val.toJSON === 'function') return val; // knows how to serialize itself
+
+        for (const k of Object.keys(val)) {
+            const e = encode(val[k]);
+            if (e === val[k]) continue;
+            if (out === val) out = { ...val };
+            out[k] = e;
+        }
+        return hasOwn(val, '$t') ? { $t: 'Object', v: out } : out;
+    }
+
+    // Works in place, meant for freshly parsed JSON. Unknown tags are left
+    // as they are, so old data that happens to use `$t` survives.
+    function decode(val) {
+        if (val === null || typeof val !== 'object') return val;
+
+        if (Array.isArray(val)) {
+            for (let i = 0; i < val.length; i++) val[i] = decode(val[i]);
+            return val;
+        }
+
+        if (typeof val.$t === 'string' && hasOwn(val, 'v')) {
+            const v = val.v;
+            switch (val.$t) {
+                case 'Date': return new Date(v === null ? NaN : v);
+                case 'BigInt': return BigInt(v);
+                case 'Buffer': return fromBase64(v);
+                case 'Map': return new Map(v.map(([k, x]) => [decode(k), decode(x)]));
+                case 'Set': return new Set(v.map(decode));
+                case 'Object': return decodeFields(v);
+            }
+        }
+        return decodeFields(val);
+    }
+
+    function decodeFields(obj) {
+        for (const k of Object.keys(obj)) obj[k] = decode(obj[k]);
+        return obj;
+    }
+
+    return { encode, decode };
+}));
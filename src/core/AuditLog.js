@@ -4,6 +4,7 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { encode, decode } = require('../codec');
 
 class AuditLog {
     constructor(db, opts = {}) {
@@ -18,6 +19,7 @@ class AuditLog {
             this._hookEvents();
             // flush buffer every 5 seconds
             this._flushInterval = setInterval(() => this._flush(), 5000);
+            this._unmetric = db.telemetry.gauge('sehawq_audit_buffer_entries', 'Audit entries waiting to be flushed', () => this._buffer.length);
         }
     }
 
@@ -32,6 +34,20 @@ class AuditLog {
             if (evt.key.startsWith('_')) return;
             this._log('DELETE', evt.key, { before: evt.value });
         });
+
+        this.db.on('expire', (evt) => {
+            if (evt.key.startsWith('_')) return;
+            this._log('EXPIRE', evt.key, { before: evt.old, exp: evt.exp });
+        });
+
+        // bulk writes still get one entry per key
+        this.db.on('batch', (evt) => {
+            for (const o of evt.ops) {
+                if (o.key.startsWith('_')) continue;
+                if (o.op === 'put') this._log('SET', o.key, { after: o.value, batch: true });
+                else this._log('DELETE', o.key, { before: o.old, batch: true });
+            }
+        });
     }
 
     // manual log entry (for auth events etc)
@@ -60,7 +76,7 @@ class AuditLog {
     async _flush() {
         if (!this._buffer.length) return;
 
-        const lines = this._buffer.map(e => JSON.stringify(e)).join('\n') + '\n';
+        const lines = this._buffer.map(e => JSON.stringify(encode(e))).join('\n') + '\n';
         this._buffer = [];
 
         try {
@@ -80,7 +96,7 @@ class AuditLog {
             const lines = raw.trim().split('\n').filter(l => l);
 
             let entries = lines.map(l => {
-                try { return JSON.parse(l); } catch { return null; }
+                try { return decode(JSON.parse(l)); } catch { return null; }
             }).filter(Boolean);
 
             // apply filters
@@ -140,6 +156,7 @@ class AuditLog {
             clearInterval(this._flushInterval);
             this._flushInterval = null;
         }
+        if (this._unmetric) this._unmetric();
         // flush remaining
         return this._flush();
     }
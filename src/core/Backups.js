@@ -0,0 +1,337 @@
+// Backups 💼
+// Online backups: backup() streams a copy-on-write snapshot into a file,
+// so writes keep going the whole time and the file still shows a single
+// moment. Same format as the db's own snapshot (NDJSON, record count +
+// crc32 in the header), and restore() checks both before it replaces
+// anything.
+//
+//   const b = await db.backup();             // <name>.backups/backup-<ts>.json
+//   await db.backup('/mnt/offsite/');        // into a dir, or to a file path
+//   await db.listBackups();                  // newest first
+//   await db.restore(b.file);
+//
+// With the `backups` option a timer takes one every `interval` ms and
+// keeps a grandfather-father-son set in backupDir: the newest backup of
+// each of the last `hourly` hours, `daily` days and `weekly` weeks.
+// Everything else in there gets deleted, manual backups included.
+//
+// `backupTargets` copies every backup off the machine too (S3, another
+// disk, see targets.js), pruned by the same schedule:
+//
+//   await db.listBackups({ target: 's3://bucket/db' });
+//   await db.restore('latest', { target: 's3://bucket/db' });
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createTarget } = require('./targets');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+const NAME_RE = /^backup-(\d+)\.json$/;
+const SCHEDULE = { interval: HOUR, hourly: 24, daily: 7, weekly: 4 };
+
+function backupError(msg) {
+    const err = new Error(msg);
+    err.code = 'EBACKUP';
+    return err;
+}
+
+// first line of a snapshot file, null if it's not the NDJSON format
+async function readHeader(file) {
+    const fh = await fs.open(file, 'r');
+    try {
+        const buf = Buffer.alloc(4096);
+        const { bytesRead } = await fh.read(buf, 0, buf.length, 0);
+        const line = buf.toString('utf8', 0, bytesRead).split('\n')[0];
+        const header = JSON.parse(line);
+        return header && header.format ? header : null;
+    } catch (e) {
+        return null;
+    } finally {
+        await fh.close();
+    }
+}
+
+async function isDir(p) {
+    try {
+        return (await fs.stat(p)).isDirectory();
+    } catch (e) {
+        return false;
+    }
+}
+
+class Backups {
+    constructor(db) {
+        const conf = db.conf;
+        this.db = db;
+        this.dir = conf.backupDir || (conf.inMemory ? null : conf.path.replace(/\.json$/, '') + '.backups');
+        this.schedule = conf.backups ? { ...SCHEDULE, ...(conf.backups === true ? {} : conf.backups) } : null;
+        this.last = null; // what the last backup() returned
+        this._timer = null;
+        this._running = null; // scheduled backup in flight
+        this.targets = new Map(); // name -> target, every backup is uploaded to all of them
+
+        (conf.backupTargets || []).forEach((spec, i) => {
+            const target = createTarget(spec);
+            if (!target.name) target.name = `target${i}`;
+            if (this.targets.has(target.name)) throw new Error(`Duplicate backup target: ${target.name}`);
+            this.targets.set(target.name, target);
+        });
+
+        if (this.schedule && !(this.schedule.interval > 0)) {
+            throw new Error(`Invalid backups interval: ${this.schedule.interval}`);
+        }
+        if (this.schedule && !this.dir && !this.targets.size) {
+            throw new Error('Scheduled backups need backupDir or backupTargets for in-memory dbs');
+        }
+
+        db.telemetry.gauge('sehawq_last_backup_timestamp_seconds', 'When the last backup was taken', () => this.last ? this.last.ts / 1000 : 0);
+    }
+
+    // from init(), no-op without the `backups` option
+    start() {
+        if (!this.schedule || this._timer) return;
+        this._timer = setInterval(() => this._tick(), this.schedule.interval);
+    }
+
+    async stop() {
+        if (this._timer) clearInterval(this._timer);
+        this._timer = null;
+        if (this._running) await this._running;
+    }
+
+    _tick() {
+        if (this._running || !this.db.ready) return;
+        this._running = this.backup()
+            .then(async () => {
+                await this.prune();
+                for (const name of this.targets.keys()) await this.prune({ target: name });
+            })
+            .catch(e => this.db.emit('error', e))
+            .finally(() => { this._running = null; });
+    }
+
+    // a configured target by name, or a spec for a one-off one (the CLI)
+    _target(spec) {
+        if (typeof spec === 'string' && this.targets.has(spec)) return this.targets.get(spec);
+        const target = createTarget(spec);
+        if (!target.name) target.name = 'target';
+        return target;
+    }
+
+    // dest: a file, a directory (existing, or ending in a slash), or
+    // nothing for backupDir. Then it's uploaded to every backupTarget
+    // (unless upload: false). Returns { file, name, ts, count, crc, size,
+    // uploaded }. If an upload fails this throws 'EBACKUP' with the
+    // result as err.backup, the local file is still there.
+    async backup(dest, { upload = true } = {}) {
+        const db = this.db;
+        if (!db.ready) throw new Error('DB not ready');
+        const targets = upload ? [...this.targets] : [];
+
+        const snap = db.snapshot();
+        const name = `backup-${snap.at}.json`;
+        let file;
+        let tmp;
+        let local = true; // false: in-memory db, the targets are the only copy
+        try {
+            if (dest === undefined || dest === null) {
+                if (!this.dir && !targets.length) throw new Error('backup() of an in-memory db needs a destination (or the backupDir option)');
+                local = !!this.dir;
+                if (local) await fs.mkdir(this.dir, { recursive: true });
+                file = local ? path.join(this.dir, name) : path.join(os.tmpdir(), `sehawq-${process.pid}-${name}`);
+            } else if (/[\\/]$/.test(dest) || await isDir(dest)) {
+                await fs.mkdir(dest, { recursive: true });
+                file = path.join(dest, name);
+            } else {
+                await fs.mkdir(path.dirname(dest), { recursive: true });
+                file = dest;
+            }
+
+            // always NDJSON (the legacy format has no checksum) and fsynced
+            tmp = file + '.tmp';
+            await db._writeSnapshot(tmp, snap, { format: 'ndjson', sync: true });
+            await fs.rename(tmp, file);
+        } catch (e) {
+            if (tmp) await fs.unlink(tmp).catch(() => { });
+            throw e;
+        } finally {
+            snap.release();
+        }
+
+        const header = await readHeader(file);
+        const { size } = await fs.stat(file);
+        const info = { file: local ? file : null, name, ts: snap.at, count: header.count, crc: header.crc, size, uploaded: [] };
+
+        const failed = [];
+        for (const [tname, target] of targets) {
+            try {
+                await target.put(name, file);
+                info.uploaded.push(tname);
+            } catch (e) {
+                failed.push(`${tname}: ${e.message}`);
+            }
+        }
+        if (!local) await fs.unlink(file).catch(() => { });
+
+        if (local || info.uploaded.length) {
+            this.last = info;
+            db.emit('backup', info);
+        }
+        if (failed.length) {
+            const err = backupError(`Backup upload failed (${failed.join('; ')})`);
+            err.backup = info;
+            throw err;
+        }
+        return info;
+    }
+
+    // [{ file, name, ts, count, size }] in dir (default backupDir), or on
+    // a target with { target }, newest first. count is null for remote
+    // ones, it'd take a download to know.
+    async list(dir = this.dir) {
+        if (dir && typeof dir === 'object') return this._listTarget(this._target(dir.target));
+        if (!dir) return [];
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+
+        const out = [];
+        for (const name of files) {
+            const m = NAME_RE.exec(name);
+            if (!m) continue;
+            const file = path.join(dir, name);
+            const [stat, header] = await Promise.all([fs.stat(file), readHeader(file)]);
+            out.push({ file, name, ts: Number(m[1]), count: header ? header.count : null, size: stat.size });
+        }
+        return out.sort((a, b) => b.ts - a.ts);
+    }
+
+    async _listTarget(target) {
+        const out = [];
+        for (const { name, size } of await target.list()) {
+            const m = NAME_RE.exec(name);
+            if (!m) continue;
+            const file = target.url ? target.url(name) : name;
+            out.push({ file, name, ts: Number(m[1]), count: null, size, target: target.name });
+        }
+        return out.sort((a, b) => b.ts - a.ts);
+    }
+
+    // Keeps the newest backup of each hour/day/week bucket (as many buckets
+    // as the schedule says) plus the newest overall, deletes the rest.
+    // Returns how many went. Same dir / { target } as list().
+    async prune(dir = this.dir) {
+        const { hourly, daily, weekly } = this.schedule || SCHEDULE;
+        const target = dir && typeof dir === 'object' ? this._target(dir.target) : null;
+        const list = target ? await this._listTarget(target) : await this.list(dir);
+        const keep = new Set(list.slice(0, 1));
+
+        for (const [period, n] of [[HOUR, hourly], [DAY, daily], [WEEK, weekly]]) {
+            const seen = new Set();
+            for (const b of list) {
+                const bucket = Math.floor(b.ts / period);
+                if (seen.has(bucket)) continue;
+                if (seen.size >= n) break;
+                seen.add(bucket);
+                keep.add(b);
+            }
+        }
+
+        const gone = list.filter(b => !keep.has(b));
+        for (const b of gone) await (target ? target.del(b.name) : fs.unlink(b.file)).catch(() => { });
+        return gone.length;
+    }
+
+    // a path, a name from list() (looked up in backupDir), a list() entry
+    // or 'latest'
+    async _resolve(src) {
+        if (src === 'latest') {
+            const [newest] = await this.list();
+            if (!newest) throw backupError(`No backups in ${this.dir || 'backupDir'}`);
+            return newest.file;
+        }
+        if (src && typeof src === 'object') return src.file;
+        if (typeof src !== 'string' || !src) throw new Error('restore() needs a backup file');
+        try {
+            await fs.access(src);
+            return src;
+        } catch (e) {
+            if (this.dir && !src.includes('/') && !src.includes('\\')) return path.join(this.dir, src);
+            throw e;
+        }
+    }
+
+    // Replaces everything with the backup's contents. The file is read and
+    // checked in full first (record count + crc, code 'EBACKUP' if it's
+    // off), so a damaged backup never touches the live data. verify: false
+    // also takes files without a checksum (old single-object snapshots).
+    // With { target } (or a list() entry from one) src is a name on that
+    // target, or 'latest'; it's downloaded to a temp file first. Rejects
+    // if the restored state can't be saved (it's live, but not on disk yet).
+    async restore(src, { verify = true, target } = {}) {
+        const db = this.db;
+        if (!db.ready) throw new Error('DB not ready');
+        db._assertWritable();
+
+        if (target === undefined && src && typeof src === 'object') target = src.target;
+        if (target !== undefined) return this._restoreRemote(this._target(target), src, verify);
+
+        const file = await this._resolve(src);
+        return this._restoreFile(file, path.basename(file), verify);
+    }
+
+    async _restoreRemote(target, src, verify) {
+        let name = src && typeof src === 'object' ? src.name : src;
+        if (name === undefined || name === 'latest') {
+            const [newest] = await this._listTarget(target);
+            if (!newest) throw backupError(`No backups in ${target.name}`);
+            name = newest.name;
+        }
+
+        const tmp = path.join(os.tmpdir(), `sehawq-${process.pid}-${Date.now()}-${name}`);
+        try {
+            await target.get(name, tmp);
+            return await this._restoreFile(tmp, name, verify, target.url ? target.url(name) : name);
+        } finally {
+            await fs.unlink(tmp).catch(() => { });
+        }
+    }
+
+    // shown: what the event and the result call the file
+    async _restoreFile(file, name, verify, shown = file) {
+        const db = this.db;
+        const state = { store: new Map(), ttl: new Map(), vers: new Map() };
+        let report;
+        try {
+            report = await db._readSnapshot(file, state);
+        } catch (e) {
+            if (e.code) throw e; // ENOENT etc.
+            throw backupError(`Can't restore from ${name}: ${e.message}`);
+        }
+        if (verify && report.checksum !== 'ok') {
+            throw backupError(`Backup ${name} has no checksum (pass { verify: false } to restore it anyway)`);
+        }
+
+        // live even if saving it fails: listeners and feeds still hear
+        // about it, the caller gets the error
+        let unsaved = null;
+        await db._adopt(state).catch(e => { unsaved = e; });
+        // snapshot time is in the name, the header only has when it was written
+        const m = NAME_RE.exec(name);
+        const header = m ? null : await readHeader(file);
+        const size = state.store.size;
+        db.emit('restore', { file: shown, size, seq: db._record('restore') });
+        db._flushChanges(); // no WAL line to take it along
+        if (unsaved) throw unsaved;
+        return { file: shown, ts: m ? Number(m[1]) : header ? header.ts : null, size };
+    }
+}
+
+module.exports = Backups;
@@ -2,6 +2,8 @@
 // Gives MongoDB-style collection support on top of our key-value store.
 // Each collection is basically a namespace prefix. Simple but effective.
 
+const { performance } = require('perf_hooks');
+
 let _counter = 0; // global auto-id, resets on restart but thats fine
 
 class Collection {
@@ -16,9 +18,7 @@ class Collection {
     }
 
     _syncCounter() {
-        const all = this.db.all();
-        for (const k in all) {
-            if (!k.startsWith(this._prefix)) continue;
+        for (const [k] of this.db.scan({ prefix: this._prefix })) {
             const id = k.slice(this._prefix.length);
             const num = parseInt(id, 10);
             if (!isNaN(num) && num >= _counter) _counter = num + 1;
@@ -42,22 +42,28 @@ class Collection {
         return id;
     }
 
-    // Bulk insert, not optimized yet but works
+    // Bulk insert, goes through db.batch so it's one WAL write + one event
     async insertMany(docs) {
         const ids = [];
+        const ops = [];
         for (const doc of docs) {
-            ids.push(await this.insert(doc));
+            if (!doc || typeof doc !== 'object') throw new Error('Document must be an object');
+            if (this._rules) this._validate(doc);
         }
+        for (const doc of docs) {
+            const id = this._genId();
+            doc._id = id;
+            ids.push(id);
+            ops.push({ op: 'put', k: id, v: doc });
+        }
+        await this.db.batch(ops);
         return ids;
     }
 
-    // grabs all docs in this collection
+    // grabs all docs in this collection (only walks our own prefix)
     _getAll() {
-        const all = this.db.all();
         const results = [];
-        for (const k in all) {
-            if (k.startsWith(this._prefix)) results.push(all[k]);
-        }
+        for (const [, doc] of this.db.scan({ prefix: this._prefix })) results.push(doc);
         return results;
     }
 
@@ -90,16 +96,25 @@ class Collection {
         return true;
     }
 
-    find(query = {}) {
+    find(query) {
+        const tel = this.db.telemetry;
+        if (!tel || !tel.enabled) return this._find(query);
+        const t0 = performance.now();
+        try {
+            return this._find(query);
+        } finally {
+            tel.observe('query', t0);
+        }
+    }
+
+    _find(query = {}) {
         const docs = this._getAll();
         if (!Object.keys(query).length) return docs;
         return docs.filter(d => this._matches(d, query));
     }
 
     findOne(query = {}) {
-        // could optimize this to stop early but meh
-        const docs = this._getAll();
-        for (const doc of docs) {
+        for (const [, doc] of this.db.scan({ prefix: this._prefix })) {
             if (this._matches(doc, query)) return doc;
         }
         return null;
@@ -136,18 +151,19 @@ class Collection {
         return count;
     }
 
-    async remove(query) {
+    // opts.by: who removed it, kept in the trash (if the db has one)
+    async remove(query, opts) {
         const doc = this.findOne(query);
         if (!doc || !doc._id) return false;
-        return this.db.delete(doc._id);
+        return this.db.delete(doc._id, opts);
     }
 
-    async removeMany(query) {
+    async removeMany(query, opts) {
         const docs = this.find(query);
         let removed = 0;
         for (const doc of docs) {
             if (doc._id) {
-                await this.db.delete(doc._id);
+                await this.db.delete(doc._id, opts);
                 removed++;
             }
         }
@@ -159,13 +175,30 @@ class Collection {
     }
 
     // drops the entire collection, no confirmation lol
-    async drop() {
-        const all = this.db.all();
-        for (const k in all) {
-            if (k.startsWith(this._prefix)) await this.db.delete(k);
-        }
+    // (with the trash on, db.trash.restore() brings docs back)
+    async drop(opts) {
+        const keys = [];
+        for (const [k] of this.db.scan({ prefix: this._prefix })) keys.push(k);
+        for (const k of keys) await this.db.delete(k, opts);
+    }
+
+    // --- History ---
+    // Keeps old revisions of this collection's docs (see History.js):
+    // col.enableHistory({ keep: 50 }), then col.history(doc._id)
+    enableHistory(opts) {
+        this.db.enableHistory(this._prefix, opts);
+        return this;
     }
 
+    disableHistory() {
+        this.db.disableHistory(this._prefix);
+        return this;
+    }
+
+    history(id, opts) { return this.db.history(id, opts); }
+    getAt(id, when) { return this.db.getAt(id, when); }
+    revert(id, rev) { return this.db.revert(id, rev); }
+
     // --- Schema ---
     // Sets validation rules for insert/update.
     // col.schema({ name: { type: 'string', required: true }, age: { type: 'number', min: 0 } })
@@ -10,18 +10,23 @@ class Compliance {
     // export all data belonging to a user
     // GDPR Article 20 - data portability
     async exportUserData(userId) {
-        const allData = this.db.all();
         const userData = {};
         let count = 0;
 
-        for (const [key, val] of Object.entries(allData)) {
-            if (key.startsWith('_')) continue; // skip system keys
+        // one consistent state, even if writes land while we export
+        const snap = this.db.snapshot();
+        try {
+            for (const [key, val] of snap.scan()) {
+                if (key.startsWith('_')) continue; // skip system keys
 
-            // check if this val belongs to the user
-            if (this._belongsTo(val, userId)) {
-                userData[key] = val;
-                count++;
+                // check if this val belongs to the user
+                if (this._belongsTo(val, userId)) {
+                    userData[key] = val;
+                    count++;
+                }
             }
+        } finally {
+            snap.release();
         }
 
         return {
@@ -35,15 +40,29 @@ class Compliance {
     // delete all user data
     // GDPR Article 17 - right to erasure
     async deleteUserData(userId) {
-        const allData = this.db.all();
         let deleted = 0;
 
-        for (const [key, val] of Object.entries(allData)) {
+        // collect first, deleting while scanning would shift the scan
+        const doomed = [];
+        for (const [key, val] of this.db.scan()) {
             if (key.startsWith('_')) continue;
+            if (this._belongsTo(val, userId)) doomed.push(key);
+        }
+
+        // erased means erased: no soft delete into the trash...
+        for (const key of doomed) {
+            await this.db.delete(key, { hard: true });
+            deleted++;
+        }
 
-            if (this._belongsTo(val, userId)) {
-                await this.db.delete(key);
-                deleted++;
+        // ...and whatever of theirs was already sitting in there goes too
+        let purged = 0;
+        const trash = this.db.trash;
+        if (trash) {
+            for (const item of trash.list()) {
+                if (!this._belongsTo(item.value, userId)) continue;
+                purged += await trash.purge(item.key);
+                this.db._erase(item.key); // its revisions and change log values
             }
         }
 
@@ -58,17 +77,17 @@ class Compliance {
         if (this.db.audit) {
             this.db.audit.record('GDPR_DELETE', {
                 user: userId,
-                deletedRecords: deleted
+                deletedRecords: deleted,
+                purgedFromTrash: purged
             });
         }
 
-        return { userId, deletedRecords: deleted, deletedAt: new Date().toISOString() };
+        return { userId, deletedRecords: deleted, purgedFromTrash: purged, deletedAt: new Date().toISOString() };
     }
 
     // anonymize user data instead of deleting
     // keeps the record but strips PII
     async anonymizeUserData(userId) {
-        const allData = this.db.all();
         const crypto = require('crypto');
         let anonymized = 0;
 
@@ -76,7 +95,7 @@ class Compliance {
         const piiFields = ['name', 'email', 'phone', 'address', 'ip',
             'firstName', 'lastName', 'username', 'displayName'];
 
-        for (const [key, val] of Object.entries(allData)) {
+        for (const [key, val] of this.db.scan()) {
             if (key.startsWith('_')) continue;
             if (!this._belongsTo(val, userId)) continue;
             if (typeof val !== 'object') continue;
@@ -126,7 +145,6 @@ class Compliance {
 
     // generate a compliance report
     report() {
-        const allData = this.db.all();
         const stats = {
             totalRecords: 0,
             recordsWithOwner: 0,
@@ -138,23 +156,28 @@ class Compliance {
         const piiFields = ['name', 'email', 'phone', 'address', 'ip',
             'firstName', 'lastName', 'username'];
 
-        for (const [key, val] of Object.entries(allData)) {
-            if (key.startsWith('_')) continue;
-            stats.totalRecords++;
-
-            if (val && typeof val === 'object') {
-                const owner = val._owner || val.userId || val.user;
-                if (owner) {
-                    stats.recordsWithOwner++;
-                    stats.uniqueOwners.add(owner);
-                } else {
-                    stats.recordsWithoutOwner++;
-                }
-
-                for (const f of piiFields) {
-                    if (val[f] !== undefined) stats.piiFieldsFound.add(f);
+        const snap = this.db.snapshot();
+        try {
+            for (const [key, val] of snap.scan()) {
+                if (key.startsWith('_')) continue;
+                stats.totalRecords++;
+
+                if (val && typeof val === 'object') {
+                    const owner = val._owner || val.userId || val.user;
+                    if (owner) {
+                        stats.recordsWithOwner++;
+                        stats.uniqueOwners.add(owner);
+                    } else {
+                        stats.recordsWithoutOwner++;
+                    }
+
+                    for (const f of piiFields) {
+                        if (val[f] !== undefined) stats.piiFieldsFound.add(f);
+                    }
                 }
             }
+        } finally {
+            snap.release();
         }
 
         return {
@@ -1,7 +1,161 @@
 const EventEmitter = require('events');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const readline = require('readline');
 const path = require('path');
+const os = require('os');
+const { performance } = require('perf_hooks');
 const Collection = require('./Collection');
+const Namespace = require('./Namespace');
+const Snapshot = require('./Snapshot');
+const SortedKeys = require('./SortedKeys');
+const { prefixEnd } = SortedKeys;
+const { createEngine } = require('./engines');
+const SnapshotWriter = require('./SnapshotWriter');
+const Telemetry = require('./Telemetry');
+const History = require('./History');
+const Trash = require('./Trash');
+const Backups = require('./Backups');
+const { encode, decode } = require('../codec');
+const { crc32, hex8 } = require('./crc32');
+const { Worker } = require('worker_threads');
+
+const SNAPSHOT_FORMAT = SnapshotWriter.FORMAT;
+const SNAPSHOT_BATCH = 2000; // records per write (= per message to the snapshot worker)
+
+const HOOK_OPS = ['set', 'get', 'delete'];
+
+// --- Dot paths ('profile.name', or ['profile', 'name']) ---
+const BAD_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+function splitPath(p) {
+  const parts = Array.isArray(p) ? p.map(String) : String(p).split('.').filter(Boolean);
+  for (const s of parts) {
+    if (BAD_SEGMENTS.includes(s)) throw new Error(`Invalid path segment: ${s}`);
+  }
+  return parts;
+}
+
+const isObj = o => o !== null && typeof o === 'object';
+
+function readPath(obj, parts) {
+  let cur = obj;
+  for (const s of parts) {
+    if (!isObj(cur)) return undefined;
+    cur = cur[s];
+  }
+  return cur;
+}
+
+// copy-on-write: only the objects along the path get copied, so the old
+// value (what watchers get as `old`) is left untouched
+function writePath(obj, parts, v) {
+  const copy = o => Array.isArray(o) ? o.slice() : { ...o };
+  const root = isObj(obj) ? copy(obj) : {};
+  let cur = root;
+  for (let i = 0; i < parts.length - 1; i++) {
+    const next = cur[parts[i]];
+    cur = cur[parts[i]] = isObj(next) ? copy(next) : {};
+  }
+  cur[parts[parts.length - 1]] = v;
+  return root;
+}
+
+// Splits a watch target into { prefix, rest, re }, or null for a plain key.
+// re is null when the pattern is a pure prefix ('users:*'), no regex needed.
+function parseWatchTarget(target) {
+  if (target && typeof target === 'object') {
+    if (typeof target.prefix !== 'string') throw new Error('watch() needs a key, a glob or { prefix }');
+    return { prefix: target.prefix, rest: '*', re: null };
+  }
+
+  const key = String(target);
+  const first = key.search(/[*?]/);
+  if (first === -1) return null;
+
+  const prefix = key.slice(0, first);
+  const rest = key.slice(first);
+  if (rest === '*') return { prefix, rest, re: null };
+
+  const src = key.split('').map(c => c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[\\^$.|+()[\]{}]/g, '\\$&')).join('');
+  return { prefix, rest, re: new RegExp('^' + src + '$', 's') };
+}
+
+// Thrown when a write's expected version doesn't match (optimistic locking)
+class ConflictError extends Error {
+  constructor(key, expected, actual) {
+    super(`Version conflict on "${key}": expected ${expected}, found ${actual}`);
+    this.name = 'ConflictError';
+    this.code = 'ECONFLICT';
+    this.key = key;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// changes() option `filter` -> fn(change). Keyless changes (clear,
+// restore) always match, they affect every key.
+function changeFilter(filter) {
+  if (filter === undefined || filter === null) return () => true;
+  if (typeof filter === 'function') return filter;
+
+  const w = parseWatchTarget(filter);
+  const test = !w ? k => k === filter : w.re ? k => w.re.test(k) : k => k.startsWith(w.prefix);
+  return c => c.key === undefined || test(c.key);
+}
+
+// index of the first change with seq > cursor
+function firstAfter(buf, cursor) {
+  let lo = 0;
+  let hi = buf.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (buf[mid].seq <= cursor) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// What a WAL line holds: values with Dates/BigInts/Buffers/Maps/Sets are
+// tagged (see codec.js) and marked `e: 1`, so replay only decodes those
+// and lines from older versions read as before.
+function walEntry(e, ts) {
+  let out = ts ? { ...e, ts } : e;
+  if (e.v !== undefined) {
+    const v = encode(e.v);
+    if (v !== e.v) out = { ...out, v, e: 1 };
+  }
+  return out;
+}
+
+// snapshot records in SNAPSHOT_BATCH sized arrays of [k, v, ver, exp]
+function* snapshotBatches(snap) {
+  let batch = [];
+  for (const [k, v, meta] of snap.iterate()) {
+    batch.push([k, v, meta.ver, meta.exp]);
+    if (batch.length >= SNAPSHOT_BATCH) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length) yield batch;
+}
+
+// .changes file line, values tagged the same way as the WAL
+function changeLine(change) {
+  if (change.value === undefined) return JSON.stringify(change);
+  const value = encode(change.value);
+  return JSON.stringify(value === change.value ? change : { ...change, value, e: 1 });
+}
+
+function cursorError(msg) {
+  const err = new Error(msg);
+  err.code = 'ECURSOR';
+  return err;
+}
+
+// everything replay/snapshot loading writes into
+const emptyState = () => ({ store: new Map(), ttl: new Map(), vers: new Map() });
 
 // Main DB class with WAL support
 class SehawqDB extends EventEmitter {
@@ -13,32 +167,135 @@ class SehawqDB extends EventEmitter {
       autoSave: true,
       saveInterval: 30000, // Longer interval because WAL safe guards us
       cache: true,
-      cacheLimit: 1000
+      cacheLimit: 1000,
+      // 'none' = leave it to the OS, 'interval' = fsync every fsyncInterval ms,
+      // 'always' = every awaited write is on disk (group commit)
+      durability: 'none',
+      fsyncInterval: 1000,
+      // keep every rotated WAL segment + snapshot around for restoreTo()
+      archive: false,
+      archiveRetention: 10, // snapshots to keep (older WAL segments go with them)
+      // 'ndjson' streams one record per line. Old single-object 'json'
+      // snapshots are still read, but not written: no room for ttl/version
+      snapshotFormat: 'ndjson',
+      // exclusive lock file so two processes never share one WAL
+      lock: true,
+      // open without the lock, every write throws
+      readOnly: false,
+      // 'wal-json' | 'memory' | 'stream' | engine object, see engines.js
+      storage: 'wal-json',
+      // keep the change feed in <name>.changes so changes() can resume
+      // after a restart, and how many changes to keep around
+      changeLog: true,
+      changeLogSize: 10000,
+      // save() early once this many ops / WAL bytes pile up (0 = timer only)
+      compactOps: 100000,
+      compactBytes: 64 * 1024 * 1024,
+      // crc + file writes of snapshots in a worker thread. Only those:
+      // values still get turned into JSON on this one (see _writeSnapshot)
+      snapshotWorker: true,
+      // latency histograms for get/set/delete/query (counters/gauges are always on)
+      metrics: false,
+      // keep old revisions of keys: true, { prefix, keep, days } or a list
+      // of those, see History.js. enableHistory() adds more at runtime
+      history: false,
+      // soft deletes: true or { retention: days }, see Trash.js
+      trash: false,
+      // scheduled backups into backupDir (default <name>.backups): true or
+      // { interval, hourly, daily, weekly }, see Backups.js
+      backups: false,
+      // where else every backup goes: 's3://bucket/prefix', a directory
+      // or { type: 's3' | 'dir', ... }, see targets.js
+      backupTargets: []
     }, opts);
 
+    if (!['none', 'interval', 'always'].includes(this.conf.durability)) {
+      throw new Error(`Unknown durability mode: ${this.conf.durability}`);
+    }
+    if (this.conf.snapshotFormat === 'json') {
+      console.warn("snapshotFormat 'json' loses ttls and versions on save, writing 'ndjson' instead (old .json snapshots still load)");
+      this.conf.snapshotFormat = 'ndjson';
+    }
+
+    // ':memory:' / inMemory: no files, no lock, no snapshot timer
+    if (this.conf.path === ':memory:' || this.conf.inMemory) {
+      this.conf.inMemory = true;
+      this.conf.storage = 'memory';
+    }
+
+    // null = built-in WAL + snapshot, everything below that talks about
+    // the WAL only applies then
+    this._engine = createEngine(this.conf.storage, this.conf);
+    this.storage = typeof this.conf.storage === 'string' ? this.conf.storage : 'custom';
+    this._engineQueue = Promise.resolve(); // keeps engine writes in call order
+    if (this._engine && this.conf.archive) {
+      throw new Error(`archive needs the 'wal-json' storage engine (using '${this.storage}')`);
+    }
+
     this.logPath = this.conf.path.replace(/\.json$/, '.log');
+    this.prevLogPath = this.logPath + '.prev'; // WAL segment a save() is turning into a snapshot
+    this.archiveDir = this.conf.archiveDir || this.conf.path.replace(/\.json$/, '') + '.archive';
+    this.lockPath = this.conf.path.replace(/\.json$/, '') + '.lock';
+    this.changesPath = this.conf.path.replace(/\.json$/, '') + '.changes';
+    this._lockInfo = null; // what we wrote into the lock file, if we hold it
 
     // Internal storage
     this._store = new Map();
+    this._keys = new SortedKeys(); // same keys as _store, kept in order for scans
     this._cache = new Map();
     this._idx = new Map();
 
     // TTL tracking - key -> timestamp when it expires
     this._ttl = new Map();
+    this._vers = new Map(); // key -> version, bumped on every write, gone on delete
     this._ttlTimer = null;
 
     // Watchers - key -> Set of callbacks
-    this._watchers = new Map();
+    this._watchers = new Map(); // exact key -> Set<cb>
+    this._patternWatchers = new Map(); // literal prefix -> Map<rest of pattern, { re, cbs }>
+    this._prefixLens = new Map(); // prefix length -> how many groups use it
 
     // Collection instances (lazy, cached)
     this._collections = new Map();
+    this._namespaces = new Map(); // name -> Namespace view
+    this._snapshots = new Set(); // open read snapshots, see _preserve()
+
+    // Change feed: every mutation gets the next seq
+    this._seq = 0;
+    this._changes = []; // recent changes, oldest first, seqs ascending
+    this._changeWaiters = new Set(); // live changes() iterators waiting for more
+    this._changeFile = this.conf.changeLog && !this.conf.inMemory && !this.conf.readOnly;
+    this._changeLines = []; // not appended to the file yet
+    this._changeFlush = Promise.resolve();
 
     // Stats
-    this.metrics = { r: 0, w: 0, h: 0, m: 0 };
+    this.metrics = { r: 0, w: 0, h: 0, m: 0, x: 0, fsyncs: 0, fsyncTime: 0, compactions: 0 };
+    this._snapshotTime = 0; // seconds the last save() took
+    this.telemetry = new Telemetry({ enabled: !!this.conf.metrics });
+    this._registerMetrics();
+    this._history = new History(this); // revisions for history()/getAt()/revert()
+    this.trash = new Trash(this, this.conf.trash);
+    this._backups = new Backups(this);
 
-    this._saving = false;
+    this._saving = null; // in-flight save() promise
+    this._opsSinceSave = 0; // nothing new = save() has nothing to do
+    this._walBytes = 0; // size of the live WAL
+    this._worker = null; // snapshot worker, started on first save
+    this._workerTurn = Promise.resolve(); // save() and backup() share it, one file at a time
     this._timer = null;
     this._walHandle = null; // File handle for appending
+    this._txSeq = 0;
+
+    // pre/post hook pipeline: 'pre'|'post' -> op -> sorted [{ fn, priority, seq }]
+    this._hooks = { pre: new Map(), post: new Map() };
+    this._hookSeq = 0;
+
+    // group commit state (durability: 'always')
+    this._walQueue = [];
+    this._walFlushing = null; // promise while a write (+fsync) round is running
+    this._rotating = false; // save() is swapping the WAL file, hold new lines
+    this._walDirty = false; // unsynced bytes (durability: 'interval')
+    this._fsyncTimer = null;
   }
 
   // Plugin System 🔌
@@ -51,20 +308,82 @@ class SehawqDB extends EventEmitter {
     return this; // Chainable
   }
 
+  // --- Hooks (middleware) ---
+  // db.pre('set', ctx => { ... }) / db.post('get', ctx => { ... })
+  //
+  // ctx is { op, key, value, opts } (+ old/result for post hooks). Hooks
+  // transform by mutating ctx and reject the operation by throwing.
+  // Run order: priority ascending (default 0), then registration order,
+  // so plugins don't depend on the order they were use()'d in.
+  // get() is sync, so get hooks must be too.
+  pre(op, fn, opts) { return this._addHook('pre', op, fn, opts); }
+  post(op, fn, opts) { return this._addHook('post', op, fn, opts); }
+
+  _addHook(when, op, fn, { priority = 0 } = {}) {
+    if (!HOOK_OPS.includes(op)) throw new Error(`Unknown hook op: ${op} (expected ${HOOK_OPS.join('/')})`);
+    if (typeof fn !== 'function') throw new Error('Hook must be a function');
+
+    const list = this._hooks[when].get(op) || [];
+    list.push({ fn, priority, seq: this._hookSeq++ });
+    list.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+    this._hooks[when].set(op, list);
+    return this;
+  }
+
+  async _runHooks(when, ctx) {
+    const list = this._hooks[when].get(ctx.op);
+    if (list) for (const h of list) await h.fn(ctx);
+    return ctx;
+  }
+
+  _runHooksSync(when, ctx) {
+    const list = this._hooks[when].get(ctx.op);
+    if (list) for (const h of list) h.fn(ctx);
+    return ctx;
+  }
+
   async init() {
     if (this.ready || this._initializing) return;
     this._initializing = true;
 
     try {
+      if (this._engine) {
+        await this._openEngine();
+        return;
+      }
+
+      if (this.conf.readOnly) {
+        // just read what's on disk, no lock, no WAL handle, no timers
+        await this.loadSnapshot();
+        await this.trash.load();
+        await this.replayWAL();
+        this._keys = new SortedKeys(this._store.keys());
+        await this._loadChanges();
+        await this._history.load();
+
+        this.ready = true;
+        this.emit('ready');
+        if (this.conf.debug) console.log('DB Ready (read-only)');
+        return;
+      }
+
       // 1. Ensure dir exists
       const dir = path.dirname(this.conf.path);
       await fs.mkdir(dir, { recursive: true });
+      if (this.conf.archive) await fs.mkdir(this.archiveDir, { recursive: true });
+
+      // 1b. Make sure nobody else has this db open
+      if (this.conf.lock) await this._acquireLock();
 
       // 2. Load snapshot
       await this.loadSnapshot();
+      await this.trash.load(); // the WAL has the trash's newer records too
 
       // 2. Replay WAL
       await this.replayWAL();
+      this._keys = new SortedKeys(this._store.keys());
+      await this._loadChanges();
+      await this._history.load();
 
       // 3. Open WAL for appending
       // 'a' flag for append
@@ -74,264 +393,1966 @@ class SehawqDB extends EventEmitter {
         this.startSaver();
       }
 
+      if (this.conf.durability === 'interval') {
+        this._fsyncTimer = setInterval(() => {
+          if (this._walDirty) this._fsync().catch(e => this.emit('error', e));
+        }, this.conf.fsyncInterval);
+      }
+
       // TTL cleanup loop
       this._startTTLSweep();
+      this._backups.start();
 
       this.ready = true;
       this.emit('ready');
       if (this.conf.debug) console.log('DB Ready (WAL Enabled)');
 
     } catch (e) {
+      this._initializing = false;
+      await this._releaseLock();
       this.emit('error', e);
       throw e;
     }
   }
 
+  // init() for pluggable engines: load everything the engine has into
+  // the in-memory store, no WAL (the engine owns its files). The lock
+  // still applies: two processes writing one file lose each other's writes
+  async _openEngine() {
+    // audit log etc. still live next to conf.path
+    if (!this.conf.inMemory) await fs.mkdir(path.dirname(this.conf.path), { recursive: true });
+    if (this.conf.lock && !this.conf.inMemory && !this.conf.readOnly) await this._acquireLock();
+    await this._engine.open();
+    for await (const [k, v, meta] of this._engine.iterate()) {
+      this._store.set(k, v);
+      this._vers.set(k, (meta && meta.ver) || 1);
+      if (meta && meta.exp) this._ttl.set(k, meta.exp);
+    }
+    this._keys = new SortedKeys(this._store.keys());
+    await this.trash.load();
+    await this._loadChanges();
+    await this._history.load();
+
+    if (!this.conf.readOnly) {
+      if (this.conf.autoSave && !this.conf.inMemory) this.startSaver(); // nothing to snapshot
+      this._startTTLSweep();
+      this._backups.start();
+    }
+
+    this.ready = true;
+    this.emit('ready');
+    if (this.conf.debug) console.log(`DB Ready (${this.storage} storage)`);
+  }
+
+  // --- Process Lock ---
+  // <name>.lock holds { pid, host }. A lock left behind by a dead pid on
+  // this host is stale and gets taken over. Other hosts can't be checked,
+  // so those locks are always respected.
+  async _acquireLock() {
+    const info = { pid: process.pid, host: os.hostname(), ts: Date.now() };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const fh = await fs.open(this.lockPath, 'wx');
+        try {
+          await fh.writeFile(JSON.stringify(info));
+        } finally {
+          await fh.close();
+        }
+        this._lockInfo = info;
+        return;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+
+      const owner = await this._readLock();
+      if (!(await this._isStaleLock(owner))) break;
+
+      if (this.conf.debug) console.log(`Removing stale lock (pid ${owner ? owner.pid : '?'})`);
+      await fs.unlink(this.lockPath).catch(() => { });
+    }
+
+    const owner = await this._readLock();
+    const who = owner ? `pid ${owner.pid} on ${owner.host}` : 'another process';
+    const err = new Error(`Database ${this.conf.path} is locked by ${who} (use readOnly: true to open it anyway)`);
+    err.code = 'ELOCKED';
+    err.owner = owner;
+    throw err;
+  }
+
+  async _readLock() {
+    try {
+      return JSON.parse(await fs.readFile(this.lockPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async _isStaleLock(owner) {
+    if (!owner) {
+      // unreadable lock: either a crash mid-write or someone writing it right now
+      try {
+        const st = await fs.stat(this.lockPath);
+        return Date.now() - st.mtimeMs > 1000;
+      } catch {
+        return true; // gone already
+      }
+    }
+    if (owner.host !== os.hostname()) return false;
+
+    try {
+      process.kill(owner.pid, 0); // signal 0 = existence check only
+      return false;
+    } catch (e) {
+      return e.code === 'ESRCH'; // EPERM means alive, just not ours
+    }
+  }
+
+  async _releaseLock() {
+    if (!this._lockInfo) return;
+    const owner = await this._readLock();
+    // only remove it if it's still ours
+    if (owner && owner.pid === this._lockInfo.pid && owner.ts === this._lockInfo.ts) {
+      await fs.unlink(this.lockPath).catch(() => { });
+    }
+    this._lockInfo = null;
+  }
+
+  _assertWritable() {
+    if (!this.conf.readOnly) return;
+    const err = new Error('Database is opened read-only');
+    err.code = 'EREADONLY';
+    throw err;
+  }
+
+  _requireWAL(what) {
+    if (this._engine) throw new Error(`${what} needs the 'wal-json' storage engine (using '${this.storage}')`);
+  }
+
+  _state() {
+    return { store: this._store, ttl: this._ttl, vers: this._vers, trash: this.trash };
+  }
+
   async loadSnapshot() {
     try {
-      const txt = await fs.readFile(this.conf.path, 'utf8');
-      const json = JSON.parse(txt);
-      for (const k in json) this._store.set(k, json[k]);
+      const { seq } = await this._readSnapshot(this.conf.path, this._state());
+      this._seq = Math.max(this._seq, seq); // see _loadChanges()
       if (this.conf.debug) console.log(`Snapshot loaded: ${this._store.size} items`);
     } catch (e) {
       if (e.code !== 'ENOENT') throw e;
     }
   }
 
-  async replayWAL() {
+  // Reads either format. NDJSON starts with a header line, anything else
+  // is treated as a legacy single-object .json snapshot.
+  // strict (the default) throws on any damage; otherwise damage is just
+  // reported back so verify() can describe it.
+  async _readSnapshot(file, { store, ttl, vers }, { strict = true } = {}) {
+    const name = path.basename(file);
+    // older Nodes don't hand stream errors to the loop below, an ENOENT
+    // (no snapshot yet) would crash the process: wait for the open, and
+    // keep a listener on for errors halfway through
+    const input = createReadStream(file, 'utf8');
+    let rl = null;
+    let readErr = null;
+    input.on('error', (e) => {
+      readErr = readErr || e;
+      if (rl) rl.close();
+    });
+    await new Promise((resolve, reject) => {
+      input.once('open', resolve);
+      input.once('error', reject);
+    });
+    rl = readline.createInterface({ input, crlfDelay: Infinity });
+    rl.on('error', (e) => { readErr = readErr || e; }); // newer ones pass it on here
+    const report = { format: 'ndjson', expected: null, records: 0, corrupt: [], checksum: 'none', seq: 0 };
+    let header = null;
+    let lineNo = 0;
+    let crc = 0;
+
     try {
-      const log = await fs.readFile(this.logPath, 'utf8');
-      const lines = log.split('\n');
-      let replayCount = 0;
+      for await (const line of rl) {
+        lineNo++;
+        if (!header) {
+          try { header = JSON.parse(line); } catch { header = null; }
+          if (!header || header.format !== SNAPSHOT_FORMAT) break; // legacy file
+          report.expected = header.count;
+          report.seq = header.seq || 0;
+          continue;
+        }
+        if (!line) continue;
+        crc = crc32(line + '\n', crc);
 
-      for (const line of lines) {
-        if (!line.trim()) continue;
+        let rec;
         try {
-          const entry = JSON.parse(line);
-          if (entry.op === 'put') this._store.set(entry.k, entry.v);
-          if (entry.op === 'del') this._store.delete(entry.k);
-          if (entry.op === 'clr') this._store.clear();
-          if (entry.op === 'ttl') {
-            // only restore if not already expired
-            if (entry.exp > Date.now()) this._ttl.set(entry.k, entry.exp);
-          }
-          replayCount++;
-        } catch (err) {
-          console.warn('Corrupt WAL line ignored:', line);
+          rec = JSON.parse(line);
+        } catch {
+          if (strict) throw new Error(`Snapshot ${name}: corrupt record on line ${lineNo} (run db.verify())`);
+          report.corrupt.push(lineNo);
+          continue;
         }
+        store.set(rec.k, rec.e ? decode(rec.v) : rec.v);
+        vers.set(rec.k, rec.ver || 1);
+        if (rec.exp) ttl.set(rec.k, rec.exp); // already-expired ones get cleaned up lazily
+        report.records++;
       }
+    } finally {
+      rl.close();
+      input.destroy();
+    }
+    if (readErr) throw readErr;
 
-      if (this.conf.debug && replayCount > 0) {
-        console.log(`WAL Replayed: ${replayCount} ops`);
+    if (!header || header.format !== SNAPSHOT_FORMAT) {
+      report.format = 'json';
+      let json;
+      try {
+        json = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (e) {
+        if (strict || e.code) throw e;
+        report.corrupt.push(1); // legacy format is all-or-nothing
+        return report;
       }
-    } catch (e) {
-      if (e.code !== 'ENOENT') throw e;
+      // no per-record marker in this format, so always decode; unknown
+      // `$t` tags pass through untouched
+      for (const k in json) {
+        store.set(k, decode(json[k]));
+        vers.set(k, 1); // old format has no versions, start everyone over
+      }
+      report.records = report.expected = store.size;
+      return report;
     }
-  }
 
-  async appendToWAL(entry) {
-    if (!this._walHandle) return;
-    const line = JSON.stringify(entry) + '\n';
-    await this._walHandle.write(line);
-    // Optional: await this._walHandle.sync(); // For extreme safety but slower
+    if (header.crc) report.checksum = header.crc === hex8(crc) ? 'ok' : 'mismatch';
+
+    // refuse to come up on half a snapshot, that's how data silently vanishes
+    if (strict && report.records !== report.expected) {
+      throw new Error(`Snapshot ${name}: expected ${report.expected} records, got ${report.records} (run db.verify())`);
+    }
+    if (strict && report.checksum === 'mismatch') {
+      throw new Error(`Snapshot ${name}: checksum mismatch (run db.verify())`);
+    }
+    return report;
   }
 
-  async set(k, v, opts = {}) {
-    if (!this.ready) throw new Error('DB not ready');
+  // Records are encoded and turned into text on this thread either way,
+  // SNAPSHOT_BATCH at a time so requests get in between: a big store
+  // costs many short pauses, not one long one. The snapshot worker only
+  // takes the crc and the writing off this thread. Values never cross
+  // over as objects: structured clone drops prototypes and toJSON(), and
+  // the snapshot would stop matching the WAL.
+  async _writeSnapshot(file, snap, overrides) {
+    const opts = { format: this.conf.snapshotFormat, sync: this.conf.durability !== 'none', seq: snap.seq, ...overrides };
 
-    const old = this._store.get(k);
-    this._store.set(k, v);
+    if (this.conf.snapshotWorker) return this._writeSnapshotInWorker(file, snap, opts);
 
-    if (this.conf.cache) this.updateCache(k, v);
+    const writer = new SnapshotWriter(file, opts);
+    await writer.open();
+    try {
+      for (const records of snapshotBatches(snap)) {
+        await writer.write(records);
+        await new Promise(setImmediate); // let requests in between batches
+      }
+    } catch (e) {
+      await writer.close();
+      throw e;
+    }
+    await writer.end();
+  }
 
-    // WAL Write
-    await this.appendToWAL({ op: 'put', k, v });
+  async _writeSnapshotInWorker(file, snap, opts) {
+    // the worker writes one file at a time, wait for whoever has it
+    const prev = this._workerTurn;
+    let done;
+    this._workerTurn = new Promise(resolve => { done = resolve; });
+    await prev;
 
-    // TTL handling
-    if (opts.ttl && typeof opts.ttl === 'number') {
-      const exp = Date.now() + (opts.ttl * 1000);
-      this._ttl.set(k, exp);
-      await this.appendToWAL({ op: 'ttl', k, exp });
+    try {
+      const { call } = this._snapshotWorker();
+      await call({ type: 'open', file, opts });
+      try {
+        for (const records of snapshotBatches(snap)) {
+          await call({ type: 'write', text: SnapshotWriter.lines(records), count: records.length });
+        }
+        await call({ type: 'end' });
+      } catch (e) {
+        await call({ type: 'abort' }).catch(() => { });
+        throw e;
+      }
+    } finally {
+      done();
     }
+  }
 
-    this.metrics.w++;
-    this.emit('set', { key: k, value: v, old });
+  // One long-lived worker, unref'd so it never keeps the process alive.
+  // call(msg) resolves once the worker has handled msg.
+  _snapshotWorker() {
+    if (this._worker) return this._worker;
 
-    // Notify watchers
-    this._notifyWatchers(k, v, old);
+    const worker = new Worker(path.join(__dirname, 'snapshotWorker.js'));
+    worker.unref();
+    const calls = new Map(); // id -> { resolve, reject }
+    let seq = 0;
 
-    return this;
+    worker.on('message', msg => {
+      const c = calls.get(msg.id);
+      if (!c) return;
+      calls.delete(msg.id);
+      if (msg.error) c.reject(new Error(msg.error));
+      else c.resolve();
+    });
+
+    const fail = (e) => {
+      for (const c of calls.values()) c.reject(e);
+      calls.clear();
+      if (this._worker && this._worker.worker === worker) this._worker = null; // next save starts a new one
+    };
+    worker.on('error', fail);
+    worker.on('exit', code => fail(new Error(`Snapshot worker exited (code ${code})`)));
+
+    const call = (msg) => new Promise((resolve, reject) => {
+      const id = ++seq;
+      calls.set(id, { resolve, reject });
+      try {
+        worker.postMessage({ ...msg, id });
+      } catch (e) {
+        calls.delete(id);
+        reject(e);
+      }
+    });
+
+    this._worker = { worker, call };
+    return this._worker;
   }
 
-  get(k) {
-    if (!this.ready) throw new Error('DB not ready');
-    this.metrics.r++;
+  // the rotated segment (if a save() didn't get to finish) goes first,
+  // then the live WAL
+  async replayWAL() {
+    this._walBytes = 0;
+    this._opsSinceSave = 0;
+    for (const file of [this.prevLogPath, this.logPath]) {
+      try {
+        const log = await fs.readFile(file, 'utf8');
+        const res = this._replayLines(log, this._state());
+        this._seq = Math.max(this._seq, res.seq); // see _loadChanges()
+        this._walBytes += Buffer.byteLength(log);
+        this._opsSinceSave += res.replayed + res.corrupt.length + res.uncommitted; // all of it goes on the next save
 
-    if (this.conf.cache && this._cache.has(k)) {
-      this.metrics.h++;
-      return this._cache.get(k);
+        // half-written last line from a crash: cut it off so we don't trip on it again
+        if (res.torn && !this.conf.readOnly) {
+          const keep = Buffer.byteLength(log.slice(0, log.lastIndexOf('\n') + 1));
+          await fs.truncate(file, keep);
+          if (this.conf.debug) console.log(`WAL: truncated torn tail (${res.torn} bytes)`);
+        }
+
+        if (this.conf.debug && res.replayed > 0) {
+          console.log(`WAL Replayed: ${res.replayed} ops (${path.basename(file)})`);
+        }
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
     }
+  }
 
-    this.metrics.m++;
-    const v = this._store.get(k);
-    if (this.conf.cache && v !== undefined) this.updateCache(k, v);
-    return v;
+  // what's in the WAL files right now, rotated segment first
+  async _readWAL() {
+    let log = null;
+    for (const file of [this.prevLogPath, this.logPath]) {
+      try {
+        log = (log || '') + await fs.readFile(file, 'utf8');
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    }
+    return log;
   }
 
-  async delete(k) {
-    if (!this._store.has(k)) return false;
+  // Applies raw WAL text onto a { store, ttl, vers } state. Entries stamped after `until`
+  // are skipped (point-in-time restore), unstamped ones always apply.
+  // Returns what it saw: replayed ops, corrupt line numbers, torn tail
+  // bytes and the highest change feed seq in there.
+  _replayLines(log, state, { until = Infinity, quiet = false } = {}) {
+    const lines = log.split('\n');
+    const res = { replayed: 0, corrupt: [], torn: 0, uncommitted: 0, seq: 0 };
 
-    const old = this._store.get(k);
-    this._store.delete(k);
-    this._cache.delete(k);
-    this._ttl.delete(k); // cleanup ttl if any
+    // every append ends in \n, so anything after the last one never finished
+    const tail = lines.pop();
+    if (tail) res.torn = Buffer.byteLength(tail);
 
-    // WAL Write
-    await this.appendToWAL({ op: 'del', k });
+    // tx id -> buffered entries, only applied once we see the commit marker
+    const pending = new Map();
 
-    this.emit('delete', { key: k, old });
-    this._notifyWatchers(k, undefined, old);
-    return true;
-  }
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (!line.trim()) continue;
+      try {
+        const entry = this._parseWALLine(line);
+        if (entry.ts > until) break; // WAL is append-only so everything after is newer
+        if (entry.s > res.seq) res.seq = entry.s;
 
-  has(k) { return this._store.has(k); }
-  all() { return Object.fromEntries(this._store); }
+        if (entry.op === 'begin') {
+          pending.set(entry.tx, []);
+          continue;
+        }
+        if (entry.op === 'commit') {
+          const group = pending.get(entry.tx);
+          pending.delete(entry.tx);
+          if (group) {
+            for (const e of group) this._replayEntry(e, state);
+            res.replayed += group.length;
+          }
+          continue;
+        }
+        if (entry.tx !== undefined) {
+          // belongs to a group, hold it until commit (or drop if no begin seen)
+          if (pending.has(entry.tx)) pending.get(entry.tx).push(entry);
+          continue;
+        }
 
-  async clear() {
-    const size = this._store.size;
-    this._store.clear();
-    this._cache.clear();
-    this._idx.clear(); // If index manager listens to clear, good. If not, manual clear needed in index manager logic.
+        this._replayEntry(entry, state);
+        res.replayed++;
+      } catch (err) {
+        res.corrupt.push(i + 1);
+        if (!quiet) console.warn(`Corrupt WAL line ${i + 1} ignored:`, line);
+      }
+    }
 
-    await this.appendToWAL({ op: 'clr' });
+    res.uncommitted = pending.size;
+    if (this.conf.debug && !quiet && pending.size > 0) {
+      console.log(`WAL: discarded ${pending.size} uncommitted transaction(s)`);
+    }
 
-    this.emit('clear', { size });
-    return this;
+    return res;
   }
 
-  updateCache(k, v) {
-    if (this._cache.size >= this.conf.cacheLimit) {
-      const head = this._cache.keys().next().value;
-      this._cache.delete(head);
+  // "<crc32> <json>". Lines from before checksums were added are bare JSON.
+  _parseWALLine(line) {
+    if (line[0] === '{') return JSON.parse(line);
+
+    const body = line.slice(9);
+    if (line[8] !== ' ' || line.slice(0, 8) !== hex8(crc32(body))) {
+      throw new Error('WAL checksum mismatch');
     }
-    this._cache.set(k, v);
+    return JSON.parse(body);
   }
 
-  // Snapshotting (Compact WAL)
-  async save() {
-    if (this._saving) return; // Prevent overlap
-    this._saving = true;
-
-    try {
-      // 1. Write full state to .json
-      const raw = JSON.stringify(Object.fromEntries(this._store), null, 2);
-      const tmp = this.conf.path + '.tmp';
-      await fs.writeFile(tmp, raw);
-      await fs.rename(tmp, this.conf.path);
+  // trash: only the live state has one, other replays skip trash records
+  _replayEntry(entry, { store, ttl, vers, trash } = this._state()) {
+    if (entry.op === 'put' || entry.op === 'patch') {
+      const val = entry.e ? decode(entry.v) : entry.v;
+      const v = entry.op === 'put' ? val : writePath(store.get(entry.k), entry.p, val);
+      store.set(entry.k, v);
+      vers.set(entry.k, entry.ver || (vers.get(entry.k) || 0) + 1); // pre-version WALs just count up
+    }
+    if (entry.op === 'del') {
+      store.delete(entry.k);
+      vers.delete(entry.k);
+      ttl.delete(entry.k);
+    }
+    if (entry.op === 'clr') {
+      store.clear();
+      vers.clear();
+      ttl.clear();
+    }
+    if (entry.op === 'ttl') {
+      // exp: null is persist(). Past expirations are kept on purpose, the
+      // key is still in the store and lazy expiry has to remove it.
+      if (entry.exp) ttl.set(entry.k, entry.exp);
+      else ttl.delete(entry.k);
+    }
+    if ((entry.op === 'trash' || entry.op === 'untrash') && trash) {
+      trash._apply(entry.e ? { ...entry, v: decode(entry.v) } : entry);
+    }
+  }
 
-      // 2. Rotate WAL
-      // Close existing handle safely
-      if (this._walHandle) {
-        await this._walHandle.close();
-        this._walHandle = null;
-      }
+  // accepts a single entry or an array (written with one call, in order)
+  async appendToWAL(entry) {
+    const entries = Array.isArray(entry) ? entry : [entry];
+    if (this._engine) {
+      if (this.conf.readOnly) return;
+      this._opsSinceSave += entries.length;
+      this._checkCompaction();
+      return this._engineWrite(entries);
+    }
+    if (!this._walHandle && !this._rotating) return;
 
-      // Truncate file
-      await fs.writeFile(this.logPath, '');
+    // archived segments need timestamps so restoreTo() knows where to stop
+    const ts = this.conf.archive ? Date.now() : null;
+    const line = entries.map(e => {
+      const json = JSON.stringify(walEntry(e, ts));
+      return hex8(crc32(json)) + ' ' + json + '\n';
+    }).join('');
 
-      // Reopen
-      this._walHandle = await fs.open(this.logPath, 'a');
+    this._opsSinceSave += entries.length;
+    this._walBytes += Buffer.byteLength(line);
+    this._checkCompaction();
 
-      if (this.conf.debug) console.log('Snapshot saved & WAL compacted');
-      this.emit('save', { count: this._store.size });
-    } catch (e) {
-      console.error('Save failed:', e);
-      this.emit('error', e);
-    } finally {
-      this._saving = false;
-    }
+    // everything goes through one queue: keeps lines in order while save()
+    // rotates the file, and in 'always' mode concurrent writers share one fsync
+    return new Promise((resolve, reject) => {
+      this._walQueue.push({ line, resolve, reject });
+      if (!this._walFlushing && !this._rotating) this._walFlushing = this._flushWAL();
+    });
   }
 
-  startSaver() {
-    // Regular snapshotting to keep WAL small
-    this._timer = setInterval(() => {
-      if (this.ready) this.save();
-    }, this.conf.saveInterval);
+  // Saves early when a write burst piles up ops / WAL bytes, so the log
+  // (and the replay on next startup) never grows past the limits.
+  _checkCompaction() {
+    if (this._saving || !this.ready) return;
+    const { compactOps, compactBytes } = this.conf;
+    const tooMany = compactOps && this._opsSinceSave >= compactOps;
+    const tooBig = !this._engine && compactBytes && this._walBytes >= compactBytes;
+    if (!tooMany && !tooBig) return;
+
+    this.metrics.compactions++;
+    this.save();
   }
 
-  // --- TTL Sweep ---
-  // Runs every 10s, deletes expired keys. Not the most efficient but
-  // for our scale it's more than enough. TODO: batch expire for perf
-  _startTTLSweep() {
-    this._ttlTimer = setInterval(() => {
-      const now = Date.now();
-      for (const [k, exp] of this._ttl) {
-        if (now >= exp) {
-          this._ttl.delete(k);
-          this.delete(k).catch(() => { }); // async but we dont wait
-          if (this.conf.debug) console.log(`TTL expired: ${k}`);
-        }
+  // Non-WAL engines get the same entries as put()/del() calls. Values are
+  // read now, not when the queue gets to them, so writes land in call order.
+  _engineWrite(entries) {
+    const calls = [];
+    for (const e of entries) {
+      if (e.op === 'put' || e.op === 'patch' || e.op === 'ttl') {
+        if (!this._store.has(e.k)) continue; // ttl line for a key that's gone again
+        const v = e.op === 'put' ? e.v : this._store.get(e.k);
+        const meta = { ver: this._vers.get(e.k), exp: this._ttl.get(e.k) };
+        calls.push(() => this._engine.put(e.k, v, meta));
+      } else if (e.op === 'del') {
+        calls.push(() => this._engine.del(e.k));
+      } else if (e.op === 'clr') {
+        calls.push(() => this._engineClear());
+      } else if (e.op === 'trash' || e.op === 'untrash') {
+        calls.push(() => this.trash._append([{ ...e, tx: undefined }]));
       }
-    }, 10000);
+      // begin/commit markers have no meaning outside the WAL
+    }
+    if (!calls.length) return;
+
+    const run = this._engineQueue.then(async () => {
+      for (const call of calls) await call();
+    });
+    this._engineQueue = run.catch(() => { });
+    return run;
   }
 
-  // --- Watch / Unwatch ---
-  // Firebase-style reactive listeners on specific keys
-  watch(key, cb) {
-    if (!this._watchers.has(key)) this._watchers.set(key, new Set());
-    this._watchers.get(key).add(cb);
+  async _engineClear() {
+    if (typeof this._engine.clear === 'function') return this._engine.clear();
+    const keys = [];
+    for await (const [k] of this._engine.iterate()) keys.push(k);
+    for (const k of keys) await this._engine.del(k);
   }
 
-  unwatch(key, cb) {
-    if (!this._watchers.has(key)) return;
-    if (cb) {
-      this._watchers.get(key).delete(cb);
-      if (this._watchers.get(key).size === 0) this._watchers.delete(key);
-    } else {
-      this._watchers.delete(key); // remove all watchers for this key
+  async _flushWAL() {
+    // a rotation stops the loop: what's queued now goes to the new file
+    while (this._walQueue.length && !this._rotating) {
+      const batch = this._walQueue.splice(0);
+      try {
+        const always = this.conf.durability === 'always';
+        await this._walHandle.write(batch.map(b => b.line).join(''));
+        this._walDirty = true;
+        // the batch's change feed lines, recorded before the WAL write
+        // (see _record), go out in the same round and get the same fsync
+        await Promise.all([always && this._fsync(), this._flushChanges(always)]);
+        for (const b of batch) b.resolve();
+      } catch (e) {
+        for (const b of batch) b.reject(e);
+      }
     }
+    this._walFlushing = null;
   }
 
-  _notifyWatchers(key, newVal, oldVal) {
-    if (!this._watchers.has(key)) return;
-    for (const cb of this._watchers.get(key)) {
-      try { cb(newVal, oldVal); } catch (e) { /* don't let bad callbacks crash us */ }
-    }
+  async _fsync() {
+    if (!this._walHandle) return;
+    this._walDirty = false;
+    const t0 = performance.now();
+    await this._walHandle.sync();
+    this.metrics.fsyncs++;
+    this.metrics.fsyncTime += performance.now() - t0;
   }
 
-  // --- Collections ---
-  // Returns a Collection instance for the given name.
-  // Cached so you always get the same reference.
-  collection(name) {
-    if (!this._collections.has(name)) {
-      this._collections.set(name, new Collection(this, name));
+  // waits for any in-flight group commit before we touch the handle
+  async _drainWAL() {
+    while (this._walFlushing) await this._walFlushing;
+  }
+
+  async set(key, val, setOpts) {
+    if (!this.telemetry.enabled) return this._set(key, val, setOpts);
+    const t0 = performance.now();
+    try {
+      return await this._set(key, val, setOpts);
+    } finally {
+      this.telemetry.observe('set', t0);
     }
-    return this._collections.get(name);
   }
 
-  getStats() {
-    const total = this.metrics.h + this.metrics.m;
-    const rate = total === 0 ? 0 : ((this.metrics.h / total) * 100).toFixed(2);
+  async _set(key, val, setOpts = {}) {
+    if (!this.ready) throw new Error('DB not ready');
+    this._assertWritable();
 
-    return {
-      reads: this.metrics.r,
-      writes: this.metrics.w,
-      hits: this.metrics.h,
-      misses: this.metrics.m,
-      rate: `${rate}%`,
-      size: this._store.size,
-      ttlKeys: this._ttl.size
-    };
-  }
+    const ctx = await this._runHooks('pre', { op: 'set', key, value: val, opts: setOpts || {} });
+    const { key: k, value: v, opts } = ctx;
 
-  async close() {
-    if (this._timer) clearInterval(this._timer);
-    if (this._ttlTimer) clearInterval(this._ttlTimer);
-    await this.save(); // Final snapshot
-    if (this._walHandle) await this._walHandle.close();
+    this._expired(k); // a dead key shouldn't hand its ttl to the new value
+    if (opts.ifVersion !== undefined) this._checkVersion(k, opts.ifVersion);
+    this._checkQuotas([[k, { op: 'put', v }]]);
+
+    this._preserve(k);
+    const old = this._store.get(k);
+    const ver = (this._vers.get(k) || 0) + 1;
+    this._store.set(k, v);
+    this._vers.set(k, ver);
+    this._keys.add(k);
+
+    if (this.conf.cache) this.updateCache(k, v);
+
+    // TTL handling
+    const entries = [{ op: 'put', k, v, ver }];
+    if (opts.ttl && typeof opts.ttl === 'number') {
+      const exp = Date.now() + (opts.ttl * 1000);
+      this._ttl.set(k, exp);
+      entries.push({ op: 'ttl', k, exp });
+    }
+
+    // WAL Write, carrying the change's seq (see _record)
+    const seq = this._record('set', k, { value: v, ver, exp: this._ttl.get(k) });
+    entries[0].s = seq;
+    await this.appendToWAL(entries);
+
+    this.metrics.w++;
+    this.emit('set', { key: k, value: v, old, seq });
+
+    // Notify watchers
+    this._notifyWatchers(k, v, old, 'set');
+
+    ctx.old = old;
+    await this._runHooks('post', ctx);
+
+    return this;
+  }
+
+  get(k) {
+    if (!this.telemetry.enabled) return this._get(k);
+    const t0 = performance.now();
+    try {
+      return this._get(k);
+    } finally {
+      this.telemetry.observe('get', t0);
+    }
+  }
+
+  _get(k) {
+    if (!this.ready) throw new Error('DB not ready');
+    if (!this._hooks.pre.has('get') && !this._hooks.post.has('get')) return this._read(k);
+
+    const ctx = this._runHooksSync('pre', { op: 'get', key: k });
+    ctx.value = this._read(ctx.key);
+    this._runHooksSync('post', ctx);
+    return ctx.value;
+  }
+
+  // reads into a value: getPath('user', 'profile.name'). Keys are never
+  // split on dots anywhere else, 'a.b' is just a key
+  getPath(key, p) {
+    return readPath(this.get(key), splitPath(p));
+  }
+
+  // --- Versions / optimistic locking ---
+  // Every write bumps the key's version; 0 means "doesn't exist".
+  //
+  //   const { value, version } = db.getWithVersion('counter');
+  //   await db.set('counter', value + 1, { ifVersion: version }); // ConflictError if someone beat us
+  getWithVersion(k) {
+    return { value: this.get(k), version: this._vers.get(k) || 0 };
+  }
+
+  // Namespace quotas, checked where a write gets applied: after hooks
+  // (they can change the key or value) and with no await before the store
+  // changes, so concurrent writes can't all take the last free slot.
+  // ops: [key, { op: 'put'|'del', v }] pairs, like _commit()'s map
+  _checkQuotas(ops) {
+    if (!this._namespaces.size) return;
+    const touched = new Map(); // namespace -> { added, values }
+    for (const [k, o] of ops) {
+      const ns = this._namespaces.get(Namespace.nameOf(k));
+      if (!ns) continue;
+      let t = touched.get(ns);
+      if (!t) touched.set(ns, t = { added: 0, values: [] });
+      if (o.op === 'put') {
+        if (!this._store.has(k)) t.added++;
+        t.values.push(o.v);
+      } else if (this._store.has(k)) {
+        t.added--; // frees a slot for a put in the same group
+      }
+    }
+    for (const [ns, t] of touched) ns._checkQuota(t.added, t.values);
+  }
+
+  _checkVersion(k, expected) {
+    const actual = this._vers.get(k) || 0;
+    if (actual !== expected) throw new ConflictError(k, expected, actual);
+  }
+
+  // set() only if the key is still at `expected`, returns the new version
+  async compareAndSwap(k, expected, next) {
+    await this.set(k, next, { ifVersion: expected });
+    return this._vers.get(k);
+  }
+
+  // Atomic read-modify-write: reruns fn on the fresh value until the
+  // write lands without a conflict.
+  async update(k, fn, { retries = 100 } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const { value, version } = this.getWithVersion(k);
+      const next = await fn(value);
+      try {
+        await this.set(k, next, { ifVersion: version });
+        return next;
+      } catch (e) {
+        if (e.code !== 'ECONFLICT' || attempt >= retries) throw e;
+      }
+    }
+  }
+
+  // Updates one field without rewriting the whole value in the WAL:
+  //   await db.setPath('user', 'profile.name', 'Ada')
+  // logs { op: 'patch', k, p: ['profile', 'name'], v } instead of a full put.
+  async setPath(key, p, val, opts = {}) {
+    if (!this.ready) throw new Error('DB not ready');
+    this._assertWritable();
+
+    const parts = splitPath(p);
+    if (!parts.length) return this.set(key, val, opts);
+
+    // set hooks see (and may rewrite) the whole value, e.g. encryption,
+    // so with hooks around fall back to a normal full set
+    if (this._hooks.pre.has('set') || this._hooks.post.has('set')) {
+      return this.set(key, writePath(this.get(key), parts, val), opts);
+    }
+
+    this._expired(key);
+    if (opts.ifVersion !== undefined) this._checkVersion(key, opts.ifVersion);
+    const old = this._store.get(key);
+    const v = writePath(old, parts, val); // copies, old stays as it was
+    this._checkQuotas([[key, { op: 'put', v }]]);
+
+    this._preserve(key);
+    const ver = (this._vers.get(key) || 0) + 1;
+    this._store.set(key, v);
+    this._vers.set(key, ver);
+    this._keys.add(key);
+
+    if (this.conf.cache) this.updateCache(key, v);
+
+    // same ttl handling as set()
+    const entries = [{ op: 'patch', k: key, p: parts, v: val, ver }];
+    if (opts.ttl && typeof opts.ttl === 'number') {
+      const exp = Date.now() + (opts.ttl * 1000);
+      this._ttl.set(key, exp);
+      entries.push({ op: 'ttl', k: key, exp });
+    }
+
+    const seq = this._record('set', key, { value: v, ver, exp: this._ttl.get(key) });
+    entries[0].s = seq;
+    await this.appendToWAL(entries);
+
+    this.metrics.w++;
+    this.emit('set', { key, value: v, old, seq });
+    this._notifyWatchers(key, v, old, 'set');
+
+    return this;
+  }
+
+  // raw lookup (cache -> store), no hooks
+  _read(k) {
+    this.metrics.r++;
+    if (this._expired(k)) return undefined;
+
+    if (this.conf.cache && this._cache.has(k)) {
+      this.metrics.h++;
+      return this._cache.get(k);
+    }
+
+    this.metrics.m++;
+    const v = this._store.get(k);
+    if (this.conf.cache && v !== undefined) this.updateCache(k, v);
+    return v;
+  }
+
+  // opts.by: who deleted it, kept with the trash entry.
+  // opts.hard: skip the trash, gone for good (revisions and change log
+  // values too, see _erase())
+  async delete(key, opts) {
+    if (!this.telemetry.enabled) return this._delete(key, opts);
+    const t0 = performance.now();
+    try {
+      return await this._delete(key, opts);
+    } finally {
+      this.telemetry.observe('delete', t0);
+    }
+  }
+
+  async _delete(key, opts = {}) {
+    this._assertWritable();
+
+    const ctx = await this._runHooks('pre', { op: 'delete', key });
+    const k = ctx.key;
+
+    if (this._expired(k) || !this._store.has(k)) {
+      ctx.result = false;
+      await this._runHooks('post', ctx);
+      return false;
+    }
+
+    if (this.trash.covers(k) && !opts.hard) {
+      // soft delete: _commit() writes the removal and the trash entry as one
+      ctx.old = this._store.get(k);
+      await this._commit(new Map([[k, { op: 'del', raw: true, by: opts.by }]]));
+      ctx.result = true;
+      await this._runHooks('post', ctx);
+      return true;
+    }
+
+    this._preserve(k);
+    const old = this._store.get(k);
+    this._store.delete(k);
+    this._vers.delete(k);
+    this._keys.delete(k);
+    this._cache.delete(k);
+    this._ttl.delete(k); // cleanup ttl if any
+
+    // WAL Write
+    const seq = this._record('delete', k);
+    await this.appendToWAL({ op: 'del', k, s: seq });
+    if (opts.hard) this._erase(k);
+
+    this.emit('delete', { key: k, old, seq });
+    this._notifyWatchers(k, undefined, old, 'delete');
+
+    ctx.old = old;
+    ctx.result = true;
+    await this._runHooks('post', ctx);
+    return true;
+  }
+
+  // --- Transactions ---
+  // Groups several set/delete calls so they either all apply or none do.
+  // Writes are buffered on the tx object, then written to the WAL between
+  // begin/commit markers. Events + watchers only fire after the commit.
+  //
+  //   await db.transaction(async tx => {
+  //     tx.set('a', 1);
+  //     tx.delete('b');
+  //   });
+  async transaction(fn) {
+    if (!this.ready) throw new Error('DB not ready');
+    this._assertWritable();
+
+    const pending = new Map(); // key -> { op, v, opts } (last write wins)
+    const tx = {
+      set: (k, v, opts = {}) => {
+        pending.set(k, { op: 'put', v, opts });
+        return tx;
+      },
+      delete: (k, opts = {}) => {
+        pending.set(k, { op: 'del', by: opts.by, hard: opts.hard });
+        return tx;
+      },
+      // reads see the tx's own pending writes first
+      get: (k) => {
+        if (pending.has(k)) return pending.get(k).op === 'put' ? pending.get(k).v : undefined;
+        return this.get(k);
+      },
+      has: (k) => {
+        if (pending.has(k)) return pending.get(k).op === 'put';
+        return this.has(k);
+      }
+    };
+
+    const result = await fn(tx);
+    await this._commit(pending);
+    return result;
+  }
+
+  // --- Batch ---
+  // Bulk writes: one WAL append (wrapped in begin/commit so it's atomic too),
+  // one 'batch' event with per-key details instead of one event per key.
+  //
+  //   await db.batch([{ op: 'put', k: 'a', v: 1, ttl: 60 }, { op: 'del', k: 'b' }]);
+  async batch(list) {
+    if (!this.ready) throw new Error('DB not ready');
+    this._assertWritable();
+    if (!Array.isArray(list)) throw new Error('batch() expects an array of ops');
+
+    const pending = new Map();
+    for (const item of list) {
+      if (!item || typeof item.k !== 'string') throw new Error('batch op needs a string key (k)');
+      if (item.op === 'put') pending.set(item.k, { op: 'put', v: item.v, opts: item.ttl ? { ttl: item.ttl } : {} });
+      else if (item.op === 'del') pending.set(item.k, { op: 'del', by: item.by, hard: item.hard });
+      else throw new Error(`Unknown batch op: ${item.op}`);
+    }
+
+    await this._commit(pending, { batch: true });
+    return this;
+  }
+
+  // Shared commit path for transaction() and batch().
+  // pending: key -> { op: 'put'|'del', v, opts, by, hard, raw }
+  // raw ops (trash moves) skip hooks, their values are stored as given.
+  // untrash: keys to take out of the trash in the same write.
+  async _commit(pending, { batch = false, untrash = [] } = {}) {
+    if (!pending.size && !untrash.length) return;
+
+    // hooks run at commit time, same pipeline as plain set/delete.
+    // A throwing hook aborts the whole group before anything is applied.
+    const ops = new Map(); // final key -> { op, v, exp, ctx, by }
+    for (const [key, p] of pending) {
+      if (p.raw) {
+        ops.set(key, { op: p.op, v: p.v, exp: null, ctx: null, by: p.by, hard: p.hard });
+      } else if (p.op === 'put') {
+        const ctx = await this._runHooks('pre', { op: 'set', key, value: p.v, opts: p.opts || {} });
+        const ttl = ctx.opts.ttl;
+        const exp = ttl && typeof ttl === 'number' ? Date.now() + (ttl * 1000) : null;
+        ops.set(ctx.key, { op: 'put', v: ctx.value, exp, ctx });
+      } else {
+        const ctx = await this._runHooks('pre', { op: 'delete', key });
+        ops.set(ctx.key, { op: 'del', ctx, by: p.by, hard: p.hard });
+      }
+    }
+
+    // version checks go first so a conflict leaves nothing half-applied
+    for (const [k, o] of ops) {
+      this._expired(k);
+      if (o.op === 'put' && o.ctx && o.ctx.opts.ifVersion !== undefined) this._checkVersion(k, o.ctx.opts.ifVersion);
+    }
+    this._checkQuotas(ops);
+
+    // soft deletes: trash records go in the same atomic write
+    const trashed = [];
+    for (const [k, o] of ops) {
+      if (o.op === 'del' && !o.hard && this._store.has(k) && this.trash.covers(k)) trashed.push(this.trash._entry(k, o.by));
+    }
+    for (const k of untrash) trashed.push({ op: 'untrash', k });
+
+    const id = Date.now().toString(36) + (this._txSeq++).toString(36);
+    const entries = [{ op: 'begin', tx: id }];
+    const olds = new Map();
+
+    // apply in memory first (same order as set), WAL write right after
+    for (const [k, o] of ops) {
+      this._preserve(k);
+      const had = this._store.has(k);
+      olds.set(k, { had, v: this._store.get(k), exp: this._ttl.get(k), ver: this._vers.get(k) });
+
+      if (o.op === 'put') {
+        const ver = (this._vers.get(k) || 0) + 1;
+        this._store.set(k, o.v);
+        this._vers.set(k, ver);
+        this._keys.add(k);
+        if (this.conf.cache) this.updateCache(k, o.v);
+        if (o.exp) this._ttl.set(k, o.exp);
+        o.seq = this._record('set', k, { value: o.v, ver, exp: this._ttl.get(k) });
+        entries.push({ op: 'put', k, v: o.v, ver, tx: id, s: o.seq });
+        if (o.exp) entries.push({ op: 'ttl', k, exp: o.exp, tx: id });
+      } else {
+        this._store.delete(k);
+        this._vers.delete(k);
+        this._keys.delete(k);
+        this._cache.delete(k);
+        this._ttl.delete(k);
+        if (had) o.seq = this._record('delete', k);
+        entries.push({ op: 'del', k, tx: id, s: o.seq });
+      }
+    }
+    const trashUndo = trashed.map(rec => {
+      entries.push({ ...rec, tx: id });
+      return this.trash._apply(rec);
+    });
+    entries.push({ op: 'commit', tx: id });
+
+    try {
+      await this.appendToWAL(entries);
+    } catch (e) {
+      // roll back whatever nobody else touched in the meantime
+      for (const rec of trashUndo.reverse()) this.trash._apply(rec);
+      for (const [k, old] of olds) {
+        const o = ops.get(k);
+        const untouched = o.op === 'put' ? this._store.get(k) === o.v : !this._store.has(k);
+        if (!untouched) continue;
+
+        this._preserve(k);
+        if (old.had) {
+          this._store.set(k, old.v);
+          this._vers.set(k, old.ver);
+          this._keys.add(k);
+        } else {
+          this._store.delete(k);
+          this._vers.delete(k);
+          this._keys.delete(k);
+        }
+        this._cache.delete(k);
+        if (old.exp) this._ttl.set(k, old.exp);
+        else this._ttl.delete(k);
+
+        // the feed already has the change, follow it with the undo
+        if (o.seq === undefined) continue;
+        if (old.had) this._record('set', k, { value: old.v, ver: old.ver, exp: old.exp });
+        else this._record('delete', k);
+      }
+      throw e;
+    }
+
+    // committed, now tell everyone
+    const details = [];
+    for (const [k, o] of ops) {
+      const old = olds.get(k).v;
+      const seq = o.seq;
+      if (o.op === 'put') {
+        this.metrics.w++;
+        if (batch) details.push({ op: 'put', key: k, value: o.v, old, seq });
+        else this.emit('set', { key: k, value: o.v, old, seq });
+        this._notifyWatchers(k, o.v, old, 'set');
+      } else if (olds.get(k).had) {
+        if (o.hard) this._erase(k);
+        if (batch) details.push({ op: 'del', key: k, old, seq });
+        else this.emit('delete', { key: k, old, seq });
+        this._notifyWatchers(k, undefined, old, 'delete');
+      }
+    }
+    if (batch) this.emit('batch', { ops: details, count: details.length });
+
+    for (const o of ops.values()) {
+      if (!o.ctx) continue;
+      o.ctx.old = olds.get(o.ctx.key).v;
+      if (o.op === 'del') o.ctx.result = olds.get(o.ctx.key).had;
+      await this._runHooks('post', o.ctx);
+    }
+  }
+
+  has(k) { return !this._expired(k) && this._store.has(k); }
+
+  all() {
+    this._sweepExpired();
+    return Object.fromEntries(this._store);
+  }
+
+  // --- Ordered scans ---
+  // Walk keys in sorted order without copying the store.
+  // opts: { prefix, gt, gte, lt, lte, reverse, limit }
+  //
+  //   for (const [k, v] of db.scan({ prefix: 'users:' })) ...        (sync)
+  //   for await (const k of db.keys({ gte: 'a', lt: 'b' })) ...     (async)
+  //
+  // Values are raw (no get hooks), same as all().
+  *scan(opts = {}) {
+    let left = opts.limit === undefined ? Infinity : opts.limit;
+    if (left <= 0) return;
+
+    for (const k of this._keys.range(opts)) {
+      if (this._expired(k)) continue;
+      yield [k, this._store.get(k)];
+      if (--left <= 0) return;
+    }
+  }
+
+  async *keys(opts = {}) {
+    for (const [k] of this.scan(opts)) yield k;
+  }
+
+  async *entries(opts = {}) {
+    for (const entry of this.scan(opts)) yield entry;
+  }
+
+  // --- Dump / Load ---
+  // Plain { key: value } of everything live, e.g. to inspect state in tests.
+  dump() {
+    return this.all();
+  }
+
+  // Seeds the db from a plain object. Replaces everything unless merge is
+  // set. Goes through clear() + batch(), so hooks, events, indexes and the
+  // storage engine all see it like any other write.
+  async load(data, { merge = false } = {}) {
+    if (!this.ready) throw new Error('DB not ready');
+    this._assertWritable();
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('load() expects a plain object');
+
+    if (!merge) await this.clear();
+    const ops = Object.entries(data).map(([k, v]) => ({ op: 'put', k, v }));
+    if (ops.length) await this.batch(ops);
+    return this;
+  }
+
+  async clear() {
+    this._assertWritable();
+    const size = this._store.size;
+    if (this._snapshots.size) {
+      // open snapshots keep the old structures, we start on fresh ones
+      this._store = new Map();
+      this._vers = new Map();
+      this._ttl = new Map();
+      this._keys = new SortedKeys();
+    } else {
+      this._store.clear();
+      this._vers.clear();
+      this._ttl.clear();
+      this._keys.clear();
+    }
+    this._cache.clear();
+    this._idx.clear(); // If index manager listens to clear, good. If not, manual clear needed in index manager logic.
+
+    const seq = this._record('clear');
+    await this.appendToWAL({ op: 'clr', s: seq });
+
+    this.emit('clear', { size, seq });
+    return this;
+  }
+
+  // --- Read snapshots ---
+  // Cheap point-in-time view (see Snapshot.js). Nothing is copied up
+  // front; writes hand the old value to open snapshots first, so call
+  // release() when done or they keep collecting.
+  //
+  //   const snap = db.snapshot();
+  //   snap.get('a'); // same answer no matter what's written meanwhile
+  snapshot(opts) {
+    if (!this.ready) throw new Error('DB not ready');
+    const snap = new Snapshot(this, opts);
+    this._snapshots.add(snap);
+    return snap;
+  }
+
+  // every in-memory write calls this before touching key k
+  _preserve(k) {
+    if (!this._snapshots.size) return;
+    for (const snap of this._snapshots) snap._capture(k);
+  }
+
+  // --- Change feed ---
+  // Every mutation gets a seq (1, 2, 3...) and lands in a bounded log,
+  // also on disk in <name>.changes, so a consumer can store the last seq
+  // it handled and pick up from there, even across restarts.
+  //
+  //   for await (const c of db.changes({ since: cursor, filter: 'orders:*' })) {
+  //     await handle(c); // { seq, op, key, value, ver, exp, ts }
+  //     cursor = c.seq;
+  //   }
+  //
+  // op: 'set' | 'delete' | 'expire' | 'ttl' | 'clear' | 'restore'
+  // (clear/restore have no key and mean "start over from a full read").
+  // since: last seq already seen, default is now (only new changes).
+  // filter: key, glob, { prefix } or fn(change). live: false stops once
+  // caught up instead of waiting for more. signal (AbortSignal) ends it,
+  // even while it's waiting for the next change; a plain { aborted } works
+  // too if whoever sets it calls _wakeChanges() (websocket.js, Node 14
+  // has no AbortController). A cursor older than the log
+  // throws with code 'ECURSOR'. Seqs are never reused, not even after a
+  // crash (the WAL and snapshots carry them too). Hard-deleted keys
+  // keep their entries, minus the values (see _erase()).
+  async *changes({ since, filter, limit = Infinity, live = true, signal } = {}) {
+    const match = changeFilter(filter);
+    let cursor = since === undefined ? this._seq : Number(since);
+    if (!Number.isInteger(cursor) || cursor < 0) throw new Error(`Invalid change cursor: ${since}`);
+    if (cursor > this._seq) throw cursorError(`Change cursor ${cursor} is ahead of the feed (at ${this._seq})`);
+
+    let left = limit;
+    while (left > 0 && !(signal && signal.aborted)) {
+      const buf = this._changes;
+      const oldest = buf.length ? buf[0].seq : this._seq + 1;
+      if (cursor < oldest - 1) {
+        throw cursorError(`Change cursor ${cursor} is older than the change log (oldest kept is ${oldest})`);
+      }
+
+      let i = firstAfter(buf, cursor);
+      if (i === buf.length) {
+        if (!live || !this.ready) return;
+        let wake;
+        await new Promise((resolve) => {
+          wake = resolve;
+          this._changeWaiters.add(resolve);
+          if (signal && signal.addEventListener) signal.addEventListener('abort', resolve, { once: true });
+        });
+        this._changeWaiters.delete(wake);
+        if (signal && signal.removeEventListener) signal.removeEventListener('abort', wake);
+        continue;
+      }
+
+      // hand out what's buffered, re-checking the cursor after every yield
+      // since the buffer may get trimmed while the consumer is busy
+      for (; i < buf.length && left > 0 && this._changes === buf && !(signal && signal.aborted); i++) {
+        const c = buf[i];
+        if (c.seq <= cursor) continue;
+        cursor = c.seq;
+        if (!match(c)) continue;
+        left--;
+        yield c;
+      }
+    }
+  }
+
+  // last seq handed out, 0 = nothing yet
+  get seq() {
+    return this._seq;
+  }
+
+  // Called as a write is applied in memory, before its WAL write, so the
+  // WAL line can carry the seq (`s`) and replay knows where the feed got
+  // to even if .changes didn't make it to disk. Seqs follow apply order,
+  // which is also WAL order.
+  _record(op, key, extra) {
+    const change = { seq: ++this._seq, op, key, ...extra, ts: Date.now() };
+    const max = this.conf.changeLogSize;
+    this._changes.push(change);
+    // trim in big steps so it's not a shift() per write
+    if (this._changes.length >= max * 2) this._changes = this._changes.slice(-max);
+
+    // with a WAL the group commit picks the lines up (see _flushWAL)
+    if (this._changeFile && this._changeLines.push(changeLine(change)) === 1 && !this._walHandle) {
+      this._changeFlush = this._changeFlush.then(() => this._appendChanges());
+    }
+    this._history.record(change);
+    this._wakeChanges();
+    return change.seq;
+  }
+
+  // Hard deletes (GDPR erasure): the key's revisions go and its values
+  // get scrubbed out of the change log, .changes included. The entries
+  // keep their seqs (cursors stay valid), just not value/ver/exp.
+  _erase(k) {
+    this._history.forget(k);
+    let scrubbed = false;
+    for (let i = 0; i < this._changes.length; i++) {
+      const c = this._changes[i];
+      if (c.key !== k || c.value === undefined) continue;
+      this._changes[i] = { seq: c.seq, op: c.op, key: k, ts: c.ts };
+      scrubbed = true;
+    }
+    if (scrubbed) this._trimChanges();
+  }
+
+  _wakeChanges() {
+    if (!this._changeWaiters.size) return;
+    const waiters = [...this._changeWaiters];
+    this._changeWaiters.clear();
+    for (const wake of waiters) wake();
+  }
+
+  // everything recorded since the last append, in one write.
+  // sync: fsync it too, for the WAL's group commit
+  async _appendChanges(sync = false) {
+    if (!this._changeLines.length) return;
+    const text = this._changeLines.join('\n') + '\n';
+    this._changeLines = [];
+    try {
+      const fh = await fs.open(this.changesPath, 'a');
+      try {
+        await fh.write(text);
+        if (sync) await fh.sync();
+      } finally {
+        await fh.close();
+      }
+    } catch (e) {
+      this.emit('error', e);
+    }
+  }
+
+  // goes through _changeFlush so appends never overlap a trim
+  _flushChanges(sync) {
+    if (!this._changeFile) return;
+    this._changeFlush = this._changeFlush.then(() => this._appendChanges(sync));
+    return this._changeFlush;
+  }
+
+  // rewrites the file with just the kept changes, runs on save().
+  // Synced like the snapshot: the WAL with the seqs goes away after it.
+  _trimChanges() {
+    if (!this._changeFile) return;
+    this._changeFlush = this._changeFlush.then(async () => {
+      this._changeLines = []; // already in _changes, which is what we write
+      const tmp = this.changesPath + '.tmp';
+      try {
+        const keep = this._changes.slice(-this.conf.changeLogSize);
+        const fh = await fs.open(tmp, 'w');
+        try {
+          await fh.write(keep.map(c => changeLine(c) + '\n').join(''));
+          if (this.conf.durability !== 'none') await fh.sync();
+        } finally {
+          await fh.close();
+        }
+        await fs.rename(tmp, this.changesPath);
+      } catch (e) {
+        this.emit('error', e);
+      }
+    });
+  }
+
+  async _loadChanges() {
+    if (!this.conf.changeLog || this.conf.inMemory) return;
+
+    let text;
+    try {
+      text = await fs.readFile(this.changesPath, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+
+    const changes = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const c = JSON.parse(line);
+        if (c.e) {
+          c.value = decode(c.value);
+          delete c.e;
+        }
+        if (Number.isInteger(c.seq) && (!changes.length || c.seq > changes[changes.length - 1].seq)) changes.push(c);
+      } catch (e) {
+        // torn last line after a crash, the rest is still good
+      }
+    }
+
+    // The snapshot header and the WAL (loaded first) know the last seq
+    // handed out. If .changes stops short of it, the crash took some
+    // changes with it: drop the log so old cursors get ECURSOR and re-read,
+    // instead of silently skipping what's missing. Seq never goes back.
+    const last = changes.length ? changes[changes.length - 1].seq : 0;
+    if (last < this._seq) {
+      if (changes.length) console.warn(`Change log ends at seq ${last}, the db got to ${this._seq}: older cursors will need a full re-read`);
+      this._changes = [];
+      return;
+    }
+    this._changes = changes.slice(-this.conf.changeLogSize);
+    this._seq = last;
+  }
+
+  // --- Revision history ---
+  // Opt-in per prefix ('' = every key), see History.js.
+  //
+  //   db.enableHistory('users:', { keep: 20 });   // or { days: 7 }
+  //   db.history('users:1');                      // [{ rev, op, value, version, ts }], newest first
+  //   db.getAt('users:1', yesterday);             // value as of then
+  //   await db.revert('users:1', 4);              // written back as a new revision
+  enableHistory(prefix, opts) {
+    this._history.enable(prefix, opts);
+    return this;
+  }
+
+  disableHistory(prefix) {
+    this._history.disable(prefix);
+    return this;
+  }
+
+  history(key, opts) {
+    return this._history.list(key, opts);
+  }
+
+  getAt(key, when) {
+    return this._history.at(key, when);
+  }
+
+  // throws with code 'EREVISION' if that revision isn't kept (anymore)
+  revert(key, rev) {
+    return this._history.revert(key, rev);
+  }
+
+  updateCache(k, v) {
+    if (this._cache.size >= this.conf.cacheLimit) {
+      const head = this._cache.keys().next().value;
+      this._cache.delete(head);
+    }
+    this._cache.set(k, v);
+  }
+
+  // Snapshotting (Compact WAL)
+  // force: write a snapshot even if nothing changed since the last one.
+  // hold: keep writes waiting until the snapshot is down, not just while
+  // the WAL rotates (see _adopt())
+  // strict: reject if it fails, instead of just logging and emitting 'error'
+  async save({ force = false, hold = false, strict = false } = {}) {
+    if (this.conf.readOnly) return; // nothing of ours to write
+    if (this._saving) return this._saving; // Prevent overlap
+    if (!force && !this._opsSinceSave) return;
+    this._trimChanges();
+    this._history.compact();
+    this._saving = this._engine ? this._saveEngine({ strict }) : this._save({ hold, strict });
+    return this._saving;
+  }
+
+  async _saveEngine({ strict = false } = {}) {
+    const ops = this._opsSinceSave;
+    this._opsSinceSave = 0;
+    let saved = false;
+    try {
+      const t0 = performance.now();
+      await this._engineQueue;
+      await this._engine.snapshot();
+      await this.trash.save();
+      this._snapshotTime = (performance.now() - t0) / 1000;
+      saved = true;
+      this.emit('save', { count: this._store.size });
+    } catch (e) {
+      this._opsSinceSave += ops;
+      if (strict) throw e;
+      console.error('Save failed:', e);
+      this.emit('error', e);
+    } finally {
+      this._saving = null;
+    }
+    if (saved) this._checkCompaction(); // see _save()
+  }
+
+  async _save({ hold = false, strict = false } = {}) {
+    let ops = 0;
+    let bytes = 0;
+    let snap = null;
+    let saved = false;
+    try {
+      // point-in-time state; anything written after this goes to the new WAL.
+      // Copy-on-write snapshot, so nothing is copied up front and writes
+      // keep going while it's serialized batch by batch below.
+      const t0 = performance.now();
+      snap = this.snapshot();
+      ops = this._opsSinceSave;
+      bytes = this._walBytes;
+      this._opsSinceSave = 0; // from here on it's the next WAL's
+      this._walBytes = 0;
+      const snapTs = Date.now();
+
+      // 1. Rotate the WAL: everything in it is in `snap`. New lines wait
+      // just for the handle swap, not for the snapshot to be written
+      this._rotating = true;
+      await this._rotateWAL();
+      if (!hold) this._resumeWAL();
+
+      // 2. Write full state to .json
+      const tmp = this.conf.path + '.tmp';
+      await this._writeSnapshot(tmp, snap);
+      await fs.rename(tmp, this.conf.path);
+      await this.trash.save();
+
+      // 3. The rotated segment is in the snapshot (and .trash) now
+      if (this.conf.archive) {
+        await this._archive(snapTs);
+      } else {
+        await fs.unlink(this.prevLogPath);
+      }
+
+      this._snapshotTime = (performance.now() - t0) / 1000;
+      saved = true;
+      if (this.conf.debug) console.log('Snapshot saved & WAL compacted');
+      this.emit('save', { count: this._store.size });
+    } catch (e) {
+      // still in the rotated (or old) WAL, try again next time
+      this._opsSinceSave += ops;
+      this._walBytes += bytes;
+      if (strict) throw e;
+      console.error('Save failed:', e);
+      this.emit('error', e);
+    } finally {
+      if (snap) snap.release();
+      this._saving = null;
+      await this._resumeWAL();
+    }
+    // writes that came in meanwhile skipped the check (it was saving),
+    // they may be past the limits already. Not after a failure, the timer
+    // retries those
+    if (saved) this._checkCompaction();
+  }
+
+  // Moves the live WAL to prevLogPath and starts an empty one. A segment
+  // left there by a save() that failed halfway isn't in any snapshot yet,
+  // so the live WAL gets added to it instead.
+  async _rotateWAL() {
+    // lines still in flight belong to ops already in the snapshot
+    await this._drainWAL();
+    if (this._walHandle) {
+      // the segment has to outlive a crash until the snapshot is down
+      if (this.conf.durability !== 'none' && this._walDirty) await this._fsync();
+      await this._walHandle.close();
+      this._walHandle = null;
+    }
+
+    try {
+      if (await fs.stat(this.prevLogPath).then(() => true, () => false)) {
+        await fs.appendFile(this.prevLogPath, await fs.readFile(this.logPath));
+        await fs.unlink(this.logPath);
+      } else {
+        await fs.rename(this.logPath, this.prevLogPath);
+      }
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    this._walHandle = await fs.open(this.logPath, 'a');
+  }
+
+  // lets held WAL lines go again after a rotation
+  async _resumeWAL() {
+    if (!this._rotating) return;
+    // never leave the WAL closed, even if rotating blew up halfway
+    if (!this._walHandle) this._walHandle = await fs.open(this.logPath, 'a').catch(() => null);
+    this._rotating = false;
+    if (this._walQueue.length && !this._walFlushing) this._walFlushing = this._flushWAL();
+  }
+
+  // --- WAL Archive / Point-in-time recovery ---
+  // Every save() moves the finished WAL segment to wal-<ts>.log and copies
+  // the snapshot to snap-<ts>.json, so any moment inside the retention
+  // window can be rebuilt from a snapshot + the segments after it.
+  async _archive(ts) {
+    const stamp = String(ts);
+    try {
+      await fs.rename(this.prevLogPath, path.join(this.archiveDir, `wal-${stamp}.log`));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    await fs.copyFile(this.conf.path, path.join(this.archiveDir, `snap-${stamp}.json`));
+    await this._pruneArchive();
+  }
+
+  async _pruneArchive() {
+    const { snapshots, segments } = await this.listArchives();
+    const drop = snapshots.slice(0, Math.max(0, snapshots.length - this.conf.archiveRetention));
+    if (!drop.length) return;
+
+    // segments up to the oldest kept snapshot are already baked into it
+    const oldest = snapshots[drop.length].ts;
+    const stale = drop.concat(segments.filter(s => s.ts <= oldest));
+    for (const f of stale) {
+      await fs.unlink(path.join(this.archiveDir, f.file)).catch(() => { });
+    }
+  }
+
+  async listArchives() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.archiveDir);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    const pick = (re) => files
+      .map(file => { const m = re.exec(file); return m ? { file, ts: Number(m[1]) } : null; })
+      .filter(Boolean)
+      .sort((a, b) => a.ts - b.ts);
+
+    return {
+      snapshots: pick(/^snap-(\d+)\.json$/),
+      segments: pick(/^wal-(\d+)\.log$/)
+    };
+  }
+
+  // Rebuilds the store as it was at `timestamp` (ms or Date) and persists it.
+  // The state being replaced is archived too, so a restore can be undone.
+  async restoreTo(timestamp) {
+    if (!this.ready) throw new Error('DB not ready');
+    this._assertWritable();
+    this._requireWAL('restoreTo()');
+    if (!this.conf.archive) throw new Error('restoreTo() needs the archive option enabled');
+
+    const until = timestamp instanceof Date ? timestamp.getTime() : Number(timestamp);
+    if (!Number.isFinite(until)) throw new Error(`Invalid timestamp: ${timestamp}`);
+
+    // let a running save() finish so the archive listing is complete
+    while (this._saving) await this._saving;
+
+    const { snapshots, segments } = await this.listArchives();
+    const base = snapshots.filter(s => s.ts <= until).pop();
+    if (!base) throw new Error(`No archived snapshot at or before ${new Date(until).toISOString()}`);
+
+    const state = emptyState();
+    await this._readSnapshot(path.join(this.archiveDir, base.file), state);
+
+    let replayed = 0;
+    for (const seg of segments) {
+      if (seg.ts <= base.ts) continue; // already in the snapshot
+      const log = await fs.readFile(path.join(this.archiveDir, seg.file), 'utf8');
+      replayed += this._replayLines(log, state, { until }).replayed;
+      if (seg.ts > until) break;
+    }
+
+    // still inside the live segment
+    if (!segments.length || segments[segments.length - 1].ts <= until) {
+      await this._drainWAL();
+      const log = await this._readWAL();
+      if (log !== null) replayed += this._replayLines(log, state, { until }).replayed;
+    }
+
+    const { store } = state;
+    // live even if it couldn't be saved, see Backups._restoreFile()
+    let unsaved = null;
+    await this._adopt(state).catch(e => { unsaved = e; });
+
+    if (this.conf.debug) console.log(`Restored to ${new Date(until).toISOString()} (${base.file} + ${replayed} ops)`);
+    this.emit('restore', { timestamp: until, size: store.size, seq: this._record('restore') });
+    this._flushChanges(); // no WAL line to take it along
+    if (unsaved) throw unsaved;
+    return { timestamp: until, snapshot: base.ts, replayed, size: store.size };
+  }
+
+  // Puts a freshly read state in place of the live one and persists it
+  // (restoreTo(), restore()). Open snapshots keep the old structures.
+  async _adopt({ store, ttl, vers }) {
+    while (this._saving) await this._saving; // it'd write the old state after us
+
+    this._store = store;
+    this._keys = new SortedKeys(store.keys());
+    this._ttl = ttl;
+    this._vers = vers;
+    this._cache.clear();
+
+    if (this._engine) {
+      // engines have no snapshot file to swap, rewrite what they hold
+      await this._engineWrite([{ op: 'clr' }, ...Array.from(store.keys(), k => ({ op: 'put', k, v: store.get(k) }))]);
+    }
+    // writes wait for the snapshot: on top of the old one plus the WAL
+    // they'd replay onto the state from before the restore. If it can't be
+    // written the caller has to know; the swapped state counts as unsaved,
+    // so the next save() picks it up.
+    this._opsSinceSave++;
+    while (this._saving) await this._saving; // the engine write above gave autosave a window
+    await this.save({ force: true, hold: true, strict: true });
+  }
+
+  // --- Backups ---
+  // Online, consistent backups and restore, see Backups.js
+  backup(dest, opts) {
+    return this._backups.backup(dest, opts);
+  }
+
+  // throws with code 'EBACKUP' if the file fails its checks
+  restore(src, opts) {
+    return this._backups.restore(src, opts);
+  }
+
+  listBackups(dir) {
+    return this._backups.list(dir);
+  }
+
+  // --- Integrity ---
+  // Read-only check of the snapshot + live WAL on disk. Doesn't touch
+  // the in-memory store, safe to call on a running db.
+  async verify() {
+    this._requireWAL('verify()');
+    await this._drainWAL();
+
+    let snapshot = null;
+    try {
+      snapshot = await this._readSnapshot(this.conf.path, emptyState(), { strict: false });
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+
+    let wal = null;
+    const log = await this._readWAL();
+    if (log !== null) {
+      const res = this._replayLines(log, emptyState(), { quiet: true });
+      wal = {
+        lines: log.split('\n').slice(0, -1).filter(l => l.trim()).length, // complete lines only
+        replayable: res.replayed,
+        corrupt: res.corrupt,
+        tornTail: res.torn,
+        uncommitted: res.uncommitted
+      };
+    }
+
+    const ok = (!snapshot || (!snapshot.corrupt.length && snapshot.checksum !== 'mismatch' &&
+      snapshot.records === snapshot.expected)) && (!wal || (!wal.corrupt.length && !wal.tornTail));
+
+    return { ok, snapshot, wal };
+  }
+
+  startSaver() {
+    // Regular snapshotting to keep WAL small
+    this._timer = setInterval(() => {
+      if (this.ready) this.save();
+    }, this.conf.saveInterval);
+  }
+
+  // --- TTL ---
+  // Expirations live in _ttl (key -> ms timestamp), the WAL ('ttl' lines)
+  // and the snapshot (`exp` on each record), so they survive a save().
+  // Reads expire keys lazily, the sweep below catches the ones nobody reads.
+
+  // seconds left, -1 = no expiry, -2 = no such key (same as redis)
+  ttl(k) {
+    if (this._expired(k) || !this._store.has(k)) return -2;
+    const exp = this._ttl.get(k);
+    return exp === undefined ? -1 : Math.ceil((exp - Date.now()) / 1000);
+  }
+
+  async expire(k, seconds) {
+    return this.expireAt(k, Date.now() + seconds * 1000);
+  }
+
+  // when: Date or ms timestamp. False if the key doesn't exist.
+  async expireAt(k, when) {
+    if (!this.ready) throw new Error('DB not ready');
+    this._assertWritable();
+
+    const exp = when instanceof Date ? when.getTime() : Number(when);
+    if (!Number.isFinite(exp)) throw new Error(`Invalid expiry: ${when}`);
+    if (this._expired(k) || !this._store.has(k)) return false;
+
+    this._preserve(k);
+    this._ttl.set(k, exp);
+    await this.appendToWAL({ op: 'ttl', k, exp, s: this._record('ttl', k, { exp }) });
+    this._expired(k); // a date in the past expires it right away
+    return true;
+  }
+
+  // drops the expiry, true if there was one
+  async persist(k) {
+    if (!this.ready) throw new Error('DB not ready');
+    this._assertWritable();
+    if (this._expired(k) || !this._ttl.has(k)) return false;
+
+    this._preserve(k);
+    this._ttl.delete(k);
+    await this.appendToWAL({ op: 'ttl', k, exp: null, s: this._record('ttl', k, { exp: null }) });
+    return true;
+  }
+
+  // true (and the key is gone) if k has run out of time
+  _expired(k) {
+    const exp = this._ttl.get(k);
+    if (exp === undefined || exp > Date.now()) return false;
+    this._expire(k, exp);
+    return true;
+  }
+
+  // Not a delete(): no hooks, its own 'expire' event. The WAL gets a plain
+  // del so replay doesn't need to know the difference.
+  _expire(k, exp) {
+    this._preserve(k);
+    const old = this._store.get(k);
+    this._store.delete(k);
+    this._vers.delete(k);
+    this._keys.delete(k);
+    this._cache.delete(k);
+    this._ttl.delete(k);
+    this.metrics.x++;
+
+    // reads are sync, so this one isn't awaited
+    const seq = this._record('expire', k);
+    this.appendToWAL({ op: 'del', k, s: seq }).catch(e => this.emit('error', e));
+
+    if (this.conf.debug) console.log(`TTL expired: ${k}`);
+    this.emit('expire', { key: k, old, exp, seq });
+    this._notifyWatchers(k, undefined, old, 'expire');
+  }
+
+  _sweepExpired() {
+    const now = Date.now();
+    for (const [k, exp] of this._ttl) {
+      if (exp <= now) this._expire(k, exp);
+    }
+  }
+
+  // Runs every 10s for keys that never get read again
+  _startTTLSweep() {
+    this._ttlTimer = setInterval(() => this._sweepExpired(), 10000);
+  }
+
+  // --- Watch / Unwatch ---
+  // Firebase-style reactive listeners. `target` can be:
+  //   'users:42'             exact key
+  //   'session:*', 'a?c'     glob (* = any run of chars, ? = one char)
+  //   { prefix: 'users:' }   everything under a prefix
+  // cb(newValue, oldValue, key, op), op is 'set', 'delete' or 'expire'.
+  // Same first two args as ever, patterns read the key off the third
+  watch(target, cb) {
+    const w = parseWatchTarget(target);
+    if (!w) {
+      if (!this._watchers.has(target)) this._watchers.set(target, new Set());
+      this._watchers.get(target).add(cb);
+      return;
+    }
+
+    // patterns are grouped by their literal prefix, so a write only has to
+    // look at groups whose prefix it actually starts with
+    let group = this._patternWatchers.get(w.prefix);
+    if (!group) {
+      group = new Map();
+      this._patternWatchers.set(w.prefix, group);
+      this._prefixLens.set(w.prefix.length, (this._prefixLens.get(w.prefix.length) || 0) + 1);
+    }
+    if (!group.has(w.rest)) group.set(w.rest, { re: w.re, cbs: new Set() });
+    group.get(w.rest).cbs.add(cb);
+  }
+
+  // no cb = drop every watcher on that key/pattern
+  unwatch(target, cb) {
+    const w = parseWatchTarget(target);
+    if (!w) {
+      if (!this._watchers.has(target)) return;
+      if (cb) {
+        this._watchers.get(target).delete(cb);
+        if (this._watchers.get(target).size === 0) this._watchers.delete(target);
+      } else {
+        this._watchers.delete(target); // remove all watchers for this key
+      }
+      return;
+    }
+
+    const group = this._patternWatchers.get(w.prefix);
+    if (!group || !group.has(w.rest)) return;
+    const entry = group.get(w.rest);
+    if (cb) entry.cbs.delete(cb);
+    if (!cb || entry.cbs.size === 0) group.delete(w.rest);
+
+    if (group.size === 0) {
+      this._patternWatchers.delete(w.prefix);
+      const n = this._prefixLens.get(w.prefix.length) - 1;
+      if (n) this._prefixLens.set(w.prefix.length, n);
+      else this._prefixLens.delete(w.prefix.length);
+    }
+  }
+
+  _notifyWatchers(key, newVal, oldVal, op) {
+    const call = (cbs) => {
+      for (const cb of cbs) {
+        try { cb(newVal, oldVal, key, op); } catch (e) { /* don't let bad callbacks crash us */ }
+      }
+    };
+
+    if (this._watchers.has(key)) call(this._watchers.get(key));
+    if (!this._patternWatchers.size) return;
+
+    // one map lookup per distinct prefix length, however many watchers there are
+    for (const len of this._prefixLens.keys()) {
+      if (len > key.length) continue;
+      const group = this._patternWatchers.get(key.slice(0, len));
+      if (!group) continue;
+      for (const { re, cbs } of group.values()) {
+        if (!re || re.test(key)) call(cbs);
+      }
+    }
+  }
+
+  // --- Collections ---
+  // Returns a Collection instance for the given name.
+  // Cached so you always get the same reference.
+  collection(name) {
+    if (!this._collections.has(name)) {
+      this._collections.set(name, new Collection(this, name));
+    }
+    return this._collections.get(name);
+  }
+
+  // --- Namespaces (tenants) ---
+  // Scoped view with its own key prefix, quota and stats, see Namespace.js.
+  // Passing quota again updates it. Quotas aren't persisted: set them in
+  // every process that opens the db.
+  namespace(name, quota) {
+    let ns = this._namespaces.get(name);
+    if (!ns) {
+      ns = new Namespace(this, name, quota);
+      this._namespaces.set(name, ns);
+    } else if (quota) {
+      Object.assign(ns.quota, quota);
+    }
+    return ns;
+  }
+
+  // names of every tenant with data, opened or not
+  namespaces() {
+    const names = [];
+    let from = '@';
+    while (true) {
+      const next = this._keys.range({ gte: from, lt: 'A' }).next(); // 'A' is right after '@'
+      if (next.done) break;
+      const k = next.value;
+      const slash = k.indexOf('/');
+      if (slash === -1) {
+        from = k + '\0';
+        continue;
+      }
+      names.push(k.slice(1, slash));
+      from = prefixEnd(k.slice(0, slash + 1));
+    }
+    return names;
+  }
+
+
+  // core counters/gauges for db.telemetry, read at scrape time. The API,
+  // WebSocket, replication and audit modules add their own.
+  _registerMetrics() {
+    const t = this.telemetry;
+    t.counter('sehawq_reads_total', 'Reads', () => this.metrics.r);
+    t.counter('sehawq_writes_total', 'Writes', () => this.metrics.w);
+    t.counter('sehawq_cache_hits_total', 'Reads served from the cache', () => this.metrics.h);
+    t.counter('sehawq_cache_misses_total', 'Reads that missed the cache', () => this.metrics.m);
+    t.counter('sehawq_expired_total', 'Keys removed by TTL', () => this.metrics.x);
+    t.counter('sehawq_fsyncs_total', 'WAL fsyncs', () => this.metrics.fsyncs);
+    t.counter('sehawq_compactions_total', 'Saves triggered by WAL size / op count', () => this.metrics.compactions);
+    t.counter('sehawq_changes_total', 'Mutations recorded in the change feed', () => this._seq);
+    t.gauge('sehawq_keys', 'Keys in the store', () => this._store.size);
+    t.gauge('sehawq_wal_bytes', 'Size of the live WAL', () => this._walBytes);
+    t.gauge('sehawq_unsaved_ops', 'Ops since the last snapshot', () => this._opsSinceSave);
+    t.gauge('sehawq_snapshot_duration_seconds', 'How long the last save() took', () => this._snapshotTime);
+    t.gauge('sehawq_cache_entries', 'Entries in the read cache', () => this._cache.size);
+    t.gauge('sehawq_ttl_keys', 'Keys with an expiry', () => this._ttl.size);
+    t.gauge('sehawq_open_snapshots', 'Read snapshots not released yet', () => this._snapshots.size);
+  }
+
+  getStats() {
+    const total = this.metrics.h + this.metrics.m;
+    const rate = total === 0 ? 0 : ((this.metrics.h / total) * 100).toFixed(2);
+
+    return {
+      reads: this.metrics.r,
+      writes: this.metrics.w,
+      hits: this.metrics.h,
+      misses: this.metrics.m,
+      rate: `${rate}%`,
+      size: this._store.size,
+      ttlKeys: this._ttl.size,
+      expired: this.metrics.x,
+      storage: this.storage,
+      snapshots: this._snapshots.size,
+      seq: this._seq,
+      durability: this.conf.durability,
+      walBytes: this._walBytes,
+      compactions: this.metrics.compactions,
+      lastBackup: this._backups.last ? this._backups.last.ts : null,
+      fsyncs: this.metrics.fsyncs,
+      fsyncTime: this.metrics.fsyncTime.toFixed(2) + 'ms',
+      fsyncAvg: this.metrics.fsyncs ? (this.metrics.fsyncTime / this.metrics.fsyncs).toFixed(2) + 'ms' : '0ms'
+    };
+  }
+
+  async close() {
+    if (this._timer) clearInterval(this._timer);
+    if (this._ttlTimer) clearInterval(this._ttlTimer);
+    if (this._fsyncTimer) clearInterval(this._fsyncTimer);
+    await this._backups.stop();
+    await this.save(); // Final snapshot
+    while (this._saving) await this._saving; // one it set off, see _checkCompaction()
+    if (this._worker) {
+      const { worker } = this._worker;
+      this._worker = null;
+      await worker.terminate();
+    }
+    if (this._engine) {
+      await this._engineQueue;
+      if (!this.conf.readOnly) await this._engine.close();
+    }
+    await this._drainWAL();
+    if (this._walHandle) {
+      if (this.conf.durability !== 'none' && this._walDirty) await this._fsync();
+      await this._walHandle.close();
+      this._walHandle = null;
+    }
+    await this._flushChanges(this.conf.durability !== 'none');
+    await this._history.drain();
+    await this.trash.drain();
+    await this._releaseLock();
     this.ready = false;
+    this._wakeChanges(); // live changes() iterators see !ready and end
     this.emit('close');
   }
 }
 
-module.exports = SehawqDB;
\ No newline at end of file
+module.exports = SehawqDB;
+module.exports.ConflictError = ConflictError;
\ No newline at end of file
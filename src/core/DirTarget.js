@@ -0,0 +1,65 @@
+// Directory Target 📁
+// Backup target that's just another directory. Worth it when that's a
+// different disk: a NAS mount, a USB drive, a synced folder.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class DirTarget {
+    constructor(conf = {}) {
+        if (!conf.path) throw new Error('Directory backup target needs a path');
+        this.dir = conf.path;
+        this.name = conf.name || conf.path;
+    }
+
+    // copy, fsync, rename: a half-copied file never shows up under its name
+    async put(name, file) {
+        await fs.mkdir(this.dir, { recursive: true });
+        const dest = path.join(this.dir, name);
+        const tmp = dest + '.tmp';
+        try {
+            await fs.copyFile(file, tmp);
+            const fh = await fs.open(tmp, 'r+');
+            try {
+                await fh.sync();
+            } finally {
+                await fh.close();
+            }
+            await fs.rename(tmp, dest);
+        } catch (e) {
+            await fs.unlink(tmp).catch(() => { });
+            throw e;
+        }
+    }
+
+    get(name, file) {
+        return fs.copyFile(path.join(this.dir, name), file);
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.dir);
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+
+        const out = [];
+        for (const name of files) {
+            const stat = await fs.stat(path.join(this.dir, name)).catch(() => null);
+            if (stat && stat.isFile()) out.push({ name, size: stat.size });
+        }
+        return out;
+    }
+
+    del(name) {
+        return fs.unlink(path.join(this.dir, name));
+    }
+
+    url(name) {
+        return path.join(this.dir, name);
+    }
+}
+
+module.exports = DirTarget;
@@ -0,0 +1,319 @@
+// Revision History 🕰️
+// Opt-in, per key prefix: every write to a covered key keeps a revision
+// (value, version, time), so you can see what a record looked like
+// yesterday and put it back.
+//
+//   db.enableHistory('users:', { keep: 20 });     // last 20 revisions per key
+//   db.enableHistory('orders:', { days: 30 });    // everything from the last 30 days
+//   db.history('users:1');                        // newest first
+//   db.getAt('users:1', Date.now() - 86400000);   // as of a day ago
+//   await db.revert('users:1', 3);
+//
+// Revisions live in <name>.history, apart from the snapshot and WAL, so
+// compaction never touches them: appended as they happen, rewritten
+// trimmed on save(). Keys written before history was on for them only
+// have revisions from their next write on. A hard delete (GDPR erasure
+// included) takes the key's revisions with it.
+//
+// Revisions hold the stored value, after set hooks (encryption etc.):
+// reads run get hooks on it like db.get() would, revert() writes it
+// back as is.
+
+const fs = require('fs').promises;
+const { encode, decode } = require('../codec');
+
+const DEFAULT_KEEP = 10;
+const DAY = 24 * 60 * 60 * 1000;
+
+function revisionError(msg) {
+    const err = new Error(msg);
+    err.code = 'EREVISION';
+    return err;
+}
+
+// neither limit given = last DEFAULT_KEEP
+function makeRule(prefix, { keep, days } = {}) {
+    if (typeof prefix !== 'string') throw new Error('History prefix must be a string');
+    if (keep === undefined && days === undefined) keep = DEFAULT_KEEP;
+    if (keep !== undefined && !(Number.isInteger(keep) && keep > 0)) throw new Error(`Invalid history keep: ${keep}`);
+    if (days !== undefined && !(days > 0)) throw new Error(`Invalid history days: ${days}`);
+    return { prefix, keep: keep || 0, days: days || 0 };
+}
+
+// conf.history: true | { prefix, keep, days } | [{ prefix, keep, days }, ...]
+function parseRules(conf) {
+    if (!conf) return [];
+    if (conf === true) return [makeRule('')];
+    return (Array.isArray(conf) ? conf : [conf]).map(r => makeRule(r.prefix || '', r));
+}
+
+// Values are kept as their (tagged) JSON text: nobody can mutate a
+// revision through a shared object, and reads hand out a fresh copy.
+const toJSON = v => v === undefined ? undefined : JSON.stringify(encode(v));
+const fromJSON = json => json === undefined ? undefined : decode(JSON.parse(json));
+
+function revLine(k, r) {
+    const head = JSON.stringify({ k, rev: r.rev, op: r.op, ver: r.ver, ts: r.ts });
+    return r.json === undefined ? head : `${head.slice(0, -1)},"v":${r.json}}`;
+}
+
+class History {
+    constructor(db) {
+        this.db = db;
+        this.path = db.conf.path.replace(/\.json$/, '') + '.history';
+        this.rules = []; // longest prefix first
+        this._revs = new Map(); // key -> [{ rev, op, ver, ts, json }], oldest first
+        this._size = 0; // revisions across all keys
+        this._file = !db.conf.inMemory && !db.conf.readOnly;
+        this._lines = []; // not appended to the file yet
+        this._flush = Promise.resolve();
+        this._dirty = false; // file needs a rewrite on the next compact()
+
+        for (const rule of parseRules(db.conf.history)) this._add(rule);
+        db.telemetry.gauge('sehawq_history_revisions', 'Revisions kept by history', () => this._size);
+    }
+
+    // enabling a prefix again replaces its limits
+    enable(prefix = '', opts) {
+        return this._add(makeRule(prefix, opts));
+    }
+
+    _add(rule) {
+        this.rules = this.rules.filter(r => r.prefix !== rule.prefix);
+        this.rules.push(rule);
+        this.rules.sort((a, b) => b.prefix.length - a.prefix.length);
+        return rule;
+    }
+
+    // revisions of keys nothing covers anymore go on the next save()
+    disable(prefix = '') {
+        this.rules = this.rules.filter(r => r.prefix !== prefix);
+    }
+
+    _rule(k) {
+        for (const r of this.rules) if (k.startsWith(r.prefix)) return r;
+        return null;
+    }
+
+    // db._record() hands us every change
+    record(c) {
+        if (!this.rules.length) return;
+        if (c.op === 'clear' || c.op === 'restore') return this._sync(c.ts);
+        if (c.op !== 'set' && c.op !== 'delete' && c.op !== 'expire') return; // ttl: same value
+
+        const rule = this._rule(c.key);
+        if (rule) this._push(c.key, { op: c.op, ver: c.ver, ts: c.ts, json: toJSON(c.value) }, rule);
+    }
+
+    // clear()/restoreTo() swap the whole store, catch tracked keys up with it
+    _sync(ts) {
+        const { _store: store, _vers: vers } = this.db;
+        for (const [k, list] of this._revs) {
+            const rule = this._rule(k);
+            if (!rule) continue;
+            const last = list[list.length - 1];
+            if (store.has(k)) {
+                if (last.op === 'set' && last.ver === vers.get(k)) continue;
+                this._push(k, { op: 'set', ver: vers.get(k), ts, json: toJSON(store.get(k)) }, rule);
+            } else if (last.op === 'set') {
+                this._push(k, { op: 'delete', ts }, rule);
+            }
+        }
+    }
+
+    _push(k, r, rule) {
+        let list = this._revs.get(k);
+        if (!list) this._revs.set(k, list = []);
+        const rev = { rev: list.length ? list[list.length - 1].rev + 1 : 1, ...r };
+        list.push(rev);
+        this._size++;
+        this._dirty = true;
+
+        if (this._file && this._lines.push(revLine(k, rev)) === 1) {
+            this._flush = this._flush.then(() => this._append());
+        }
+        this._trim(k, list, rule, rev.ts);
+    }
+
+    _trim(k, list, rule, now) {
+        let drop = rule.keep ? Math.max(0, list.length - rule.keep) : 0;
+        if (rule.days) {
+            const cutoff = now - rule.days * DAY;
+            while (drop < list.length - 1 && list[drop].ts < cutoff) drop++;
+            // the newest one is the current value, it only goes once the
+            // key has been gone for longer than that
+            const last = list[list.length - 1];
+            if (last.op !== 'set' && last.ts < cutoff) drop = list.length;
+        }
+        if (!drop) return;
+
+        this._dirty = true;
+        this._size -= drop;
+        if (drop === list.length) this._revs.delete(k);
+        else list.splice(0, drop);
+    }
+
+    // hard delete / erasure: every revision of k goes, file included
+    forget(k) {
+        const list = this._revs.get(k);
+        if (!list) return;
+        this._size -= list.length;
+        this._revs.delete(k);
+        this._dirty = true;
+        this._rewrite();
+    }
+
+    // --- Reads ---
+    // stored values are raw, run get hooks (decryption etc.) like a read would
+    _value(k, json) {
+        const v = fromJSON(json);
+        const db = this.db;
+        if (v === undefined || !db._hooks.post.has('get')) return v;
+        return db._runHooksSync('post', { op: 'get', key: k, value: v }).value;
+    }
+
+    _view(k, r) {
+        return { rev: r.rev, op: r.op, value: this._value(k, r.json), version: r.ver || 0, ts: r.ts };
+    }
+
+    _find(k, rev) {
+        const list = this._revs.get(k);
+        return list && list.find(x => x.rev === Number(rev));
+    }
+
+    // [{ rev, op, value, version, ts }], newest first
+    list(k, { limit = Infinity } = {}) {
+        const list = this._revs.get(k);
+        if (!list) return [];
+        const out = [];
+        for (let i = list.length - 1; i >= 0 && out.length < limit; i--) out.push(this._view(k, list[i]));
+        return out;
+    }
+
+    get(k, rev) {
+        const r = this._find(k, rev);
+        return r ? this._view(k, r) : undefined;
+    }
+
+    // value as of `when` (ms or Date). undefined if the key didn't exist
+    // then, or that's further back than what's kept
+    at(k, when) {
+        const ts = when instanceof Date ? when.getTime() : Number(when);
+        if (!Number.isFinite(ts)) throw new Error(`Invalid timestamp: ${when}`);
+
+        const list = this._revs.get(k);
+        if (!list) return undefined;
+        for (let i = list.length - 1; i >= 0; i--) {
+            if (list[i].ts <= ts) return list[i].op === 'set' ? this._value(k, list[i].json) : undefined;
+        }
+        return undefined;
+    }
+
+    // writes the revision's value back as a new write (so it gets a
+    // revision of its own); a delete revision deletes the key.
+    // raw: the value already went through set hooks once
+    async revert(k, rev) {
+        const r = this._find(k, rev);
+        if (!r) throw revisionError(`No revision ${rev} of "${k}"`);
+        const out = this._view(k, r);
+        if (r.op === 'set') await this.db._commit(new Map([[k, { op: 'put', v: fromJSON(r.json), raw: true }]]));
+        else await this.db.delete(k);
+        return out;
+    }
+
+    // --- File ---
+    async _append() {
+        if (!this._lines.length) return;
+        const text = this._lines.join('\n') + '\n';
+        this._lines = [];
+        try {
+            await fs.appendFile(this.path, text);
+        } catch (e) {
+            this.db.emit('error', e);
+        }
+    }
+
+    // save() calls this: applies days limits to keys nobody wrote lately,
+    // forgets keys no rule covers anymore and rewrites the file with
+    // what's left
+    compact() {
+        const now = Date.now();
+        for (const [k, list] of this._revs) {
+            const rule = this._rule(k);
+            if (rule) {
+                this._trim(k, list, rule, now);
+            } else {
+                this._size -= list.length;
+                this._revs.delete(k);
+                this._dirty = true;
+            }
+        }
+        this._rewrite();
+    }
+
+    _rewrite() {
+        if (!this._file || !this._dirty) return;
+        this._dirty = false;
+
+        this._flush = this._flush.then(async () => {
+            const lines = [];
+            for (const [k, list] of this._revs) for (const r of list) lines.push(revLine(k, r) + '\n');
+            this._lines = []; // already in _revs, which is what we write
+            const tmp = this.path + '.tmp';
+            try {
+                await fs.writeFile(tmp, lines.join(''));
+                await fs.rename(tmp, this.path);
+            } catch (e) {
+                this.db.emit('error', e);
+            }
+        });
+    }
+
+    async load() {
+        if (this.db.conf.inMemory) return;
+
+        let text;
+        try {
+            text = await fs.readFile(this.path, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return;
+            throw e;
+        }
+
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            let r;
+            try {
+                r = JSON.parse(line);
+            } catch (e) {
+                continue; // torn last line after a crash
+            }
+            if (typeof r.k !== 'string' || !Number.isInteger(r.rev)) continue;
+
+            let list = this._revs.get(r.k);
+            // numbering starts over once a key's history was dropped
+            if (!list || r.rev <= list[list.length - 1].rev) {
+                if (list) this._size -= list.length;
+                this._revs.set(r.k, list = []);
+            }
+            list.push({
+                rev: r.rev, op: r.op, ver: r.ver, ts: r.ts,
+                json: r.v === undefined ? undefined : JSON.stringify(r.v)
+            });
+            this._size++;
+        }
+
+        // rules added after init() (collections) get applied on save()
+        for (const [k, list] of this._revs) {
+            const rule = this._rule(k);
+            if (rule) this._trim(k, list, rule, Date.now());
+        }
+    }
+
+    // pending appends/rewrites, awaited by close()
+    drain() {
+        return this._flush;
+    }
+}
+
+module.exports = History;
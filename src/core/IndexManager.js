@@ -13,6 +13,19 @@ class IndexManager {
     this.db.on('delete', evt => {
       this.update(evt.key, null, evt.old);
     });
+
+    this.db.on('expire', evt => {
+      this.update(evt.key, null, evt.old);
+    });
+
+    this.db.on('batch', evt => {
+      for (const o of evt.ops) this.update(o.key, o.op === 'put' ? o.value : null, o.old);
+    });
+
+    // whole store got swapped (restoreTo), rebuild what we had
+    this.db.on('restore', () => {
+      this.rebuild().catch(e => console.error('Index rebuild failed:', e.message));
+    });
   }
 
   async create(field, type = 'hash') {
@@ -43,6 +56,12 @@ class IndexManager {
     }
   }
 
+  async rebuild() {
+    const fields = [...this._idxs].map(([field, idx]) => [field, idx.type]);
+    this._idxs.clear();
+    for (const [field, type] of fields) await this.create(field, type);
+  }
+
   drop(field) {
     return this._idxs.delete(field);
   }
@@ -0,0 +1,38 @@
+// Memory Storage 🧠
+// Storage engine that keeps nothing on disk. Handy for tests, caches and
+// anything you're fine losing on restart.
+
+class MemoryStorage {
+    constructor() {
+        this.data = new Map(); // key -> { v, meta }
+    }
+
+    async open() { }
+
+    get(key) {
+        const rec = this.data.get(key);
+        return rec ? rec.v : undefined;
+    }
+
+    put(key, value, meta = {}) {
+        this.data.set(key, { v: value, meta });
+    }
+
+    del(key) {
+        return this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+
+    *iterate() {
+        for (const [k, rec] of this.data) yield [k, rec.v, rec.meta];
+    }
+
+    async snapshot() { } // nothing to flush
+
+    async close() { }
+}
+
+module.exports = MemoryStorage;
@@ -0,0 +1,327 @@
+// Namespaces (tenants) 🏢
+// A scoped view over one Database: every key is stored as '@<name>/<key>',
+// so many tenants share one WAL, one set of timers and one process.
+// Reads/writes/collections/watchers/queries all see tenant-relative keys.
+//
+//   const acme = db.namespace('acme', { maxKeys: 10000 });
+//   await acme.set('users:1', { ... });   // stored as '@acme/users:1'
+//   acme.collection('users').find({ ... });
+//
+// Quotas belong to this process, they're not stored with the data: a
+// tenant's quota applies once db.namespace(name, quota) ran here, to
+// every write from then on (through the view or the root db). Until
+// then, or in another process that didn't set it, there's none. The key
+// count is always what's stored, so a quota set late sees every key.
+
+const Collection = require('./Collection');
+const QueryEngine = require('./QueryEngine');
+const { encode } = require('../codec');
+
+const NAME_RE = /^[\w-]+$/;
+
+const prefixOf = name => `@${name}/`;
+
+function quotaError(msg) {
+    const err = new Error(msg);
+    err.code = 'EQUOTA';
+    return err;
+}
+
+class Namespace {
+    // quota: { maxKeys, maxValueSize (bytes of JSON) }
+    constructor(db, name, quota = {}) {
+        if (!Namespace.validName(name)) {
+            throw new Error(`Invalid namespace name: ${name} (letters, digits, _ and - only)`);
+        }
+
+        this.db = db;
+        this.name = name;
+        this.prefix = prefixOf(name);
+        this.quota = { maxKeys: 0, maxValueSize: 0, ...quota }; // 0 = unlimited
+
+        this._collections = new Map();
+        this._watchFns = new Map(); // user cb -> cb that strips our prefix
+        this.query = new QueryEngine(this); // no index manager, scans only our keys
+        this.telemetry = db.telemetry; // so our queries show up in the db's histograms
+        this.trash = db.trash.view(this.prefix); // our deleted keys only, relative
+
+        this.stats = { reads: 0, writes: 0, deletes: 0 };
+    }
+
+    // straight from the db's key index, so writes that skip the view
+    // (root db, replication) count too
+    get size() {
+        return this.db._keys.countPrefix(this.prefix);
+    }
+
+    _k(key) {
+        return this.prefix + key;
+    }
+
+    _strip(key) {
+        return key.slice(this.prefix.length);
+    }
+
+    // Called by the db (Database._checkQuotas) right before a write is
+    // applied, after hooks and with no await in between, so concurrent
+    // writes can't all squeeze into the last free slot.
+    // newKeys: how many keys the write adds (minus the ones it deletes)
+    _checkQuota(newKeys, values) {
+        const { maxKeys, maxValueSize } = this.quota;
+        if (maxKeys && newKeys > 0 && this.size + newKeys > maxKeys) {
+            throw quotaError(`Namespace '${this.name}' is full (maxKeys ${maxKeys})`);
+        }
+        if (maxValueSize) {
+            for (const v of values) {
+                const size = Buffer.byteLength(JSON.stringify(encode(v)) || '');
+                if (size > maxValueSize) {
+                    throw quotaError(`Value too big for namespace '${this.name}' (${size} > ${maxValueSize} bytes)`);
+                }
+            }
+        }
+    }
+
+    // --- Data ops ---
+    get(key) {
+        this.stats.reads++;
+        return this.db.get(this._k(key));
+    }
+
+    async set(key, val, opts) {
+        await this.db.set(this._k(key), val, opts);
+        this.stats.writes++;
+        return this;
+    }
+
+    async delete(key, opts) {
+        const ok = await this.db.delete(this._k(key), opts);
+        if (ok) this.stats.deletes++;
+        return ok;
+    }
+
+    has(key) { return this.db.has(this._k(key)); }
+
+    all() {
+        const out = {};
+        for (const [k, v] of this.scan()) out[k] = v;
+        return out;
+    }
+
+    // same options as db.scan(), all relative to the namespace
+    *scan(opts = {}) {
+        const p = this.prefix;
+        const rel = k => k === undefined ? undefined : p + k;
+        const inner = {
+            ...opts,
+            prefix: p + (opts.prefix || ''),
+            gt: rel(opts.gt), gte: rel(opts.gte), lt: rel(opts.lt), lte: rel(opts.lte)
+        };
+        for (const [k, v] of this.db.scan(inner)) yield [this._strip(k), v];
+    }
+
+    async *keys(opts) {
+        for (const [k] of this.scan(opts)) yield k;
+    }
+
+    async *entries(opts) {
+        for (const entry of this.scan(opts)) yield entry;
+    }
+
+    getPath(key, p) { return this.db.getPath(this._k(key), p); }
+
+    async setPath(key, p, val, opts) {
+        await this.db.setPath(this._k(key), p, val, opts);
+        this.stats.writes++;
+        return this;
+    }
+
+    getWithVersion(key) { return this.db.getWithVersion(this._k(key)); }
+    compareAndSwap(key, expected, next) { return this.db.compareAndSwap(this._k(key), expected, next); }
+
+    async update(key, fn, opts) {
+        const res = await this.db.update(this._k(key), fn, opts);
+        this.stats.writes++;
+        return res;
+    }
+
+    async push(key, item) {
+        await this.update(key, (list = []) => {
+            if (!Array.isArray(list)) throw new Error('Key is not a list');
+            return [...list, item];
+        });
+        return this;
+    }
+
+    async pull(key, item) {
+        if (!Array.isArray(this.get(key))) return false;
+        const json = JSON.stringify(item);
+        await this.update(key, (list) => Array.isArray(list) ? list.filter(x => JSON.stringify(x) !== json) : list);
+        return this;
+    }
+
+    async add(key, n) {
+        await this.update(key, (val = 0) => val + n);
+        return this;
+    }
+
+    subtract(key, n) {
+        return this.add(key, -n);
+    }
+
+    // TTL
+    ttl(key) { return this.db.ttl(this._k(key)); }
+    expire(key, seconds) { return this.db.expire(this._k(key), seconds); }
+    expireAt(key, when) { return this.db.expireAt(this._k(key), when); }
+    persist(key) { return this.db.persist(this._k(key)); }
+
+    // --- Transactions / batch ---
+    async batch(list) {
+        if (!Array.isArray(list)) throw new Error('batch() expects an array of ops');
+        await this.db.batch(list.map(o => o && typeof o.k === 'string' ? { ...o, k: this._k(o.k) } : o));
+        this.stats.writes += list.length;
+        return this;
+    }
+
+    async transaction(fn) {
+        let writes = 0;
+        return this.db.transaction(async tx => {
+            const scoped = {
+                set: (k, v, opts) => {
+                    writes++;
+                    tx.set(this._k(k), v, opts);
+                    return scoped;
+                },
+                delete: (k, opts) => {
+                    tx.delete(this._k(k), opts);
+                    return scoped;
+                },
+                get: (k) => tx.get(this._k(k)),
+                has: (k) => tx.has(this._k(k))
+            };
+            const res = await fn(scoped);
+            this.stats.writes += writes;
+            return res;
+        });
+    }
+
+    // --- Collections / queries ---
+    collection(name) {
+        if (!this._collections.has(name)) this._collections.set(name, new Collection(this, name));
+        return this._collections.get(name);
+    }
+
+    find(fn) { return this.query.find(fn); }
+    where(field, op, val) { return this.query.where(field, op, val); }
+    count(fn) { return this.query.count(fn); }
+    sum(field, fn) { return this.query.sum(field, fn); }
+    avg(field, fn) { return this.query.avg(field, fn); }
+    min(field, fn) { return this.query.min(field, fn); }
+    max(field, fn) { return this.query.max(field, fn); }
+
+    // --- Watchers ---
+    // same targets as db.watch(), callback gets tenant-relative keys
+    watch(target, cb) {
+        if (!this._watchFns.has(cb)) {
+            this._watchFns.set(cb, (n, o, k, op) => cb(n, o, this._strip(k), op));
+        }
+        this.db.watch(this._target(target), this._watchFns.get(cb));
+    }
+
+    unwatch(target, cb) {
+        this.db.unwatch(this._target(target), cb ? this._watchFns.get(cb) : undefined);
+    }
+
+    // db.changes() limited to this tenant, keys come back relative.
+    // Seqs are the db's, so cursors work the same.
+    async *changes({ filter, ...opts } = {}) {
+        const inTenant = c => c.key === undefined || c.key.startsWith(this.prefix);
+        const strip = c => c.key === undefined ? c : { ...c, key: this._strip(c.key) };
+        const scoped = typeof filter === 'function'
+            ? c => inTenant(c) && filter(strip(c))
+            : this._target(filter === undefined || filter === null ? { prefix: '' } : filter);
+
+        for await (const c of this.db.changes({ ...opts, filter: scoped })) yield strip(c);
+    }
+
+    _target(target) {
+        if (target && typeof target === 'object') return { prefix: this.prefix + (target.prefix || '') };
+        return this.prefix + target;
+    }
+
+    // --- History ---
+    // prefix is relative to the tenant, '' covers all of it
+    enableHistory(prefix = '', opts) {
+        this.db.enableHistory(this.prefix + prefix, opts);
+        return this;
+    }
+
+    disableHistory(prefix = '') {
+        this.db.disableHistory(this.prefix + prefix);
+        return this;
+    }
+
+    history(key, opts) { return this.db.history(this._k(key), opts); }
+    getAt(key, when) { return this.db.getAt(this._k(key), when); }
+
+    async revert(key, rev) {
+        const res = await this.db.revert(this._k(key), rev);
+        this.stats.writes++;
+        return res;
+    }
+
+    // point-in-time view of just this tenant, see Snapshot.js
+    snapshot() {
+        return this.db.snapshot({ prefix: this.prefix });
+    }
+
+    // --- Whole tenant ---
+    // plain { key: value } of the tenant, e.g. to move it somewhere else
+    dump() {
+        return this.all();
+    }
+
+    async load(data, { merge = false } = {}) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('load() expects a plain object');
+        if (!merge) await this.clear();
+        const ops = Object.entries(data).map(([k, v]) => ({ op: 'put', k, v }));
+        if (ops.length) await this.batch(ops);
+        return this;
+    }
+
+    // removes every key of the tenant in one atomic batch
+    async clear() {
+        const ops = [];
+        for (const [k] of this.db.scan({ prefix: this.prefix })) ops.push({ op: 'del', k });
+        if (ops.length) await this.db.batch(ops);
+        this.stats.deletes += ops.length;
+        return ops.length;
+    }
+
+    // clear() + forget the view
+    async drop() {
+        const removed = await this.clear();
+        this.db._namespaces.delete(this.name);
+        return removed;
+    }
+
+    getStats() {
+        return {
+            namespace: this.name,
+            size: this.size, // same name as db.getStats(), QueryEngine.count() reads it
+            ...this.stats,
+            quota: { ...this.quota }
+        };
+    }
+}
+
+// '@acme/users:1' -> 'acme', null for keys outside any namespace
+Namespace.nameOf = (key) => {
+    if (typeof key !== 'string' || key[0] !== '@') return null;
+    const slash = key.indexOf('/');
+    return slash === -1 ? null : key.slice(1, slash);
+};
+
+Namespace.prefixOf = prefixOf;
+Namespace.validName = name => typeof name === 'string' && NAME_RE.test(name);
+
+module.exports = Namespace;
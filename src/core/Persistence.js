@@ -5,6 +5,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { performance } = require('perf_hooks');
+const { cleanMeta, pack, unpack } = require('./jsonFile');
 
 class Persistence {
   constructor(filePath, options = {}) {
@@ -19,6 +20,7 @@ class Persistence {
     };
 
     this.data = new Map();
+    this.meta = new Map(); // key -> { ver, exp }, kept in the file too
     this.isSaving = false;
     this.saveQueue = [];
     this.stats = { reads: 0, writes: 0, saves: 0, loads: 0, errors: 0 };
@@ -59,10 +61,13 @@ class Persistence {
         parsed = JSON.parse(raw);
       }
 
+      // typed values + versions/ttls, see jsonFile.js
+      const { data, meta } = unpack(parsed);
       this.data.clear();
-      for (const [k, v] of Object.entries(parsed)) {
+      for (const [k, v] of data) {
         this.data.set(k, v);
       }
+      this.meta = meta;
 
       if (this.options.debug) {
         const dt = performance.now() - t0;
@@ -90,7 +95,7 @@ class Persistence {
 
     try {
       const d = data || this.data;
-      const obj = Object.fromEntries(d);
+      const obj = pack(d, d === this.data ? this.meta : null);
 
       // same stub situation as load
       let output;
@@ -137,6 +142,7 @@ class Persistence {
   }
 
   async delete(key) {
+    this.meta.delete(key);
     const ok = this.data.delete(key);
     if (ok && this.options.autoSave) await this.save();
     return ok;
@@ -147,6 +153,7 @@ class Persistence {
 
   async clear() {
     this.data.clear();
+    this.meta.clear();
     if (this.options.autoSave) await this.save();
     return true;
   }
@@ -216,6 +223,25 @@ class Persistence {
     }
   }
 
+  // --- Storage engine interface (see engines.js) ---
+  // Pass autoSave: false when Database drives it, otherwise every put
+  // rewrites the whole file.
+  async open() { await this.load(); }
+
+  async put(key, value, meta) {
+    const m = cleanMeta(meta);
+    if (m) this.meta.set(key, m);
+    else this.meta.delete(key);
+    await this.set(key, value);
+  }
+
+  del(key) { return this.delete(key); }
+
+  *iterate() {
+    for (const [k, v] of this.data) yield [k, v, this.meta.get(k)];
+  }
+  snapshot() { return this.save(); }
+
   async close() {
     this.stopAutoSave();
     // drain the queue before closing
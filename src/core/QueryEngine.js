@@ -1,3 +1,5 @@
+const { performance } = require('perf_hooks');
+
 class QueryEngine {
   constructor(db) {
     this.db = db;
@@ -10,7 +12,18 @@ class QueryEngine {
   }
 
   // Main find method
-  find(fn, opts = {}) {
+  find(fn, opts) {
+    const tel = this.db.telemetry;
+    if (!tel || !tel.enabled) return this._find(fn, opts);
+    const t0 = performance.now();
+    try {
+      return this._find(fn, opts);
+    } finally {
+      tel.observe('query', t0);
+    }
+  }
+
+  _find(fn, opts = {}) {
     const res = new QueryResult([], opts);
     const all = this.db.all();
 
@@ -9,6 +9,7 @@
 
 const http = require('http');
 const https = require('https');
+const { encode } = require('../codec');
 
 class Replication {
     constructor(db, opts = {}) {
@@ -27,6 +28,18 @@ class Replication {
         for (const n of this.nodes) {
             this._nodeHealth.set(n, { alive: false, lastPing: 0, fails: 0 });
         }
+        this._unmetrics = [];
+    }
+
+    // per-replica gauges for /metrics (lag = last heartbeat round trip)
+    _registerMetrics() {
+        const t = this.db.telemetry;
+        const perNode = fn => () => [...this._nodeHealth].map(([node, h]) => ({ labels: { node }, value: fn(h) }));
+        this._unmetrics.push(
+            t.gauge('sehawq_replication_lag_seconds', 'Heartbeat round trip to each replica', perNode(h => (h.lag || 0) / 1000)),
+            t.gauge('sehawq_replica_up', 'Whether the last contact with each replica worked', perNode(h => h.alive ? 1 : 0)),
+            t.gauge('sehawq_replication_buffered_ops', 'Ops waiting to be sent to replicas', () => this._opLog.length)
+        );
     }
 
     // called after db is fully init'd
@@ -34,6 +47,7 @@ class Replication {
         if (this.role === 'primary' && this.nodes.length > 0) {
             this._hookWriteEvents();
             this._startHeartbeat();
+            this._registerMetrics();
             console.log(`🔄 Replication: primary mode, ${this.nodes.length} replica(s)`);
         } else if (this.role === 'replica') {
             console.log('🔄 Replication: replica mode (waiting for primary)');
@@ -57,11 +71,32 @@ class Replication {
                 ts: Date.now(), nodeId: this.nodeId
             });
         });
+
+        // replicas don't get the ttl, so tell them when a key runs out
+        this.db.on('expire', (evt) => {
+            if (evt.key.startsWith('_')) return;
+            this._broadcast({
+                op: 'del', key: evt.key,
+                ts: Date.now(), nodeId: this.nodeId
+            });
+        });
+
+        // forward bulk writes as one request, replica applies them as a batch
+        this.db.on('batch', (evt) => {
+            const ops = evt.ops
+                .filter(o => !o.key.startsWith('_'))
+                .map(o => o.op === 'put' ? { op: 'put', k: o.key, v: o.value } : { op: 'del', k: o.key });
+            if (!ops.length) return;
+            this._broadcast({
+                op: 'batch', ops,
+                ts: Date.now(), nodeId: this.nodeId
+            });
+        });
     }
 
     // send an op to all replicas
     async _broadcast(op) {
-        const payload = JSON.stringify(op);
+        const payload = JSON.stringify(encode(op)); // the replica's API decodes it
 
         for (const node of this.nodes) {
             try {
@@ -144,6 +179,11 @@ class Replication {
             }
         } else if (op.op === 'del') {
             await this.db.delete(op.key);
+        } else if (op.op === 'batch') {
+            // no per-key conflict handling here, primary is source of truth
+            await this.db.batch(op.ops);
+            for (const o of op.ops) this._trackWrite(o.k);
+            return;
         }
 
         // track when this key was last written
@@ -222,6 +262,7 @@ class Replication {
             clearInterval(this._heartbeatTimer);
             this._heartbeatTimer = null;
         }
+        for (const off of this._unmetrics.splice(0)) off();
     }
 }
 
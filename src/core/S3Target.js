@@ -0,0 +1,226 @@
+// S3 Target 🪣
+// Backup target for S3 and everything S3-compatible (MinIO, R2, B2,
+// Ceph...). Talks plain HTTP with SigV4 signing, no SDK needed.
+//
+//   { type: 's3', bucket: 'backups', prefix: 'prod/db',
+//     endpoint: 'http://localhost:9000',   // leave out for AWS itself
+//     region, accessKeyId, secretAccessKey }
+//
+// Credentials, region and endpoint fall back to the usual AWS_* env vars
+// (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN,
+// AWS_REGION, AWS_ENDPOINT_URL). With an endpoint it uses path-style
+// URLs (what MinIO wants), set pathStyle to override.
+//
+// Files bigger than partSize go up as a multipart upload, one part in
+// memory at a time. Every request is retried `retries` times with a
+// doubling delay on network errors, 5xx and throttling; an upload that
+// fails for good gets aborted so no parts are left behind.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = fs.promises;
+const http = require('http');
+const https = require('https');
+
+const MB = 1024 * 1024;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+// encodeURIComponent leaves these alone, SigV4 doesn't
+const enc = s => encodeURIComponent(s).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+
+const unxml = s => s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+// S3 answers are small and flat enough for this
+function tag(xml, name) {
+    const m = new RegExp(`<${name}>([\\s\\S]*?)</${name}>`).exec(xml);
+    return m ? unxml(m[1]) : null;
+}
+
+function s3Error(status, body, what) {
+    const detail = [tag(body, 'Code'), tag(body, 'Message')].filter(Boolean).join(': ');
+    const err = new Error(`S3 ${what} failed (${status}${detail ? ' ' + detail : ''})`);
+    err.code = 'EBACKUP';
+    err.status = status;
+    // asking again won't fix a 403 or a missing bucket
+    err.retry = status >= 500 || status === 429 || status === 408;
+    return err;
+}
+
+class S3Target {
+    constructor(conf = {}) {
+        const env = process.env;
+        if (!conf.bucket) throw new Error('S3 backup target needs a bucket');
+
+        this.bucket = conf.bucket;
+        this.prefix = conf.prefix ? conf.prefix.replace(/^\/+|\/+$/g, '') + '/' : '';
+        this.region = conf.region || env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-1';
+        this.accessKeyId = conf.accessKeyId || env.AWS_ACCESS_KEY_ID;
+        this.secretAccessKey = conf.secretAccessKey || env.AWS_SECRET_ACCESS_KEY;
+        this.sessionToken = conf.sessionToken || env.AWS_SESSION_TOKEN;
+
+        const endpoint = conf.endpoint || env.AWS_ENDPOINT_URL;
+        this.endpoint = new URL(endpoint || `https://s3.${this.region}.amazonaws.com`);
+        this.pathStyle = conf.pathStyle !== undefined ? conf.pathStyle : !!endpoint;
+
+        this.partSize = conf.partSize || 8 * MB; // S3 wants parts of 5MB+ (but the last)
+        this.retries = conf.retries === undefined ? 3 : conf.retries;
+        this.retryDelay = conf.retryDelay === undefined ? 200 : conf.retryDelay;
+        this.timeout = conf.timeout || 30000;
+        this.name = conf.name || `s3://${this.bucket}/${this.prefix}`.replace(/\/$/, '');
+
+        if (!this.accessKeyId || !this.secretAccessKey) {
+            throw new Error('S3 backup target needs accessKeyId/secretAccessKey (or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY)');
+        }
+        // smaller parts get the whole upload turned down at the very end
+        if (!(this.partSize >= 5 * MB)) throw new Error(`S3 partSize has to be at least 5MB (got ${conf.partSize})`);
+    }
+
+    url(name) {
+        return `s3://${this.bucket}/${this.prefix}${name}`;
+    }
+
+    // --- Target interface ---
+    async put(name, file) {
+        const key = this.prefix + name;
+        const { size } = await fsp.stat(file);
+        if (size <= this.partSize) {
+            await this._send('PUT', key, { body: await fsp.readFile(file), what: 'upload' });
+            return;
+        }
+
+        const init = await this._send('POST', key, { query: { uploads: '' }, what: 'upload' });
+        const uploadId = tag(init.body, 'UploadId');
+        if (!uploadId) throw s3Error(init.status, init.body, 'upload');
+
+        const fh = await fsp.open(file, 'r');
+        try {
+            const parts = [];
+            for (let n = 1, pos = 0; pos < size; n++, pos += this.partSize) {
+                const buf = Buffer.alloc(Math.min(this.partSize, size - pos));
+                await fh.read(buf, 0, buf.length, pos);
+                const res = await this._send('PUT', key, { query: { partNumber: n, uploadId }, body: buf, what: `upload of part ${n}` });
+                parts.push(`<Part><PartNumber>${n}</PartNumber><ETag>${res.headers.etag}</ETag></Part>`);
+            }
+
+            const xml = `<CompleteMultipartUpload>${parts.join('')}</CompleteMultipartUpload>`;
+            const done = await this._send('POST', key, { query: { uploadId }, body: Buffer.from(xml), what: 'upload' });
+            // this one can be a 200 with an error inside
+            if (/<Error>/.test(done.body)) throw s3Error(done.status, done.body, 'upload');
+        } catch (e) {
+            await this._request('DELETE', key, { query: { uploadId }, what: 'abort' }).catch(() => { });
+            throw e;
+        } finally {
+            await fh.close();
+        }
+    }
+
+    async get(name, file) {
+        await this._send('GET', this.prefix + name, { out: file, what: 'download' });
+    }
+
+    // just what's directly under the prefix
+    async list() {
+        const out = [];
+        let token = null;
+        do {
+            const query = { 'list-type': 2, prefix: this.prefix };
+            if (token) query['continuation-token'] = token;
+            const { body } = await this._send('GET', '', { query, what: 'list' });
+
+            for (const m of body.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                const name = tag(m[1], 'Key').slice(this.prefix.length);
+                if (name && !name.includes('/')) out.push({ name, size: Number(tag(m[1], 'Size')) });
+            }
+            token = tag(body, 'IsTruncated') === 'true' ? tag(body, 'NextContinuationToken') : null;
+        } while (token);
+        return out;
+    }
+
+    async del(name) {
+        await this._send('DELETE', this.prefix + name, { what: 'delete' });
+    }
+
+    // --- HTTP ---
+    async _send(method, key, opts) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._request(method, key, opts);
+            } catch (e) {
+                if (e.retry === false || attempt >= this.retries) throw e;
+                await new Promise(r => setTimeout(r, this.retryDelay * 2 ** attempt));
+            }
+        }
+    }
+
+    // One signed request. Resolves { status, headers, body }, or streams
+    // the body into `out` (a file path) on success.
+    _request(method, key, { query = {}, body = null, out = null, what = 'request' }) {
+        const url = new URL(this.endpoint);
+        const keyPath = key.split('/').map(enc).join('/');
+        let pathname;
+        if (this.pathStyle) {
+            pathname = url.pathname.replace(/\/$/, '') + '/' + enc(this.bucket) + (key ? '/' + keyPath : '');
+        } else {
+            url.hostname = `${this.bucket}.${url.hostname}`;
+            pathname = '/' + keyPath;
+        }
+        const qs = Object.keys(query).sort().map(k => `${enc(k)}=${enc(String(query[k]))}`).join('&');
+
+        // SigV4: https://docs.aws.amazon.com/IAM/latest/UserGuide/create-signed-request.html
+        const stamp = new Date().toISOString().replace(/[:-]|\.\d{3}/g, ''); // 20240501T120000Z
+        const date = stamp.slice(0, 8);
+        const headers = { host: url.host, 'x-amz-content-sha256': sha256(body || ''), 'x-amz-date': stamp };
+        if (this.sessionToken) headers['x-amz-security-token'] = this.sessionToken;
+
+        const signed = Object.keys(headers).sort();
+        const canonical = [
+            method, pathname, qs,
+            signed.map(h => `${h}:${headers[h]}\n`).join(''),
+            signed.join(';'),
+            headers['x-amz-content-sha256']
+        ].join('\n');
+        const scope = `${date}/${this.region}/s3/aws4_request`;
+        const toSign = ['AWS4-HMAC-SHA256', stamp, scope, sha256(canonical)].join('\n');
+        let signingKey = hmac('AWS4' + this.secretAccessKey, date);
+        for (const part of [this.region, 's3', 'aws4_request']) signingKey = hmac(signingKey, part);
+        const signature = crypto.createHmac('sha256', signingKey).update(toSign).digest('hex');
+        headers.authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signed.join(';')}, Signature=${signature}`;
+        headers['content-length'] = body ? body.length : 0;
+
+        const mod = url.protocol === 'https:' ? https : http;
+        return new Promise((resolve, reject) => {
+            const req = mod.request({
+                hostname: url.hostname,
+                port: url.port,
+                path: pathname + (qs ? '?' + qs : ''),
+                method,
+                headers,
+                timeout: this.timeout
+            }, (res) => {
+                if (out && res.statusCode === 200) {
+                    const ws = fs.createWriteStream(out);
+                    res.pipe(ws);
+                    res.on('error', reject);
+                    ws.on('error', reject);
+                    ws.on('finish', () => resolve({ status: res.statusCode, headers: res.headers, body: '' }));
+                    return;
+                }
+
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', c => data += c);
+                res.on('error', reject);
+                res.on('end', () => {
+                    if (res.statusCode >= 300) reject(s3Error(res.statusCode, data, what));
+                    else resolve({ status: res.statusCode, headers: res.headers, body: data });
+                });
+            });
+
+            req.on('error', reject); // network trouble, retried
+            req.on('timeout', () => req.destroy(new Error(`S3 ${what} timed out`)));
+            req.end(body || undefined);
+        });
+    }
+}
+
+module.exports = S3Target;
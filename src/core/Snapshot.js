@@ -0,0 +1,158 @@
+// Read Snapshots 📸
+// Point-in-time, read-only view of a Database. Creating one copies
+// nothing: the db hands each snapshot a key's old state right before
+// overwriting it (copy-on-write), so a snapshot only ever holds the keys
+// that changed while it was open.
+//
+//   const snap = db.snapshot();
+//   try {
+//     for (const [k, v] of snap.scan({ prefix: 'orders:' })) await report(k, v);
+//   } finally {
+//     snap.release(); // stop collecting old values
+//   }
+
+const SortedKeys = require('./SortedKeys');
+
+class Snapshot {
+    // prefix: only keys under it are visible (and kept), keys come back
+    // without it. Used by Namespace.snapshot().
+    constructor(db, { prefix = '' } = {}) {
+        this.db = db;
+        this.prefix = prefix;
+        this.at = Date.now(); // ttls are judged at this moment
+        this.seq = db._seq; // change feed position it matches
+        this.released = false;
+
+        // the live structures right now; clear()/restoreTo() swap new ones
+        // in on the db, which leaves these frozen for us
+        this._base = { store: db._store, keys: db._keys, vers: db._vers, ttl: db._ttl };
+        this._prior = new Map(); // key -> { had, v, ver, exp } as of `at`
+        this._gone = new SortedKeys(); // captured keys that existed, may be missing from _base.keys now
+    }
+
+    // called by the db before it touches key k
+    _capture(k) {
+        const base = this._base;
+        if (base.store !== this.db._store) return; // base is frozen, nothing to save
+        if (this._prior.has(k) || !k.startsWith(this.prefix)) return;
+
+        const had = base.store.has(k);
+        this._prior.set(k, { had, v: base.store.get(k), ver: base.vers.get(k), exp: base.ttl.get(k) });
+        if (had) this._gone.add(k);
+    }
+
+    _state(k) {
+        if (this._prior.has(k)) return this._prior.get(k);
+        const { store, vers, ttl } = this._base;
+        return { had: store.has(k), v: store.get(k), ver: vers.get(k), exp: ttl.get(k) };
+    }
+
+    _live(s) {
+        return s.had && (s.exp === undefined || s.exp > this.at);
+    }
+
+    _check() {
+        if (this.released) throw new Error('Snapshot already released');
+    }
+
+    get(key) {
+        this._check();
+        const s = this._state(this.prefix + key);
+        return this._live(s) ? s.v : undefined;
+    }
+
+    has(key) {
+        this._check();
+        return this._live(this._state(this.prefix + key));
+    }
+
+    getWithVersion(key) {
+        this._check();
+        const s = this._state(this.prefix + key);
+        return this._live(s) ? { value: s.v, version: s.ver || 1 } : { value: undefined, version: 0 };
+    }
+
+    // [key, value, { ver, exp }] in key order, same shape as an engine's
+    // iterate(). opts: { prefix, gt, gte, lt, lte, reverse, limit }
+    *iterate(opts = {}) {
+        this._check();
+        let left = opts.limit === undefined ? Infinity : opts.limit;
+        if (left <= 0) return;
+
+        const p = this.prefix;
+        const rel = k => k === undefined ? undefined : p + k;
+        const range = {
+            prefix: p + (opts.prefix || ''),
+            gt: rel(opts.gt), gte: rel(opts.gte), lt: rel(opts.lt), lte: rel(opts.lte),
+            reverse: !!opts.reverse
+        };
+
+        for (const k of this._walk(range)) {
+            const s = this._state(k);
+            if (!this._live(s)) continue;
+            yield [k.slice(p.length), s.v, { ver: s.ver || 1, exp: s.exp }];
+            if (--left <= 0) return;
+        }
+    }
+
+    // Merges the base key index with _gone (keys deleted since `at`).
+    // _gone is re-queried past the last key each step, since deletes
+    // can land while we're paused at a yield.
+    *_walk(range) {
+        const before = range.reverse ? (a, b) => a > b : (a, b) => a < b;
+        const live = this._base.keys.range(range);
+        let nextLive = live.next().value;
+        let last;
+
+        while (!this.released) {
+            let nextGone;
+            if (this._gone.size) {
+                const rest = last === undefined ? range : { ...range, [range.reverse ? 'lt' : 'gt']: last };
+                nextGone = this._gone.range(rest).next().value;
+            }
+            if (nextLive === undefined && nextGone === undefined) return;
+
+            let k;
+            if (nextGone === undefined || (nextLive !== undefined && !before(nextGone, nextLive))) {
+                k = nextLive;
+                nextLive = live.next().value;
+            } else {
+                k = nextGone;
+            }
+            last = k;
+            yield k;
+        }
+    }
+
+    *scan(opts) {
+        for (const [k, v] of this.iterate(opts)) yield [k, v];
+    }
+
+    [Symbol.iterator]() {
+        return this.scan();
+    }
+
+    async *keys(opts) {
+        for (const [k] of this.iterate(opts)) yield k;
+    }
+
+    async *entries(opts) {
+        for (const entry of this.scan(opts)) yield entry;
+    }
+
+    all() {
+        return Object.fromEntries(this.scan());
+    }
+
+    // stops the db from keeping old values for us; the view is unusable after
+    release() {
+        if (this.released) return;
+        this.released = true;
+        this.db._snapshots.delete(this);
+        this._prior = null;
+        this._gone = null;
+        this._base = null;
+    }
+}
+
+module.exports = Snapshot;
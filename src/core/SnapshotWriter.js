@@ -0,0 +1,106 @@
+// Snapshot Writer 💾
+// Turns [key, value, ver, exp] records into a snapshot file. Same code
+// runs on the main thread or inside snapshotWorker.js, Database picks.
+//
+//   const w = new SnapshotWriter(file, { format: 'ndjson' });
+//   await w.open();
+//   await w.write(records); // as many times as needed
+//   await w.end();
+//
+// The worker gets text from SnapshotWriter.lines() instead of records:
+// values are encoded where they live, so prototypes and toJSON() count
+// the same as in the WAL (structured clone would drop both).
+
+const fs = require('fs').promises;
+const { crc32, hex8 } = require('./crc32');
+const { encode } = require('../codec');
+
+const FORMAT = 'sehawq-ndjson';
+const VERSION = 1;
+const CHUNK = 1024 * 1024; // flush to disk every ~1MB of text
+const HEADER_PAD = 16; // room for the count's digits
+
+class SnapshotWriter {
+    // sync: fsync before closing. seq: change feed position, kept in the
+    // header. Only NDJSON gets written, the old single-object format
+    // can't hold ttls and versions
+    constructor(file, { format = 'ndjson', sync = false, seq = 0 } = {}) {
+        if (format !== 'ndjson') throw new Error(`Can't write snapshotFormat '${format}'`);
+        this.file = file;
+        this.format = format;
+        this.sync = sync;
+        this.seq = seq;
+        this.count = 0;
+        this._fh = null;
+        this._chunk = '';
+        this._crc = 0;
+    }
+
+    async open() {
+        this._fh = await fs.open(this.file, 'w');
+
+        // count + crc aren't known until the end, so the header is a
+        // placeholder padded with spaces (JSON.parse skips them), patched
+        // in place once everything is written
+        this._header = { format: FORMAT, version: VERSION, count: 0, ts: Date.now(), crc: hex8(0), seq: this.seq };
+        this._headerLen = JSON.stringify(this._header).length + HEADER_PAD;
+        await this._fh.write(JSON.stringify(this._header).padEnd(this._headerLen) + '\n');
+    }
+
+    write(records) {
+        return this.writeLines(SnapshotWriter.lines(records), records.length);
+    }
+
+    // text: what lines() made of `count` records
+    async writeLines(text, count) {
+        this.count += count;
+        this._chunk += text;
+        if (this._chunk.length >= CHUNK) await this._flush();
+    }
+
+    // [key, value, ver, exp] records -> their snapshot lines
+    static lines(records) {
+        let text = '';
+        for (const [k, v, ver, exp] of records) {
+            // typed values get tagged + marked, see codec.js
+            const enc = encode(v);
+            const rec = enc === v ? { k, v, ver, exp } : { k, v: enc, ver, exp, e: 1 };
+            text += JSON.stringify(rec) + '\n';
+        }
+        return text;
+    }
+
+    async _flush() {
+        if (!this._chunk) return;
+        const chunk = this._chunk;
+        this._chunk = '';
+        this._crc = crc32(chunk, this._crc);
+        await this._fh.write(chunk);
+    }
+
+    async end() {
+        try {
+            await this._flush();
+            this._header.count = this.count;
+            this._header.crc = hex8(this._crc);
+            await this._fh.write(JSON.stringify(this._header).padEnd(this._headerLen), 0);
+
+            // snapshot has to be on disk before the WAL gets thrown away
+            if (this.sync) await this._fh.sync();
+        } finally {
+            await this.close();
+        }
+    }
+
+    async close() {
+        if (!this._fh) return;
+        const fh = this._fh;
+        this._fh = null;
+        await fh.close();
+    }
+}
+
+SnapshotWriter.FORMAT = FORMAT;
+SnapshotWriter.VERSION = VERSION;
+
+module.exports = SnapshotWriter;
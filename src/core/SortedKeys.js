@@ -0,0 +1,194 @@
+// Sorted Key Index 🔤
+// Keeps every key in sorted order so prefix/range scans don't have to
+// walk (and copy) the whole store. Stored as a list of small sorted
+// chunks, kind of a flat B-tree: an insert only shifts one chunk, never
+// the whole key list.
+
+const CHUNK = 512; // chunks split when they reach 2x this
+
+// first index in arr with arr[i] >= k (or > k when strict)
+function bound(arr, k, strict) {
+    let lo = 0;
+    let hi = arr.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >>> 1;
+        if (arr[mid] < k || (strict && arr[mid] === k)) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// smallest string greater than every string starting with `prefix`
+function prefixEnd(prefix) {
+    let p = prefix;
+    while (p.length && p.charCodeAt(p.length - 1) === 0xFFFF) p = p.slice(0, -1);
+    if (!p.length) return null; // no upper bound
+    return p.slice(0, -1) + String.fromCharCode(p.charCodeAt(p.length - 1) + 1);
+}
+
+class SortedKeys {
+    constructor(keys = []) {
+        const sorted = Array.from(keys).sort(); // default sort = code unit order, same as < below
+        this._chunks = [];
+        for (let i = 0; i < sorted.length; i += CHUNK) this._chunks.push(sorted.slice(i, i + CHUNK));
+        this._size = sorted.length;
+        this.version = 0; // bumped on every change so live iterators know to re-seek
+    }
+
+    get size() { return this._size; }
+
+    // [chunk, index] of the first key >= k (or > k when strict)
+    _locate(k, strict) {
+        const chunks = this._chunks;
+        let lo = 0;
+        let hi = chunks.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            const last = chunks[mid][chunks[mid].length - 1];
+            if (last < k || (strict && last === k)) lo = mid + 1;
+            else hi = mid;
+        }
+        if (lo === chunks.length) return [lo, 0];
+        return [lo, bound(chunks[lo], k, strict)];
+    }
+
+    has(k) {
+        const [c, i] = this._locate(k, false);
+        return c < this._chunks.length && this._chunks[c][i] === k;
+    }
+
+    add(k) {
+        const chunks = this._chunks;
+        if (!chunks.length) {
+            chunks.push([k]);
+        } else {
+            let [c, i] = this._locate(k, false);
+            if (c === chunks.length) {
+                c = chunks.length - 1; // bigger than everything, goes at the very end
+                i = chunks[c].length;
+            } else if (chunks[c][i] === k) {
+                return false;
+            }
+
+            const arr = chunks[c];
+            arr.splice(i, 0, k);
+            if (arr.length >= CHUNK * 2) chunks.splice(c + 1, 0, arr.splice(CHUNK));
+        }
+        this._size++;
+        this.version++;
+        return true;
+    }
+
+    delete(k) {
+        const [c, i] = this._locate(k, false);
+        if (c === this._chunks.length || this._chunks[c][i] !== k) return false;
+
+        this._chunks[c].splice(i, 1);
+        if (!this._chunks[c].length) this._chunks.splice(c, 1);
+        this._size--;
+        this.version++;
+        return true;
+    }
+
+    clear() {
+        this._chunks = [];
+        this._size = 0;
+        this.version++;
+    }
+
+    // how many keys start with `prefix`, without walking them:
+    // two lookups plus the lengths of the chunks in between
+    countPrefix(prefix) {
+        if (!prefix) return this._size;
+        const [c0, i0] = this._locate(prefix, false);
+        const end = prefixEnd(prefix);
+        const [c1, i1] = end === null ? [this._chunks.length, 0] : this._locate(end, false);
+        let n = i1 - i0;
+        for (let c = c0; c < c1; c++) n += this._chunks[c].length;
+        return n;
+    }
+
+    // Yields keys in order. Options: prefix, gt, gte, lt, lte, reverse.
+    // Safe to keep iterating while keys are added/removed: if the index
+    // changed since the last step, it re-seeks from the last yielded key.
+    *range(opts = {}) {
+        let lower = null; // { key, strict }
+        let upper = null;
+
+        const tighten = (cur, key, strict, isLower) => {
+            if (key === undefined || key === null) return cur;
+            if (!cur) return { key, strict };
+            if (key === cur.key) return { key, strict: cur.strict || strict };
+            return (isLower ? key > cur.key : key < cur.key) ? { key, strict } : cur;
+        };
+
+        if (opts.prefix) {
+            lower = tighten(lower, opts.prefix, false, true);
+            upper = tighten(upper, prefixEnd(opts.prefix), true, false);
+        }
+        lower = tighten(lower, opts.gte, false, true);
+        lower = tighten(lower, opts.gt, true, true);
+        upper = tighten(upper, opts.lte, false, false);
+        upper = tighten(upper, opts.lt, true, false);
+
+        const aboveLower = k => !lower || (lower.strict ? k > lower.key : k >= lower.key);
+        const belowUpper = k => !upper || (upper.strict ? k < upper.key : k <= upper.key);
+
+        if (opts.reverse) {
+            yield* this._walkBack(upper, aboveLower);
+        } else {
+            yield* this._walk(lower, belowUpper);
+        }
+    }
+
+    *_walk(lower, inRange) {
+        let [c, i] = lower ? this._locate(lower.key, lower.strict) : [0, 0];
+        let ver = this.version;
+
+        while (c < this._chunks.length) {
+            if (i >= this._chunks[c].length) {
+                c++;
+                i = 0;
+                continue;
+            }
+
+            const k = this._chunks[c][i];
+            if (!inRange(k)) return;
+            yield k;
+
+            if (this.version !== ver) {
+                [c, i] = this._locate(k, true);
+                ver = this.version;
+            } else {
+                i++;
+            }
+        }
+    }
+
+    *_walkBack(upper, inRange) {
+        // position just past the upper bound, then step back one
+        let [c, i] = upper ? this._locate(upper.key, !upper.strict) : [this._chunks.length, 0];
+        let ver = this.version;
+
+        while (true) {
+            i--;
+            while (i < 0) {
+                c--;
+                if (c < 0) return;
+                i = this._chunks[c].length - 1;
+            }
+
+            const k = this._chunks[c][i];
+            if (!inRange(k)) return;
+            yield k;
+
+            if (this.version !== ver) {
+                [c, i] = this._locate(k, false);
+                ver = this.version;
+            }
+        }
+    }
+}
+
+module.exports = SortedKeys;
+module.exports.prefixEnd = prefixEnd;
@@ -5,6 +5,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { performance } = require('perf_hooks');
+const { cleanMeta, pack, unpack } = require('./jsonFile');
 
 class Storage {
   constructor(filePath, options = {}) {
@@ -17,6 +18,8 @@ class Storage {
       ...options
     };
 
+    this.data = new Map(); // only used as a storage engine, see below
+    this.meta = new Map(); // key -> { ver, exp }, same
     this.writeQueue = [];
     this.isWriting = false;
     this.stats = { reads: 0, writes: 0, backups: 0, errors: 0, totalReadTime: 0, totalWriteTime: 0 };
@@ -178,6 +181,39 @@ class Storage {
     };
   }
 
+  // --- Storage engine interface (see engines.js) ---
+  // Keeps a Map in memory, every snapshot() is one atomic write (+ backup).
+  // Typed values, versions and ttls are kept, see jsonFile.js.
+  async open() {
+    ({ data: this.data, meta: this.meta } = unpack(await this.read()));
+  }
+
+  get(key) { return this.data.get(key); }
+
+  put(key, value, meta) {
+    this.data.set(key, value);
+    const m = cleanMeta(meta);
+    if (m) this.meta.set(key, m);
+    else this.meta.delete(key);
+  }
+
+  del(key) {
+    this.meta.delete(key);
+    return this.data.delete(key);
+  }
+
+  clear() {
+    this.data.clear();
+    this.meta.clear();
+  }
+
+  *iterate() {
+    for (const [k, v] of this.data) yield [k, v, this.meta.get(k)];
+  }
+
+  snapshot() { return this.write(pack(this.data, this.meta)); }
+  close() { return this.snapshot(); }
+
   // public wrappers
   createBackup() { return this._backup(); }
 
@@ -5,6 +5,8 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const { decode, encode } = require('../codec');
+const { META_KEY, cleanMeta } = require('./jsonFile');
 
 class StreamStorage {
     constructor(filePath, opts = {}) {
@@ -21,38 +23,43 @@ class StreamStorage {
 
         this._diskData = null; // lazy loaded
         this._dirty = new Set(); // keys that need flushing to disk
+        this._meta = new Map(); // key -> { ver, exp }, for every key (they're small)
     }
 
     async load() {
         try {
             await fs.access(this.filePath);
             const raw = await fs.readFile(this.filePath, 'utf8');
-            const data = JSON.parse(raw);
-
-            // index all keys but only load up to maxItems into hot cache
-            const entries = Object.entries(data);
-            let loaded = 0;
-
-            for (const [k, v] of entries) {
-                this._keyIndex.add(k);
-
-                if (loaded < this.maxItems) {
-                    this._hot.set(k, v);
-                    this._accessOrder.push(k);
-                    loaded++;
-                }
-            }
-
-            if (this.debug) {
-                console.log(`StreamStorage: ${entries.length} total, ${loaded} hot, ${entries.length - loaded} cold`);
-            }
-
+            this._index(JSON.parse(raw));
             return this._hot;
         } catch {
             return new Map();
         }
     }
 
+    // index all keys but only load up to maxItems into hot cache
+    _index(data) {
+        const meta = data[META_KEY] || {};
+        const entries = Object.entries(data).filter(([k]) => k !== META_KEY);
+        let loaded = 0;
+
+        for (const [k, v] of entries) {
+            this._keyIndex.add(k);
+            const m = cleanMeta(meta[k]);
+            if (m) this._meta.set(k, m);
+
+            if (loaded < this.maxItems) {
+                this._hot.set(k, decode(v));
+                this._accessOrder.push(k);
+                loaded++;
+            }
+        }
+
+        if (this.debug) {
+            console.log(`StreamStorage: ${entries.length} total, ${loaded} hot, ${entries.length - loaded} cold`);
+        }
+    }
+
     // get a value - check hot cache first, then disk
     async get(key) {
         // hot path
@@ -87,6 +94,7 @@ class StreamStorage {
 
     async delete(key) {
         this._keyIndex.delete(key);
+        this._meta.delete(key);
         this._hot.delete(key);
         this._dirty.add(key); // mark for disk cleanup too
         this._accessOrder = this._accessOrder.filter(k => k !== key);
@@ -142,7 +150,7 @@ class StreamStorage {
 
         // merge hot data in
         for (const [k, v] of this._hot) {
-            diskData[k] = v;
+            diskData[k] = encode(v);
         }
 
         // handle deletes
@@ -152,6 +160,10 @@ class StreamStorage {
             }
         }
 
+        // versions/ttls, see jsonFile.js
+        delete diskData[META_KEY];
+        if (this._meta.size) diskData[META_KEY] = Object.fromEntries(this._meta);
+
         // atomic write
         const tmp = this.filePath + '.tmp';
         const json = JSON.stringify(diskData, null, 2);
@@ -180,34 +192,87 @@ class StreamStorage {
 
     // kick the least recently used key out of hot cache
     _evict() {
+        const unsaved = [];
         while (this._hot.size > this.maxItems && this._accessOrder.length > 0) {
             const oldest = this._accessOrder.shift();
             if (oldest && this._hot.has(oldest)) {
-                // its already on disk (or will be on next save), just remove from RAM
-                this._dirty.add(oldest); // make sure its flushed first
+                // dirty keys only exist in RAM until the next save(), dropping
+                // them here would lose the write
+                if (this._dirty.has(oldest)) {
+                    unsaved.push(oldest);
+                    continue;
+                }
                 this._hot.delete(oldest);
 
                 if (this.debug) console.log(`evicted: ${oldest}`);
             }
         }
+        if (unsaved.length) this._accessOrder = unsaved.concat(this._accessOrder);
     }
 
     // read a single key from disk (slow but necessary)
     async _loadFromDisk(key) {
         try {
-            const raw = await fs.readFile(this.filePath, 'utf8');
-            const data = JSON.parse(raw);
-            return data[key];
+            const raw = (await this._readDisk())[key];
+            return raw === undefined ? undefined : decode(raw);
         } catch {
             return undefined;
         }
     }
 
+    async _readDisk() {
+        return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    }
+
+    // --- Storage engine interface (see engines.js) ---
+    // The file stays a plain JSON object, typed values and versions/ttls
+    // fit in it, see jsonFile.js.
+
+    async open() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let data;
+        try {
+            data = await this._readDisk();
+        } catch (e) {
+            if (e.code === 'ENOENT') return; // fresh db
+            // load() would shrug and start empty, then the next save() wipes the file
+            throw new Error(`StreamStorage: ${this.filePath} is not a plain JSON file (written by another storage engine?): ${e.message}`);
+        }
+        this._index(data);
+    }
+
+    put(key, value, meta) {
+        const m = cleanMeta(meta);
+        if (m) this._meta.set(key, m);
+        else this._meta.delete(key);
+        return this.set(key, value);
+    }
+
+    del(key) { return this.delete(key); }
+
+    // cold keys come out of one disk read, not one per key
+    async *iterate() {
+        let disk = null;
+        for (const k of this._keyIndex) {
+            if (this._hot.has(k)) {
+                yield [k, this._hot.get(k), this._meta.get(k)];
+                continue;
+            }
+            if (!disk) disk = await this._readDisk();
+            yield [k, decode(disk[k]), this._meta.get(k)];
+        }
+    }
+
+    snapshot() { return this.save(); }
+    close() { return this.save(); }
+
     async clear() {
+        for (const k of this._keyIndex) this._dirty.add(k); // so save() drops them from disk too
         this._hot.clear();
         this._keyIndex.clear();
+        this._meta.clear();
         this._accessOrder = [];
-        this._dirty.clear();
     }
 
     getStats() {
@@ -0,0 +1,152 @@
+// Telemetry 📈
+// Latency histograms for get/set/delete/query plus counters and gauges
+// from every part of the db, as JSON (collect()) or Prometheus text
+// (toPrometheus(), served at GET /metrics).
+//
+// Histograms are only recorded with the `metrics: true` option, that's
+// the part with a cost on the hot path. Counters and gauges are plain
+// functions read at scrape time, so they're always there and free.
+//
+//   db.telemetry.gauge('sehawq_thing', 'Things right now', () => things.size);
+
+const { performance } = require('perf_hooks');
+
+// seconds; in-memory ops live at the low end, disk-bound writes further up
+const BUCKETS = [0.00001, 0.000025, 0.00005, 0.0001, 0.00025, 0.0005, 0.001, 0.0025,
+    0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const OPS = ['get', 'set', 'delete', 'query'];
+
+class Histogram {
+    constructor() {
+        this.counts = new Array(BUCKETS.length + 1).fill(0); // last one is +Inf
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(sec) {
+        let i = 0;
+        while (i < BUCKETS.length && sec > BUCKETS[i]) i++;
+        this.counts[i]++;
+        this.sum += sec;
+        this.count++;
+    }
+
+    // upper bound of the bucket the q-th observation falls in
+    quantile(q) {
+        if (!this.count) return 0;
+        const rank = q * this.count;
+        let seen = 0;
+        for (let i = 0; i < BUCKETS.length; i++) {
+            seen += this.counts[i];
+            if (seen >= rank) return BUCKETS[i];
+        }
+        return Infinity;
+    }
+}
+
+// {a: 'x'} -> 'a="x"'
+const labelText = labels => Object.entries(labels)
+    .map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join(',');
+
+class Telemetry {
+    constructor({ enabled = false } = {}) {
+        this.enabled = enabled;
+        this.latency = new Map(OPS.map(op => [op, new Histogram()]));
+        this._metrics = new Map(); // name -> { type, help, fn }
+    }
+
+    // t0 from performance.now()
+    observe(op, t0) {
+        this.latency.get(op).observe((performance.now() - t0) / 1000);
+    }
+
+    // fn() returns a number, or [{ labels, value }] for labelled series.
+    // Returns a function that removes it again.
+    gauge(name, help, fn) {
+        return this._register(name, 'gauge', help, fn);
+    }
+
+    counter(name, help, fn) {
+        return this._register(name, 'counter', help, fn);
+    }
+
+    _register(name, type, help, fn) {
+        const m = { type, help, fn };
+        this._metrics.set(name, m);
+        return () => {
+            if (this._metrics.get(name) === m) this._metrics.delete(name);
+        };
+    }
+
+    _read(m) {
+        try {
+            const v = m.fn();
+            return Array.isArray(v) ? v : [{ labels: {}, value: Number(v) || 0 }];
+        } catch (e) {
+            return []; // a broken gauge shouldn't break the scrape
+        }
+    }
+
+    // plain object version, for db.metrics()
+    collect() {
+        const latency = {};
+        for (const [op, h] of this.latency) {
+            latency[op] = {
+                count: h.count,
+                sum: h.sum,
+                avg: h.count ? h.sum / h.count : 0,
+                p50: h.quantile(0.5),
+                p95: h.quantile(0.95),
+                p99: h.quantile(0.99)
+            };
+        }
+
+        const values = {};
+        for (const [name, m] of this._metrics) {
+            const series = this._read(m);
+            values[name] = series.length === 1 && !Object.keys(series[0].labels).length
+                ? series[0].value
+                : series.map(s => ({ ...s.labels, value: s.value }));
+        }
+
+        return { enabled: this.enabled, latency, metrics: values };
+    }
+
+    // Prometheus text exposition format (0.0.4)
+    toPrometheus() {
+        const out = [];
+
+        if (this.enabled) {
+            const name = 'sehawq_op_duration_seconds';
+            out.push(`# HELP ${name} Latency of get/set/delete/query calls`);
+            out.push(`# TYPE ${name} histogram`);
+            for (const [op, h] of this.latency) {
+                let cum = 0;
+                for (let i = 0; i < BUCKETS.length; i++) {
+                    cum += h.counts[i];
+                    out.push(`${name}_bucket{op="${op}",le="${BUCKETS[i]}"} ${cum}`);
+                }
+                out.push(`${name}_bucket{op="${op}",le="+Inf"} ${h.count}`);
+                out.push(`${name}_sum{op="${op}"} ${h.sum}`);
+                out.push(`${name}_count{op="${op}"} ${h.count}`);
+            }
+        }
+
+        for (const [name, m] of this._metrics) {
+            out.push(`# HELP ${name} ${m.help}`);
+            out.push(`# TYPE ${name} ${m.type}`);
+            for (const { labels, value } of this._read(m)) {
+                const l = labelText(labels);
+                out.push(`${name}${l ? `{${l}}` : ''} ${value}`);
+            }
+        }
+
+        return out.join('\n') + '\n';
+    }
+}
+
+Telemetry.BUCKETS = BUCKETS;
+
+module.exports = Telemetry;
@@ -0,0 +1,227 @@
+// Trash Bin 🗑️
+// With the `trash` option deletes are soft: the key goes away like
+// before (events, watchers, queries all see a delete), but its last value
+// is kept in the trash with when and by whom. Entries drop out on their
+// own after `retention` days.
+//
+//   await db.delete('users:1', { by: 'alice' });
+//   db.trash.list();                  // [{ key, value, deletedAt, by, expiresAt }]
+//   await db.trash.restore('users:1');
+//   await db.trash.purge();           // empty it for good
+//
+// The trash sits next to the store, not in it: no events, no watchers,
+// nothing in scan()/all()/dump() or the key count. Moving a key in or out
+// is a 'trash'/'untrash' record in the same atomic WAL write as the
+// delete/restore; save() writes what's left to <name>.trash, the trash's
+// own snapshot. Engines other than 'wal-json' append the records there
+// as they happen instead.
+//
+// Covers delete(), batch/transaction deletes and what's built on them
+// (Collection.remove/drop, Namespace.clear). Not ttl expiry, not
+// db.clear(), not deletes with { hard: true }, and internal '_' keys are
+// never trashed.
+
+const fs = require('fs').promises;
+const { encode, decode } = require('../codec');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const fileLine = rec => JSON.stringify(rec.op === 'trash' ? { ...rec, v: encode(rec.v) } : rec) + '\n';
+
+class Trash {
+    // conf: true | { retention: days } (default 30, 0 = keep until purged).
+    // prefix: Namespace views only see their own keys, relative to it.
+    constructor(db, conf, prefix = '', root = null) {
+        const opts = conf && typeof conf === 'object' ? conf : {};
+        this.db = db;
+        this.conf = conf;
+        this.enabled = !!conf;
+        this.retention = opts.retention === undefined ? 30 : opts.retention;
+        this.prefix = prefix;
+
+        if (!(this.retention >= 0)) throw new Error(`Invalid trash retention: ${opts.retention}`);
+
+        // views share the root's entries and file
+        this._root = root || this;
+        if (!root) {
+            this._entries = new Map(); // full key -> { v, ver, at, by, exp }
+            this.path = db.conf.path.replace(/\.json$/, '') + '.trash';
+            this._file = !db.conf.inMemory && !db.conf.readOnly;
+            this._flush = Promise.resolve();
+            this._dirty = false; // file is behind _entries
+        }
+    }
+
+    view(prefix) {
+        return new Trash(this.db, this.conf, this.prefix + prefix, this._root);
+    }
+
+    covers(k) {
+        return this.enabled && !k.startsWith('_');
+    }
+
+    // --- Records (WAL + file) ---
+    // the record that rides along with deleting k, for db._commit()
+    _entry(k, by) {
+        const now = Date.now();
+        const db = this.db;
+        return {
+            op: 'trash', k, v: db._store.get(k), ver: db._vers.get(k),
+            at: now, by: by || null, exp: this.retention ? now + this.retention * DAY : null
+        };
+    }
+
+    // applies a 'trash' / 'untrash' record, returns the entry it replaced
+    // (what a rollback puts back)
+    _apply(rec) {
+        const entries = this._root._entries;
+        const prev = entries.get(rec.k);
+        if (rec.op === 'trash') entries.set(rec.k, { v: rec.v, ver: rec.ver, at: rec.at, by: rec.by, exp: rec.exp });
+        else entries.delete(rec.k);
+        this._root._dirty = true;
+        return prev ? { op: 'trash', k: rec.k, ...prev } : { op: 'untrash', k: rec.k };
+    }
+
+    _live(k) {
+        const e = this._root._entries.get(k);
+        return e && (!e.exp || e.exp > Date.now()) ? e : null;
+    }
+
+    // --- Reads ---
+    _view(k, e) {
+        // stored values are raw, run get hooks (decryption etc.) like a read would
+        const db = this.db;
+        const value = db._hooks.post.has('get') ? db._runHooksSync('post', { op: 'get', key: k, value: e.v }).value : e.v;
+        return { key: k.slice(this.prefix.length), value, deletedAt: e.at, by: e.by, expiresAt: e.exp || null };
+    }
+
+    // newest first. opts: { prefix, limit }
+    list({ prefix = '', limit = Infinity } = {}) {
+        const p = this.prefix + prefix;
+        const out = [];
+        for (const k of this._root._entries.keys()) {
+            const e = k.startsWith(p) && this._live(k);
+            if (e) out.push(this._view(k, e));
+        }
+        out.sort((a, b) => b.deletedAt - a.deletedAt);
+        return out.slice(0, limit);
+    }
+
+    get(key) {
+        const e = this._live(this.prefix + key);
+        return e ? this._view(this.prefix + key, e) : undefined;
+    }
+
+    // --- Writes ---
+    // Puts the value back (as a new write) and takes it out of the trash.
+    // false if it's not in there; throws with code 'EEXIST' if the key was
+    // written again since, unless overwrite is set.
+    async restore(key, { overwrite = false } = {}) {
+        const k = this.prefix + key;
+        const e = this._live(k);
+        if (!e) return false;
+
+        if (!overwrite && this.db.has(k)) {
+            const err = new Error(`Can't restore "${key}", it exists again (pass { overwrite: true } to replace it)`);
+            err.code = 'EEXIST';
+            throw err;
+        }
+
+        // raw: the value was stored after set hooks already ran on it
+        await this.db._commit(new Map([[k, { op: 'put', v: e.v, raw: true }]]), { untrash: [k] });
+        return true;
+    }
+
+    // drops one entry, or everything (in this view) without a key.
+    // Returns how many went.
+    async purge(key) {
+        const keys = [];
+        if (key !== undefined) {
+            if (this._live(this.prefix + key)) keys.push(this.prefix + key);
+        } else {
+            for (const k of this._root._entries.keys()) if (k.startsWith(this.prefix) && this._live(k)) keys.push(k);
+        }
+        if (!keys.length) return 0;
+
+        await this.db._commit(new Map(), { untrash: keys });
+        return keys.length;
+    }
+
+    // --- File ---
+    // non-WAL engines: records go straight to the file, in write order
+    _append(recs) {
+        const root = this._root;
+        if (!root._file) return;
+        const text = recs.map(fileLine).join('');
+        root._flush = root._flush.then(() => fs.appendFile(root.path, text)).catch(e => this.db.emit('error', e));
+        return root._flush;
+    }
+
+    // save() calls this: drops what ran out and rewrites the file with
+    // the rest. Synced like the snapshot, the WAL with the records goes
+    // away right after.
+    save() {
+        const root = this._root;
+        const now = Date.now();
+        for (const [k, e] of root._entries) {
+            if (e.exp && e.exp <= now) {
+                root._entries.delete(k);
+                root._dirty = true;
+            }
+        }
+        if (!root._file || !root._dirty) return root._flush;
+        root._dirty = false;
+
+        root._flush = root._flush.then(async () => {
+            const tmp = root.path + '.tmp';
+            const fh = await fs.open(tmp, 'w');
+            try {
+                let text = '';
+                for (const [k, e] of root._entries) text += fileLine({ op: 'trash', k, ...e });
+                await fh.write(text);
+                if (this.db.conf.durability !== 'none') await fh.sync();
+            } finally {
+                await fh.close();
+            }
+            await fs.rename(tmp, root.path);
+        });
+        // a failed rewrite leaves the file behind, try again next time
+        const done = root._flush;
+        root._flush = done.catch(() => { root._dirty = true; });
+        return done;
+    }
+
+    async load() {
+        const root = this._root;
+        if (this.db.conf.inMemory) return;
+
+        let text;
+        try {
+            text = await fs.readFile(root.path, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return;
+            throw e;
+        }
+
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            let rec;
+            try {
+                rec = JSON.parse(line);
+            } catch (e) {
+                continue; // torn last line after a crash
+            }
+            if (typeof rec.k !== 'string') continue;
+            if (rec.op === 'trash') rec.v = decode(rec.v);
+            this._apply(rec);
+        }
+        root._dirty = false;
+    }
+
+    // pending appends/rewrites, awaited by close()
+    drain() {
+        return this._root._flush;
+    }
+}
+
+module.exports = Trash;
@@ -0,0 +1,21 @@
+// CRC32 (IEEE) for WAL lines + snapshot bodies. Table built once on load.
+// Shared by Database and the snapshot writer (which may run in a worker).
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    CRC_TABLE[n] = c;
+}
+
+// pass the previous result back in as `crc` to checksum across chunks
+function crc32(str, crc = 0) {
+    const buf = Buffer.from(str, 'utf8');
+    crc = ~crc;
+    for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+    return ~crc >>> 0;
+}
+
+const hex8 = n => n.toString(16).padStart(8, '0');
+
+module.exports = { crc32, hex8 };
@@ -0,0 +1,59 @@
+// Storage Engines 🔌
+// Picks what Database persists to, via the `storage` option:
+//
+//   'wal-json' (default)  Database's own WAL + NDJSON snapshot. The only one
+//                         with transactions on disk, archive/restoreTo(),
+//                         verify() and durability modes.
+//   'memory'              nothing on disk (MemoryStorage)
+//   'stream'              plain JSON file, hot keys in RAM (StreamStorage)
+//   any object            your own engine, see below
+//
+// Engine interface. Database keeps the working set in memory either way,
+// the engine is where it's loaded from and written to:
+//
+//   open()                  load / prepare, called once from init()
+//   get(key)                value as persisted (may return a promise)
+//   put(key, value, meta)   write one key. meta is { ver, exp } (version and
+//                           ttl). Engines that can't store it just drop it,
+//                           those keys come back at version 1 with no ttl
+//   del(key)                remove one key
+//   iterate()               (async) iterable of [key, value, meta?]
+//   snapshot()              flush / compact, called on save()
+//   close()                 flush and let go of files
+//   clear()                 optional, falls back to del() per key
+//
+// Values are handed over as they are (Dates, Buffers, Maps...). Engines
+// that write JSON can use codec.js encode()/decode() to keep the types;
+// the built-in file ones keep types, versions and ttls via jsonFile.js.
+// tests/engines.test.js runs the same checks against all of them.
+//
+// The lock file is taken whatever the engine, unless the db is in-memory.
+//
+// Writes are handed to the engine one at a time, in order. Multi-key
+// transactions/batches are atomic in memory, but only 'wal-json' makes
+// them atomic on disk too.
+
+const MemoryStorage = require('./MemoryStorage');
+const StreamStorage = require('./StreamStorage');
+
+const METHODS = ['open', 'get', 'put', 'del', 'iterate', 'snapshot', 'close'];
+
+// null means "use the built-in wal-json path"
+function createEngine(storage, conf = {}) {
+    if (storage === undefined || storage === null || storage === 'wal-json') return null;
+
+    if (typeof storage === 'object') {
+        const missing = METHODS.filter(m => typeof storage[m] !== 'function');
+        if (missing.length) throw new Error(`Storage engine is missing: ${missing.join(', ')}`);
+        return storage;
+    }
+
+    if (storage === 'memory') return new MemoryStorage();
+    if (storage === 'stream') {
+        return new StreamStorage(conf.path, { maxMemoryItems: conf.maxMemoryItems, debug: conf.debug });
+    }
+
+    throw new Error(`Unknown storage engine: ${storage} (expected 'wal-json', 'memory', 'stream' or an engine object)`);
+}
+
+module.exports = { createEngine, METHODS };
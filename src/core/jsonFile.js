@@ -0,0 +1,57 @@
+// JSON File Records 📄
+// How the plain-JSON engines (Storage, Persistence, StreamStorage) fit
+// what Database hands them into one JSON object: values codec-encoded
+// under their own key (see codec.js), versions and ttls together under
+// META_KEY, so the rest of the file stays readable as before.
+//
+//   { "users:1": { "name": "Ada" },
+//     "_sehawq:meta": { "users:1": { "ver": 3, "exp": 1714560000000 } } }
+//
+// Files from before this have no META_KEY: everything comes back at
+// version 1 with no ttl, like it used to.
+
+const { encode, decode } = require('../codec');
+
+const META_KEY = '_sehawq:meta';
+
+// only what's worth keeping: version 1 and no ttl are the defaults
+function cleanMeta(meta) {
+    if (!meta) return null;
+    const out = {};
+    if (meta.ver > 1) out.ver = meta.ver;
+    if (meta.exp) out.exp = meta.exp;
+    return out.ver || out.exp ? out : null;
+}
+
+// entries: iterable of [key, value]; meta: Map key -> { ver, exp }
+function pack(entries, meta) {
+    const obj = {};
+    const m = {};
+    let hasMeta = false;
+    for (const [k, v] of entries) {
+        obj[k] = encode(v);
+        const km = meta && meta.get(k);
+        if (km) {
+            m[k] = km;
+            hasMeta = true;
+        }
+    }
+    if (hasMeta) obj[META_KEY] = m;
+    return obj;
+}
+
+// parsed file -> { data: Map key -> value, meta: Map key -> { ver, exp } }
+function unpack(obj) {
+    const data = new Map();
+    const meta = new Map();
+    const m = obj && typeof obj[META_KEY] === 'object' ? obj[META_KEY] : {};
+    for (const k of Object.keys(obj || {})) {
+        if (k === META_KEY) continue;
+        data.set(k, decode(obj[k]));
+        const km = cleanMeta(m[k]);
+        if (km) meta.set(k, km);
+    }
+    return { data, meta };
+}
+
+module.exports = { META_KEY, cleanMeta, pack, unpack };
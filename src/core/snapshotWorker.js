@@ -0,0 +1,40 @@
+// Worker side of background snapshots: the crc32 and the disk writes of
+// a big store, so those don't block requests. Serializing isn't done
+// here: records come in as text already (SnapshotWriter.lines() on the
+// main thread), so the file matches what the main thread would have
+// written.
+// Messages are { id, type: 'open' | 'write' | 'end' | 'abort', ... },
+// every one gets { id, ok } or { id, error } back, handled in order.
+
+const { parentPort } = require('worker_threads');
+const SnapshotWriter = require('./SnapshotWriter');
+
+let writer = null;
+let queue = Promise.resolve();
+
+async function handle(msg) {
+    switch (msg.type) {
+        case 'open':
+            if (writer) await writer.close(); // leftover from a job that died halfway
+            writer = new SnapshotWriter(msg.file, msg.opts);
+            await writer.open();
+            break;
+        case 'write':
+            await writer.writeLines(msg.text, msg.count);
+            break;
+        case 'end':
+            await writer.end();
+            writer = null;
+            break;
+        case 'abort':
+            if (writer) await writer.close();
+            writer = null;
+            break;
+    }
+}
+
+parentPort.on('message', msg => {
+    queue = queue.then(() => handle(msg))
+        .then(() => parentPort.postMessage({ id: msg.id, ok: true }))
+        .catch(e => parentPort.postMessage({ id: msg.id, error: e.message }));
+});
@@ -0,0 +1,47 @@
+// Backup Targets ☁️
+// Where backups get copied to after they're written locally, so losing
+// the disk doesn't mean losing the backups too. Set with `backupTargets`,
+// a list where each entry is one of:
+//
+//   's3://bucket/prefix'            S3 or anything that speaks its API
+//   { type: 's3', bucket, ... }     (MinIO, R2...), see S3Target
+//   '/mnt/nas/db'                   another directory (NFS mount, USB disk...)
+//   { type: 'dir', path }           see DirTarget
+//   any object                      your own target, see below
+//
+// Target interface. Names are plain file names ('backup-<ts>.json'):
+//
+//   put(name, file)   upload a local file
+//   get(name, file)   download into a local file
+//   list()            [{ name, size }] of what's stored
+//   del(name)         delete one
+//   url(name)         optional, what to show instead of the bare name
+//   name              optional, what restore({ target }) calls it
+//
+// Retrying is up to the target: S3Target retries every request (each
+// multipart part on its own), a directory has nothing worth retrying.
+
+const S3Target = require('./S3Target');
+const DirTarget = require('./DirTarget');
+
+const METHODS = ['put', 'get', 'list', 'del'];
+
+function createTarget(spec) {
+    if (typeof spec === 'string') {
+        const m = /^s3:\/\/([^/]+)\/?(.*)$/.exec(spec);
+        const opts = m ? { bucket: m[1], prefix: m[2] } : { path: spec.replace(/^file:\/\//, '') };
+        return m ? new S3Target({ ...opts, name: spec }) : new DirTarget({ ...opts, name: spec });
+    }
+
+    if (spec && spec.type === 's3') return new S3Target(spec);
+    if (spec && spec.type === 'dir') return new DirTarget(spec);
+    if (spec && typeof spec === 'object' && !spec.type) {
+        const missing = METHODS.filter(m => typeof spec[m] !== 'function');
+        if (missing.length) throw new Error(`Backup target is missing: ${missing.join(', ')}`);
+        return spec;
+    }
+
+    throw new Error(`Unknown backup target: ${spec && spec.type ? spec.type : spec} (expected 's3://...', a directory or a target object)`);
+}
+
+module.exports = { createTarget, METHODS };
@@ -16,9 +16,12 @@ class SehawqDB {
     this.idx = new IndexManager(this.db, opts);
     this.migration = new Migration(this.db);
     this.repl = opts.replication ? new Replication(this.db, opts.replication) : null;
+    this.trash = this.db.trash; // soft deletes with `trash: true`, see core/Trash.js
 
-    // audit + compliance (opt-in)
-    this.audit = opts.audit !== false ? new AuditLog(this.db, opts.audit || {}) : null;
+    // audit + compliance (opt-in). In-memory dbs skip it by default, the
+    // audit log is a file.
+    const audit = opts.audit === undefined ? !this.db.conf.inMemory : opts.audit !== false;
+    this.audit = audit ? new AuditLog(this.db, opts.audit || {}) : null;
     this.compliance = new Compliance(this.db);
     // attach to db instance so plugins/api can find them
     if (this.audit) this.db.audit = this.audit;
@@ -40,10 +43,46 @@ class SehawqDB {
   // Core Methods (Delegated dynamically to allow plugins to override them)
   set(key, val, opts) { return this.db.set(key, val, opts); }
   get(key) { return this.db.get(key); }
-  delete(key) { return this.db.delete(key); }
+  getPath(key, path) { return this.db.getPath(key, path); }
+  setPath(key, path, val, opts) { return this.db.setPath(key, path, val, opts); }
+
+  // TTL management
+  ttl(key) { return this.db.ttl(key); }
+  expire(key, seconds) { return this.db.expire(key, seconds); }
+  expireAt(key, when) { return this.db.expireAt(key, when); }
+  persist(key) { return this.db.persist(key); }
+
+  // Versions / compare-and-swap
+  getWithVersion(key) { return this.db.getWithVersion(key); }
+  compareAndSwap(key, expected, next) { return this.db.compareAndSwap(key, expected, next); }
+  update(key, fn, opts) { return this.db.update(key, fn, opts); }
+  delete(key, opts) { return this.db.delete(key, opts); }
   has(key) { return this.db.has(key); }
   all() { return this.db.all(); }
 
+  // Revision history (opt-in per prefix, see core/History.js)
+  enableHistory(prefix, opts) { this.db.enableHistory(prefix, opts); return this; }
+  disableHistory(prefix) { this.db.disableHistory(prefix); return this; }
+  history(key, opts) { return this.db.history(key, opts); }
+  getAt(key, when) { return this.db.getAt(key, when); }
+  revert(key, rev) { return this.db.revert(key, rev); }
+
+  // point-in-time read view, call release() when done
+  snapshot(opts) { return this.db.snapshot(opts); }
+
+  // Seed / inspect (handy with path: ':memory:')
+  dump() { return this.db.dump(); }
+  load(data, opts) { return this.db.load(data, opts); }
+
+  // Ordered prefix/range scans
+  keys(opts) { return this.db.keys(opts); }
+  entries(opts) { return this.db.entries(opts); }
+  scan(opts) { return this.db.scan(opts); }
+
+  // Atomic multi-key writes
+  transaction(fn) { return this.db.transaction(fn); }
+  batch(ops) { return this.db.batch(ops); }
+
   // Query helpers
   find(fn) { return this.query.find(fn); }
   where(field, op, val) { return this.query.where(field, op, val); }
@@ -60,10 +99,18 @@ class SehawqDB {
   // Collections (MongoDB-style)
   collection(name) { return this.db.collection(name); }
 
+  // Tenants: scoped views sharing this instance (see core/Namespace.js)
+  namespace(name, quota) { return this.db.namespace(name, quota); }
+  namespaces() { return this.db.namespaces(); }
+
   // Reactive watchers (Firebase-style)
   watch(key, cb) { this.db.watch(key, cb); }
   unwatch(key, cb) { this.db.unwatch(key, cb); }
 
+  // Change feed: for await (const c of db.changes({ since })) ...
+  changes(opts) { return this.db.changes(opts); }
+  get seq() { return this.db.seq; }
+
   // Migrations
   migrate(version, name, fn) { this.migration.add(version, name, fn); return this; }
   runMigrations() { return this.migration.run(); }
@@ -72,6 +119,13 @@ class SehawqDB {
   // Replication
   replicationStatus() { return this.repl ? this.repl.status() : null; }
 
+  // Point-in-time recovery (needs `archive: true`)
+  restoreTo(timestamp) { return this.db.restoreTo(timestamp); }
+  listArchives() { return this.db.listArchives(); }
+
+  // Integrity check of snapshot + WAL on disk
+  verify() { return this.db.verify(); }
+
   // Audit
   auditLog(filter) { return this.audit ? this.audit.query(filter) : Promise.resolve([]); }
 
@@ -87,6 +141,10 @@ class SehawqDB {
     return this;
   }
 
+  // Hook pipeline (set/get/delete)
+  pre(op, fn, opts) { this.db.pre(op, fn, opts); return this; }
+  post(op, fn, opts) { this.db.post(op, fn, opts); return this; }
+
   async start() {
     await this.db.init();
 
@@ -122,6 +180,12 @@ class SehawqDB {
     await this.db.close();
   }
 
+  // Latency histograms + counters/gauges. format: 'prometheus' for the
+  // same text GET /metrics serves
+  metrics({ format } = {}) {
+    return format === 'prometheus' ? this.db.telemetry.toPrometheus() : this.db.telemetry.collect();
+  }
+
   getStats() {
     return {
       database: this.db.getStats(),
@@ -129,40 +193,52 @@ class SehawqDB {
     };
   }
 
-  // Fallbacks for array ops
-  push(key, item) {
-    const list = this.get(key) || [];
-    if (!Array.isArray(list)) throw new Error('Key is not a list');
-    list.push(item);
-    return this.set(key, list);
+  // Array/number helpers. These go through db.update(), which retries on
+  // a version conflict, so two concurrent add()s never lose an increment.
+  async push(key, item) {
+    await this.db.update(key, (list = []) => {
+      if (!Array.isArray(list)) throw new Error('Key is not a list');
+      return [...list, item]; // copy, the stored array is the old value
+    });
+    return this;
   }
 
-  pull(key, item) {
-    const list = this.get(key);
-    if (!Array.isArray(list)) return false;
+  async pull(key, item) {
+    if (!Array.isArray(this.get(key))) return false;
 
     // Simple filter
     const json = JSON.stringify(item);
-    const newList = list.filter(x => JSON.stringify(x) !== json);
-
-    return this.set(key, newList);
+    await this.db.update(key, (list) => Array.isArray(list) ? list.filter(x => JSON.stringify(x) !== json) : list);
+    return this;
   }
 
-  add(key, n) {
-    const val = this.get(key) || 0;
-    return this.set(key, val + n);
+  async add(key, n) {
+    await this.db.update(key, (val = 0) => val + n);
+    return this;
   }
 
   subtract(key, n) {
     return this.add(key, -n);
   }
 
-  // Backup utils
-  async backup(dest) {
-    throw new Error('Please use the CLI tool for backups: npx sehawq backup');
-  }
+  // Online backups (see core/Backups.js)
+  backup(dest, opts) { return this.db.backup(dest, opts); }
+  restore(src, opts) { return this.db.restore(src, opts); }
+  listBackups(dir) { return this.db.listBackups(dir); }
 }
 
 module.exports = SehawqDB;
 module.exports.SehawqDB = SehawqDB; // Allow destructuring: const { SehawqDB } = require('sehawq.db')
-module.exports.default = SehawqDB; // ESM support
\ No newline at end of file
+module.exports.default = SehawqDB; // ESM support
+module.exports.ConflictError = Database.ConflictError;
+
+// storage engines, for `storage: new StreamStorage(...)` style setups
+module.exports.MemoryStorage = require('./core/MemoryStorage');
+module.exports.StreamStorage = require('./core/StreamStorage');
+module.exports.Storage = require('./core/Storage');
+module.exports.Persistence = require('./core/Persistence');
+module.exports.codec = require('./codec'); // typed value tags, see codec.js
+
+// backup targets, for `backupTargets: [new S3Target({...})]`
+module.exports.S3Target = require('./core/S3Target');
+module.exports.DirTarget = require('./core/DirTarget');
\ No newline at end of file
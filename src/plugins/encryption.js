@@ -51,20 +51,17 @@ module.exports = function (db, opts = {}) {
         }
     }
 
-    // monkey-patch set/get
-    const _origSet = db.set.bind(db);
-    const _origGet = db.get.bind(db);
-
-    db.set = async function (k, v, setOpts) {
-        if (k.startsWith('_')) return _origSet(k, v, setOpts); // skip internal
-        return _origSet(k, encrypt(v), setOpts);
-    };
-
-    db.get = function (k) {
-        const raw = _origGet(k);
-        if (k.startsWith('_')) return raw;
-        return decrypt(raw);
-    };
+    // encrypt as the very last pre-set step (after timestamps etc.)
+    // and decrypt as the very first post-get step, whatever the use() order
+    db.pre('set', (ctx) => {
+        if (ctx.key.startsWith('_')) return; // skip internal
+        ctx.value = encrypt(ctx.value);
+    }, { priority: 1000 });
+
+    db.post('get', (ctx) => {
+        if (ctx.key.startsWith('_')) return;
+        ctx.value = decrypt(ctx.value);
+    }, { priority: -1000 });
 
     db._encrypted = true;
 
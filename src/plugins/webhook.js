@@ -1,6 +1,8 @@
 // Official Webhook Plugin 🪝
 // Pings a URL when data changes
 
+const { encode } = require('../codec');
+
 module.exports = function (db, opts = {}) {
     if (!opts.url) {
         console.warn('Webhook Plugin: No URL provided!');
@@ -16,7 +18,7 @@ module.exports = function (db, opts = {}) {
                 body: JSON.stringify({
                     event: 'set',
                     key: evt.key,
-                    value: evt.value,
+                    value: encode(evt.value),
                     time: Date.now()
                 })
             }).catch(err => console.error('Webhook Failed:', err.message));
@@ -25,4 +27,22 @@ module.exports = function (db, opts = {}) {
             // Ignore
         }
     });
+
+    // one ping for a whole batch, not one per key. Runs inside the
+    // commit's emit, so it must never throw: the batch is on disk already
+    db.on('batch', (evt) => {
+        try {
+            fetch(opts.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    event: 'batch',
+                    ops: evt.ops.map(o => ({ op: o.op, key: o.key, value: encode(o.value) })),
+                    time: Date.now()
+                })
+            }).catch(err => console.error('Webhook Failed:', err.message));
+        } catch (e) {
+            console.error('Webhook Failed:', e.message);
+        }
+    });
 };
@@ -2,6 +2,10 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { prefixEnd } = require('../core/SortedKeys');
+const Namespace = require('../core/Namespace');
+const { encode, decode } = require('../codec');
 
 class APIServer {
   constructor(db, opts = {}) {
@@ -13,6 +17,33 @@ class APIServer {
     this.app.use(cors());
     this.app.use(express.json());
 
+    // Typed values (Date, BigInt, Buffer, Map, Set) travel as codec.js tags
+    // both ways, same as in the WAL, so they survive the trip
+    this.app.use((req, res, next) => {
+      if (req.body && typeof req.body === 'object') req.body = decode(req.body);
+      const json = res.json.bind(res);
+      res.json = body => json(encode(body));
+      next();
+    });
+
+    // Tenant routing: /api/ns/<name>/... or an X-Sehawq-Namespace header.
+    // The path form is rewritten to the plain /api/... route, and data
+    // routes below use req.db (the tenant's view, or the whole db).
+    // Only the rewrite happens before auth, the view is opened after it.
+    this.app.use((req, res, next) => {
+      const m = /^\/api\/ns\/([^/]+)(\/.*)?$/.exec(req.url);
+      req.tenant = req.headers['x-sehawq-namespace'];
+      if (m) {
+        try {
+          req.tenant = decodeURIComponent(m[1]);
+        } catch (e) {
+          return res.status(400).json({ error: 'Invalid namespace name' });
+        }
+        req.url = '/api' + (m[2] || '/');
+      }
+      next();
+    });
+
     // Plugin Middleware Hook 🪝
     // If a plugin attached an authMiddleware to the DB, use it!
     this.app.use((req, res, next) => {
@@ -23,6 +54,25 @@ class APIServer {
       }
     });
 
+    this.app.use((req, res, next) => {
+      const tenant = req.tenant;
+      if (!tenant) {
+        req.db = this.db;
+        return next();
+      }
+      // checked here so junk names never get a cached view
+      if (!Namespace.validName(tenant)) {
+        return res.status(400).json({ error: `Invalid namespace name: ${tenant} (letters, digits, _ and - only)` });
+      }
+      // auth let it through without a user (public routes like login):
+      // those don't need a tenant, so don't open one for whoever asks
+      if (this.db.authMiddleware && !req.user) {
+        return res.status(401).json({ error: 'Access Denied' });
+      }
+      req.db = this.db.namespace(tenant);
+      next();
+    });
+
     // Cookie/Header extraction helper
     this.getToken = (req) => {
       const authHeader = req.headers['authorization'];
@@ -49,6 +99,11 @@ class APIServer {
     // Redirect root to dashboard
     this.app.get('/', (req, res) => res.json({ status: 'ok', version: '5.0.6', dashboard: '/dashboard' }));
 
+    // Prometheus scrape endpoint (histograms need the `metrics: true` option)
+    this.app.get('/metrics', (req, res) => {
+      res.type('text/plain; version=0.0.4').send(this.db.telemetry.toPrometheus());
+    });
+
     // --- AUTH ROUTES ---
     this.app.post('/api/login', (req, res) => {
       try {
@@ -76,8 +131,9 @@ class APIServer {
       if (!this.checkAdmin(req, res)) return;
 
       try {
-        await this.db.save(); // Force flush to disk
-        res.download(this.db.conf.path, 'sehawq-backup.json');
+        // consistent copy without stopping writes, restorable with db.restore()
+        const b = await this.db.backup(path.join(os.tmpdir(), `sehawq-backup-${process.pid}-${Date.now()}.json`), { upload: false });
+        res.download(b.file, 'sehawq-backup.json', () => fs.unlink(b.file, () => { }));
       } catch (e) {
         res.status(500).json({ error: 'Backup failed' });
       }
@@ -124,51 +180,144 @@ class APIServer {
 
     // --- API ROUTES ---
 
-    // Get all
+    // Get all (or just one namespace: ?prefix=users:&limit=50)
     this.app.get('/api/data', (req, res) => {
-      res.json({ success: true, data: this.db.all() });
+      if (!req.query.prefix && !req.query.limit) return res.json({ success: true, data: req.db.all() });
+
+      const data = {};
+      const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+      for (const [k, v] of req.db.scan({ prefix: req.query.prefix, limit })) data[k] = v;
+      res.json({ success: true, data });
     });
 
     // Get one
     this.app.get('/api/data/:key', (req, res) => {
-      const val = this.db.get(req.params.key);
+      const { value: val, version } = req.db.getWithVersion(req.params.key);
       if (val === undefined || val === null) return res.status(404).json({ error: 'Not found' });
-      res.json({ key: req.params.key, value: val });
+      res.json({ key: req.params.key, value: val, version });
     });
 
-    // Set
-    this.app.post('/api/data', (req, res) => {
-      const { key, value } = req.body;
+    // Set. Send the version you read as ifVersion to avoid overwriting
+    // someone else's write (409 if it changed in between).
+    this.app.post('/api/data', async (req, res) => {
+      const { key, value, ifVersion } = req.body;
       if (!key || value === undefined) return res.status(400).json({ error: 'Missing key or value' });
 
-      this.db.set(key, value);
-      res.json({ success: true });
+      try {
+        await req.db.set(key, value, ifVersion !== undefined ? { ifVersion } : {});
+        res.json({ success: true, version: req.db.getWithVersion(key).version });
+      } catch (e) {
+        if (e.code === 'ECONFLICT') return res.status(409).json({ error: e.message, version: e.actual });
+        if (e.code === 'EQUOTA') return res.status(413).json({ error: e.message });
+        res.status(500).json({ error: e.message });
+      }
+    });
+
+    // Delete (into the trash when it's on)
+    this.app.delete('/api/data/:key', async (req, res) => {
+      try {
+        const success = await req.db.delete(req.params.key, { by: req.user?.username });
+        res.json({ success });
+      } catch (e) {
+        res.status(500).json({ error: e.message });
+      }
+    });
+
+    // --- Trash (soft deletes, `trash` option) ---
+    this.app.get('/api/trash', (req, res) => {
+      const limit = req.query.limit ? parseInt(req.query.limit) : undefined;
+      const items = req.db.trash.list({ prefix: req.query.prefix, limit });
+      res.json({ success: true, enabled: req.db.trash.enabled, retention: req.db.trash.retention, items });
     });
 
-    // Delete
-    this.app.delete('/api/data/:key', (req, res) => {
-      const success = this.db.delete(req.params.key);
-      res.json({ success });
+    // 404 = not in the trash, 409 = key exists again (?overwrite=1 to replace it)
+    this.app.post('/api/trash/:key/restore', async (req, res) => {
+      try {
+        const overwrite = req.query.overwrite === '1' || req.query.overwrite === 'true' || (req.body && req.body.overwrite === true);
+        const ok = await req.db.trash.restore(req.params.key, { overwrite });
+        if (!ok) return res.status(404).json({ error: 'Not in trash' });
+        res.json({ success: true, version: req.db.getWithVersion(req.params.key).version });
+      } catch (e) {
+        if (e.code === 'EEXIST') return res.status(409).json({ error: e.message });
+        res.status(500).json({ error: e.message });
+      }
+    });
+
+    this.app.delete('/api/trash/:key', async (req, res) => {
+      try {
+        const purged = await req.db.trash.purge(req.params.key);
+        if (!purged) return res.status(404).json({ error: 'Not in trash' });
+        res.json({ success: true, purged });
+      } catch (e) {
+        res.status(500).json({ error: e.message });
+      }
+    });
+
+    // empty the whole trash, admin only
+    this.app.delete('/api/trash', async (req, res) => {
+      if (!this.checkAdmin(req, res)) return;
+      try {
+        res.json({ success: true, purged: await req.db.trash.purge() });
+      } catch (e) {
+        res.status(500).json({ error: e.message });
+      }
     });
 
     // Stats
     this.app.get('/api/stats', (req, res) => {
       res.json({
         server: { uptime: process.uptime(), startTime: Date.now() - (process.uptime() * 1000) },
-        database: this.db.getStats()
+        database: req.db.getStats(),
+        namespaces: req.db === this.db ? this.db.namespaces() : undefined
       });
     });
 
+    // Change feed page, for pollers (webhooks etc). Pass the returned
+    // `seq` back as ?since= next time. 410 = cursor fell out of the log.
+    this.app.get('/api/changes', async (req, res) => {
+      const since = req.query.since === undefined ? 0 : Number(req.query.since);
+      const limit = Math.min(parseInt(req.query.limit) || 1000, 10000);
+      const head = this.db.seq; // everything up to here gets scanned unless we hit the limit
+      const changes = [];
+
+      try {
+        const opts = { since, limit, live: false };
+        if (req.query.prefix) opts.filter = { prefix: req.query.prefix };
+        for await (const c of req.db.changes(opts)) changes.push(c);
+      } catch (e) {
+        if (e.code === 'ECURSOR') return res.status(410).json({ error: e.message, seq: this.db.seq });
+        return res.status(400).json({ error: e.message });
+      }
+
+      const seq = changes.length === limit ? changes[changes.length - 1].seq : Math.max(head, since);
+      res.json({ success: true, changes, seq });
+    });
+
     // list all collection namespaces
+    // keys are sorted, so once we see 'users:...' we can jump straight
+    // past the whole users namespace instead of reading every doc
     this.app.get('/api/collections', (req, res) => {
-      const all = this.db.all();
-      const namespaces = new Set();
-      for (const k in all) {
-        if (k.includes(':') && !k.startsWith('_')) {
-          namespaces.add(k.split(':')[0]);
+      const namespaces = [];
+      let from = null;
+
+      while (true) {
+        const next = req.db.scan(from ? { gte: from, limit: 1 } : { limit: 1 }).next();
+        if (next.done) break;
+
+        const k = next.value[0];
+        const sep = k.indexOf(':');
+        if (sep === -1) {
+          from = k + '\0'; // plain key, just step over it
+          continue;
         }
+
+        const ns = k.slice(0, sep);
+        if (!ns.startsWith('_') && !ns.startsWith('@')) namespaces.push(ns); // '@' = tenant keys
+        from = prefixEnd(ns + ':');
+        if (!from) break;
       }
-      res.json({ success: true, collections: Array.from(namespaces) });
+
+      res.json({ success: true, collections: namespaces });
     });
 
     // bulk import from JSON
@@ -177,12 +326,9 @@ class APIServer {
       try {
         const data = req.body;
         if (!data || typeof data !== 'object') return res.status(400).json({ error: 'Invalid data' });
-        let count = 0;
-        for (const k in data) {
-          await this.db.set(k, data[k]);
-          count++;
-        }
-        res.json({ success: true, imported: count });
+        const ops = Object.keys(data).map(k => ({ op: 'put', k, v: data[k] }));
+        await req.db.batch(ops);
+        res.json({ success: true, imported: ops.length });
       } catch (e) {
         res.status(500).json({ error: 'Import failed: ' + e.message });
       }
@@ -191,11 +337,15 @@ class APIServer {
     // export everything as json download
     this.app.get('/api/export', (req, res) => {
       if (!this.checkAdmin(req, res)) return;
-      const data = this.db.all();
       // filter out internal keys
       const clean = {};
-      for (const k in data) {
-        if (!k.startsWith('_')) clean[k] = data[k];
+      const snap = req.db.snapshot();
+      try {
+        for (const [k, v] of snap.scan()) {
+          if (!k.startsWith('_')) clean[k] = v;
+        }
+      } finally {
+        snap.release();
       }
       res.setHeader('Content-Disposition', 'attachment; filename=sehawq-export.json');
       res.json(clean);
@@ -274,7 +424,7 @@ class APIServer {
     this.app.post('/api/query', (req, res) => {
       const { field, op, value } = req.body;
       // ... legacy code ...
-      const all = this.db.all();
+      const all = req.db.all();
       const results = [];
       for (const k in all) {
         const row = all[k];
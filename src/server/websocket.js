@@ -1,4 +1,5 @@
 const { Server } = require('socket.io');
+const { encode, decode } = require('../codec');
 
 class WebSocketServer {
   constructor(db, httpServer, opts = {}) {
@@ -9,6 +10,7 @@ class WebSocketServer {
     this.io = new Server(httpServer, {
       cors: { origin: '*' }
     });
+    this._unmetric = db.telemetry.gauge('sehawq_websocket_connections', 'Connected realtime clients', () => this.io.engine.clientsCount);
 
     // Auth Middleware 🔒
     this.io.use((socket, next) => {
@@ -28,18 +30,28 @@ class WebSocketServer {
     this.io.on('connection', socket => {
       if (opts.debug) console.log('Client connected', socket.id);
 
+      // values go out (and come in) codec-tagged, like the REST API
       socket.on('get', key => {
-        socket.emit('value', { key, value: this.db.get(key) });
+        socket.emit('value', encode({ key, value: this.db.get(key) }));
       });
 
-      socket.on('set', ({ key, value }) => {
+      socket.on('set', (msg) => {
+        const { key, value } = decode(msg);
         this.db.set(key, value);
-        socket.broadcast.emit('update', { key, value });
+        socket.broadcast.emit('update', encode({ key, value }));
       });
 
       socket.on('subscribe', key => {
         socket.join(key);
       });
+
+      // resumable feed: send the last seq you handled (and optionally a
+      // key/glob/{ prefix } filter), get every change after it as 'change'
+      // (whatever the client sends, nothing here may reject unhandled)
+      socket.on('changes', (opts) => {
+        this._streamChanges(socket, opts && typeof opts === 'object' ? opts : {})
+          .catch(e => socket.emit('changes:error', { code: e.code, error: e.message }));
+      });
     });
 
     // Listen to internal DB events and broadcast
@@ -47,16 +59,49 @@ class WebSocketServer {
       set: evt => {
         if (this.io) {
           // Standardize on 'update' event
-          this.io.emit('update', evt);
+          this.io.emit('update', encode(evt));
         }
       },
       del: evt => {
-        if (this.io) this.io.emit('delete', evt);
+        if (this.io) this.io.emit('delete', encode(evt));
+      },
+      expire: evt => {
+        if (this.io) this.io.emit('expire', encode(evt));
+      },
+      batch: evt => {
+        if (this.io) this.io.emit('batch', encode(evt));
       }
     };
 
     this.db.on('set', this._listeners.set);
     this.db.on('delete', this._listeners.del);
+    this.db.on('expire', this._listeners.expire);
+    this.db.on('batch', this._listeners.batch);
+  }
+
+  // stopping ends the loop right away, not on the next change
+  async _streamChanges(socket, { since, filter } = {}) {
+    if (socket._feed) socket._feed.stop(); // one feed per socket
+    const feed = {
+      aborted: false,
+      stop: () => {
+        feed.aborted = true;
+        this.db._wakeChanges();
+      }
+    };
+    socket._feed = feed;
+    socket.once('disconnect', feed.stop);
+
+    try {
+      for await (const change of this.db.changes({ since, filter, signal: feed })) {
+        socket.emit('change', encode(change));
+      }
+    } catch (e) {
+      socket.emit('changes:error', { code: e.code, error: e.message });
+    } finally {
+      socket.removeListener('disconnect', feed.stop);
+      if (socket._feed === feed) socket._feed = null;
+    }
   }
 
   close() {
@@ -69,10 +114,14 @@ class WebSocketServer {
       }
     }
 
+    if (this._unmetric) this._unmetric();
+
     // Remove listeners to avoid leaks
     if (this._listeners) {
       this.db.removeListener('set', this._listeners.set);
       this.db.removeListener('delete', this._listeners.del);
+      this.db.removeListener('expire', this._listeners.expire);
+      this.db.removeListener('batch', this._listeners.batch);
     }
   }
 }
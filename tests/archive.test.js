@@ -0,0 +1,112 @@
+// Archive / point-in-time restore suite 🕰️
+// With `archive` on, every save() keeps its snapshot and the WAL segment
+// before it; restoreTo() rebuilds any moment from those plus the live WAL.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-archive-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file, opts) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false, archive: true, ...opts });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+// a timestamp strictly between the writes around it
+async function mark() {
+    await new Promise(r => setTimeout(r, 5));
+    const ts = Date.now();
+    await new Promise(r => setTimeout(r, 5));
+    return ts;
+}
+
+test('restores any moment from archived snapshots, segments and the live WAL', async () => {
+    const db = await open(tmpFile());
+    await db.set('a', 1);
+    await db.save();
+    const t1 = await mark();
+    await db.set('a', 2);
+    const t2 = await mark();
+    await db.set('b', 1);
+    await db.save(); // second snapshot, first segment archived
+    await db.set('a', 3); // live WAL only
+    const t3 = await mark();
+
+    const { snapshots, segments } = await db.listArchives();
+    assert.strictEqual(snapshots.length, 2);
+    assert.strictEqual(segments.length, 2); // what led up to each
+
+    let res = await db.restoreTo(t1);
+    assert.strictEqual(res.snapshot, snapshots[0].ts);
+    assert.deepStrictEqual(db.all(), { a: 1 });
+
+    await db.restoreTo(new Date(t2));
+    assert.deepStrictEqual(db.all(), { a: 2 });
+
+    // what a restore replaced got archived too, so it can be undone
+    res = await db.restoreTo(t3);
+    assert.deepStrictEqual(db.all(), { a: 3, b: 1 });
+    assert.strictEqual(res.size, 2);
+    await db.close();
+});
+
+test('a restore is saved, a restart comes back to it', async () => {
+    const file = tmpFile();
+    let db = await open(file);
+    await db.set('a', 1);
+    await db.save();
+    const t1 = await mark();
+    await db.set('a', 2);
+    await db.restoreTo(t1);
+    await db.close();
+
+    db = await open(file);
+    assert.strictEqual(db.get('a'), 1);
+    await db.close();
+});
+
+test('refuses what it cannot do', async () => {
+    const db = await open(tmpFile());
+    await assert.rejects(db.restoreTo(Date.now()), /No archived snapshot/);
+    await assert.rejects(db.restoreTo('yesterday'), /Invalid timestamp/);
+    await db.close();
+
+    const plain = await open(tmpFile(), { archive: false });
+    await assert.rejects(plain.restoreTo(Date.now()), /needs the archive option/);
+    await plain.close();
+
+    assert.throws(() => new Database({ path: tmpFile(), archive: true, storage: 'memory' }), /archive needs the 'wal-json'/);
+});
+
+test('keeps archiveRetention snapshots and the segments after them', async () => {
+    const db = await open(tmpFile(), { archiveRetention: 2 });
+    for (let i = 0; i < 4; i++) {
+        await db.set('a', i);
+        await db.save();
+        await new Promise(r => setTimeout(r, 2)); // distinct file names
+    }
+    const { snapshots, segments } = await db.listArchives();
+    assert.strictEqual(snapshots.length, 2);
+    assert.ok(segments.every(s => s.ts > snapshots[0].ts));
+    await db.close();
+});
@@ -0,0 +1,234 @@
+// Backups suite 💼
+// backup() writes one consistent moment while writes go on, restore()
+// checks count + crc before it touches anything (EBACKUP if they're off),
+// scheduled backups prune grandfather-father-son, directory targets get
+// a copy. Plus GDPR erasure: nothing of the user's is left to restore.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+const Compliance = require('../src/core/Compliance');
+const SehawqDB = require('../src/index');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-backups-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file, opts) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false, ...opts });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+test('backup() writes the moment it started, writes keep going meanwhile', async () => {
+    const file = tmpFile();
+    const db = await open(file);
+    const data = {};
+    for (let i = 0; i < 2000; i++) data['k' + i] = { i };
+    await db.load(data);
+
+    const pending = db.backup(); // writes below land while it's running
+    await db.set('k0', 'changed');
+    await db.delete('k1');
+    await db.set('late', 1);
+    const info = await pending;
+
+    assert.strictEqual(path.dirname(info.file), file.replace(/\.json$/, '.backups'));
+    assert.strictEqual(info.name, `backup-${info.ts}.json`);
+    assert.strictEqual(info.count, 2000);
+    assert.match(info.crc, /^[0-9a-f]{8}$/);
+    assert.strictEqual(db.getStats().lastBackup, info.ts);
+
+    const restored = await open(tmpFile());
+    await restored.restore(info.file);
+    assert.deepStrictEqual(restored.get('k0'), { i: 0 });
+    assert.deepStrictEqual(restored.get('k1'), { i: 1 });
+    assert.strictEqual(restored.has('late'), false);
+    await restored.close();
+    await db.close();
+});
+
+test('backup() takes a dir or a file, restore() a path, a name or latest', async () => {
+    const file = tmpFile();
+    const db = await open(file);
+    await db.set('a', 1);
+    const elsewhere = path.join(path.dirname(file), 'elsewhere') + path.sep;
+    const inDir = await db.backup(elsewhere);
+    const asFile = await db.backup(path.join(path.dirname(file), 'one.json'));
+    assert.strictEqual(path.dirname(inDir.file) + path.sep, elsewhere);
+    assert.strictEqual(path.basename(asFile.file), 'one.json');
+
+    await db.set('a', 2);
+    const named = await db.backup();
+    await db.set('a', 3);
+    const events = [];
+    db.on('restore', e => events.push(e.size));
+
+    let res = await db.restore(inDir.file);
+    assert.strictEqual(db.get('a'), 1);
+    assert.strictEqual(res.ts, inDir.ts);
+    await db.restore(named.name); // looked up in backupDir
+    assert.strictEqual(db.get('a'), 2);
+    await db.set('a', 4);
+    res = await db.restore('latest');
+    assert.strictEqual(db.get('a'), 2);
+    assert.deepStrictEqual(events, [1, 1, 1]);
+    await db.close();
+
+    // a restore is saved, a restart comes back to it
+    const again = await open(file);
+    assert.strictEqual(again.get('a'), 2);
+    await again.close();
+});
+
+test('a damaged backup is refused with EBACKUP, live data untouched', async () => {
+    const db = await open(tmpFile());
+    await db.load({ a: 1, b: 2, c: 3 });
+    const { file } = await db.backup();
+    await db.set('live', true);
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    const flipped = path.join(path.dirname(file), 'flipped.json');
+    fs.writeFileSync(flipped, lines.map((l, i) => i === 1 ? l.replace('1', '9') : l).join('\n'));
+    const short = path.join(path.dirname(file), 'short.json');
+    fs.writeFileSync(short, lines.filter((l, i) => i !== 2).join('\n'));
+
+    await assert.rejects(db.restore(flipped), e => e.code === 'EBACKUP' && /checksum mismatch/.test(e.message));
+    await assert.rejects(db.restore(short), e => e.code === 'EBACKUP' && /expected 3 records, got 2/.test(e.message));
+    await assert.rejects(db.restore(path.join(path.dirname(file), 'nope.json')), e => e.code === 'ENOENT');
+    assert.strictEqual(db.get('live'), true);
+    assert.strictEqual(db.get('a'), 1);
+    await db.close();
+});
+
+test('a file without a checksum needs verify: false', async () => {
+    const file = tmpFile();
+    const db = await open(file);
+    const legacy = path.join(path.dirname(file), 'legacy.json');
+    fs.writeFileSync(legacy, JSON.stringify({ old: 'format' }));
+
+    await assert.rejects(db.restore(legacy), e => e.code === 'EBACKUP' && /no checksum/.test(e.message));
+    await db.restore(legacy, { verify: false });
+    assert.deepStrictEqual(db.all(), { old: 'format' });
+    await db.close();
+});
+
+test('restore() rejects when the restored state can not be saved', async (t) => {
+    const db = await open(tmpFile());
+    await db.set('a', 1);
+    const { file } = await db.backup();
+    await db.set('a', 2);
+
+    t.mock.method(db, '_writeSnapshot', async () => { throw new Error('disk full'); });
+    await assert.rejects(db.restore(file), /disk full/);
+    assert.strictEqual(db.get('a'), 1); // live, just not on disk yet
+    t.mock.restoreAll();
+
+    await db.close(); // the next save picks it up
+    const again = await open(db.conf.path);
+    assert.strictEqual(again.get('a'), 1);
+    await again.close();
+});
+
+test('prune() keeps the newest per hour, day and week bucket', async () => {
+    const file = tmpFile();
+    const db = await open(file, { backups: { hourly: 2, daily: 2, weekly: 2 } });
+    const { file: real } = await db.backup();
+    const dir = path.dirname(real);
+    fs.unlinkSync(real);
+
+    const now = 2000 * WEEK + 3 * DAY + 12 * HOUR; // buckets are epoch aligned, a Sunday midday
+    const ages = [0, 10 * 60000, HOUR, 2 * HOUR, DAY, DAY + HOUR, 3 * DAY, 8 * DAY, 30 * DAY];
+    for (const age of ages) fs.writeFileSync(path.join(dir, `backup-${now - age}.json`), '');
+
+    assert.strictEqual((await db.listBackups()).length, ages.length);
+    assert.strictEqual(await db._backups.prune(), ages.length - 4);
+    const left = (await db.listBackups()).map(b => now - b.ts);
+    // newest + 11:50 (hourly), yesterday (daily), last week (weekly)
+    assert.deepStrictEqual(left, [0, 10 * 60000, DAY, 8 * DAY]);
+    await db.close();
+});
+
+test('the schedule takes backups and copies them to every target', async () => {
+    const file = tmpFile();
+    const remote = path.join(path.dirname(file), 'remote');
+    const db = await open(file, { backups: { interval: 20 }, backupTargets: [{ type: 'dir', path: remote, name: 'nas' }] });
+    await db.set('a', 1);
+
+    const info = await new Promise(resolve => db.once('backup', resolve));
+    assert.deepStrictEqual(info.uploaded, ['nas']);
+    await db._backups.stop(); // let the tick's prune finish
+    assert.ok(fs.existsSync(path.join(remote, info.name)));
+
+    const listed = await db.listBackups({ target: 'nas' });
+    assert.strictEqual(listed[0].name, info.name);
+    await db.set('a', 2);
+    await db.restore('latest', { target: 'nas' });
+    assert.strictEqual(db.get('a'), 1);
+    await db.close();
+});
+
+test('SehawqDB exposes the same backup calls', async () => {
+    const sdb = new SehawqDB({ path: tmpFile(), autoSave: false, snapshotWorker: false, audit: false });
+    await sdb.start();
+    opened.push(sdb.db);
+    await sdb.set('a', 1);
+    const info = await sdb.backup();
+    assert.strictEqual((await sdb.listBackups())[0].name, info.name);
+    await sdb.set('a', 2);
+    await sdb.restore(info.file);
+    assert.strictEqual(sdb.get('a'), 1);
+    await sdb.stop();
+});
+
+test('GDPR erasure leaves nothing of the user behind', async () => {
+    const file = tmpFile();
+    const db = await open(file, { trash: true, history: true });
+    const gdpr = new Compliance(db);
+    await db.set('doc:1', { owner: 'u1', secret: 'first' });
+    await db.set('doc:1', { owner: 'u1', secret: 'second' });
+    await db.set('doc:2', { owner: 'u1', secret: 'trashed' });
+    await db.delete('doc:2'); // already in the trash
+    await db.set('doc:3', { owner: 'u2', secret: 'someone else' });
+
+    const res = await gdpr.deleteUserData('u1');
+    assert.strictEqual(res.deletedRecords, 1);
+    assert.strictEqual(res.purgedFromTrash, 1);
+    assert.strictEqual(db.has('doc:1'), false);
+    assert.deepStrictEqual(db.trash.list(), []); // hard delete, not into the trash
+    assert.deepStrictEqual(await db.history('doc:1'), []);
+    assert.deepStrictEqual(await db.history('doc:2'), []);
+    assert.ok((await db.history('doc:3')).length > 0);
+
+    const changes = [];
+    for await (const c of db.changes({ since: 0, live: false })) changes.push(c);
+    assert.ok(changes.some(c => c.key === 'doc:1'));
+    assert.ok(!JSON.stringify(changes).includes('second'));
+    await db.close();
+
+    // nor anywhere on disk
+    for (const name of fs.readdirSync(path.dirname(file))) {
+        const text = fs.readFileSync(path.join(path.dirname(file), name), 'utf8');
+        for (const secret of ['first', 'second', 'trashed']) assert.ok(!text.includes(secret), `${secret} in ${name}`);
+    }
+});
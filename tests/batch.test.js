@@ -0,0 +1,130 @@
+// Batch suite 📦
+// db.batch() writes every op in one WAL append (begin/commit wrapped),
+// fires one 'batch' event instead of one per key, and keeps indexes and
+// collections in step.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+const IndexManager = require('../src/core/IndexManager');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-batch-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+test('one WAL append and one event for the whole batch', async (t) => {
+    const file = tmpFile();
+    const db = await open(file);
+    await db.set('gone', 0);
+
+    const appends = t.mock.method(db, 'appendToWAL');
+    const events = [];
+    for (const name of ['set', 'delete', 'batch']) db.on(name, e => events.push([name, e]));
+
+    const ops = Array.from({ length: 100 }, (_, i) => ({ op: 'put', k: 'k' + i, v: i }));
+    ops.push({ op: 'del', k: 'gone' }, { op: 'del', k: 'never-was' });
+    assert.strictEqual(await db.batch(ops), db);
+
+    assert.strictEqual(appends.mock.callCount(), 1);
+    assert.strictEqual(events.length, 1);
+    const [name, evt] = events[0];
+    assert.strictEqual(name, 'batch');
+    assert.strictEqual(evt.count, 101); // deleting a missing key isn't a change
+    assert.deepStrictEqual(evt.ops[0], { op: 'put', key: 'k0', value: 0, old: undefined, seq: evt.ops[0].seq });
+    assert.deepStrictEqual(evt.ops[100], { op: 'del', key: 'gone', old: 0, seq: evt.ops[100].seq });
+
+    const lines = appends.mock.calls[0].arguments[0];
+    assert.strictEqual(lines[0].op, 'begin');
+    assert.strictEqual(lines[lines.length - 1].op, 'commit');
+
+    assert.strictEqual(db.get('k99'), 99);
+    assert.strictEqual(db.has('gone'), false);
+    await db.close();
+});
+
+test('a bad op throws before anything is written', async () => {
+    const db = await open(tmpFile());
+    await assert.rejects(db.batch({ op: 'put' }), /expects an array/);
+    await assert.rejects(db.batch([{ op: 'put', k: 'a', v: 1 }, { op: 'put', k: 2, v: 1 }]), /string key/);
+    await assert.rejects(db.batch([{ op: 'put', k: 'a', v: 1 }, { op: 'upsert', k: 'b' }]), /Unknown batch op: upsert/);
+    assert.strictEqual(db.has('a'), false);
+    await db.close();
+});
+
+test('runs hooks per op, a throwing one stops the whole batch', async () => {
+    const db = await open(tmpFile());
+    db.pre('set', (ctx) => {
+        if (ctx.value < 0) throw new Error('no negatives');
+        ctx.value *= 10;
+    });
+
+    await db.batch([{ op: 'put', k: 'a', v: 1 }, { op: 'put', k: 'b', v: 2 }]);
+    assert.strictEqual(db.get('b'), 20);
+
+    await assert.rejects(db.batch([{ op: 'put', k: 'c', v: 3 }, { op: 'put', k: 'd', v: -1 }]), /no negatives/);
+    assert.strictEqual(db.has('c'), false);
+    await db.close();
+});
+
+test('ttls and a restart survive', async () => {
+    const file = tmpFile();
+    let db = await open(file);
+    await db.batch([{ op: 'put', k: 'a', v: 1, ttl: 60 }, { op: 'put', k: 'b', v: { n: 2 } }]);
+    await db.close();
+
+    db = await open(file);
+    assert.ok(db.ttl('a') > 0);
+    assert.deepStrictEqual(db.get('b'), { n: 2 });
+    await db.close();
+});
+
+test('indexes follow a batch', async () => {
+    const db = await open(tmpFile());
+    const idx = new IndexManager(db);
+    await db.set('u1', { role: 'admin' });
+    await idx.create('role');
+
+    await db.batch([
+        { op: 'put', k: 'u2', v: { role: 'admin' } },
+        { op: 'put', k: 'u3', v: { role: 'user' } },
+        { op: 'del', k: 'u1' }
+    ]);
+    assert.deepStrictEqual(idx.find('role', '=', 'admin'), ['u2']);
+    assert.deepStrictEqual(idx.find('role', '=', 'user'), ['u3']);
+    await db.close();
+});
+
+test('insertMany goes through one batch', async () => {
+    const db = await open(tmpFile());
+    const batches = [];
+    db.on('batch', e => batches.push(e.count));
+    db.on('set', () => assert.fail('no per-key events'));
+
+    const ids = await db.collection('people').insertMany([{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+    assert.deepStrictEqual(batches, [3]);
+    assert.strictEqual(ids.length, 3);
+    assert.deepStrictEqual(ids.map(id => db.get(id).name), ['a', 'b', 'c']);
+    await db.close();
+});
@@ -0,0 +1,145 @@
+// Codec suite 🏷️
+// encode()/decode() round trips on their own, then through the WAL, a
+// snapshot and the REST API, plus files from before the tags existed.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+const APIServer = require('../src/server/api');
+const { encode, decode } = require('../src/codec');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-codec-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+const typed = () => ({
+    date: new Date('2024-05-01T12:00:00Z'),
+    big: -12345678901234567890n,
+    buf: Buffer.from([0, 1, 254, 255]),
+    map: new Map([[1, new Date(0)], ['k', new Set(['x'])]]),
+    set: new Set([1n, 'a']),
+    list: [new Date(1), { deep: new Map() }],
+    tagged: { $t: 'mine', v: 1 }
+});
+
+// through JSON and back, like every file and request does
+const trip = v => decode(JSON.parse(JSON.stringify(encode(v))));
+
+test('round trips every tagged type, nested anywhere', () => {
+    assert.deepStrictEqual(trip(typed()), typed());
+    assert.deepStrictEqual(trip(12n), 12n);
+    assert.deepStrictEqual(trip([new Set()]), [new Set()]);
+    assert.ok(Number.isNaN(trip(new Date(NaN)).getTime()));
+
+    const bytes = trip(new Uint8Array([9, 8, 7]));
+    assert.deepStrictEqual([...bytes], [9, 8, 7]);
+});
+
+test('hands back the same value when there is nothing to tag', () => {
+    const plain = { a: 1, b: [1, 'x', { c: null }], d: true };
+    assert.strictEqual(encode(plain), plain);
+    assert.strictEqual(encode('s'), 's');
+
+    const withDate = { a: { b: 1 }, d: new Date(0) };
+    const out = encode(withDate);
+    assert.notStrictEqual(out, withDate);
+    assert.strictEqual(out.a, withDate.a); // untouched branches are shared
+    assert.ok(withDate.d instanceof Date); // the input isn't changed
+});
+
+test('objects with their own $t key are escaped, unknown tags pass through', () => {
+    assert.deepStrictEqual(encode({ $t: 'Date', v: 'not really' }), { $t: 'Object', v: { $t: 'Date', v: 'not really' } });
+    assert.deepStrictEqual(trip({ $t: 'Date', v: 'not really' }), { $t: 'Date', v: 'not really' });
+    assert.deepStrictEqual(decode({ $t: 'Unknown', v: 1 }), { $t: 'Unknown', v: 1 });
+    assert.deepStrictEqual(decode({ $t: 'Date' }), { $t: 'Date' }); // no v, not a tag
+});
+
+test('typed values survive WAL replay and a snapshot', async () => {
+    const file = tmpFile();
+    let db = await open(file);
+    await db.set('snap', typed());
+    await db.save();
+    await db.set('wal', typed());
+    await db.setPath('wal', 'extra', new Set([1]));
+    await db._drainWAL();
+    const wal = fs.readFileSync(file.replace(/\.json$/, '.log'), 'utf8');
+    await db.close();
+
+    db = await open(file);
+    assert.deepStrictEqual(db.get('snap'), typed());
+    assert.deepStrictEqual(db.get('wal'), { ...typed(), extra: new Set([1]) });
+    await db.close();
+
+    // close() saved a snapshot, start over from just the WAL
+    fs.unlinkSync(file);
+    fs.writeFileSync(file.replace(/\.json$/, '.log'), wal);
+    db = await open(file);
+    assert.deepStrictEqual(db.get('wal'), { ...typed(), extra: new Set([1]) });
+    await db.close();
+});
+
+test('files from before the tags still read as they were', async () => {
+    const file = tmpFile();
+    // old single-object snapshot and a bare-JSON WAL line, no crc, no `e` flag
+    fs.writeFileSync(file, JSON.stringify({ a: 1, buf: { type: 'Buffer', data: [1, 2] }, odd: { $t: 'custom', n: 1 } }));
+    fs.writeFileSync(file.replace(/\.json$/, '.log'), JSON.stringify({ op: 'put', k: 'b', v: { when: '2024-01-01' } }) + '\n');
+
+    const db = await open(file);
+    assert.strictEqual(db.get('a'), 1);
+    assert.deepStrictEqual(db.get('buf'), { type: 'Buffer', data: [1, 2] });
+    assert.deepStrictEqual(db.get('odd'), { $t: 'custom', n: 1 });
+    assert.deepStrictEqual(db.get('b'), { when: '2024-01-01' });
+    await db.close();
+});
+
+test('the REST API sends and takes the same tags', async () => {
+    const db = await open(tmpFile());
+    const server = http.createServer(new APIServer(db, {}).app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const call = (method, url, body) => new Promise((resolve, reject) => {
+        const req = http.request(`http://127.0.0.1:${server.address().port}${url}`, {
+            method, headers: { 'content-type': 'application/json' }
+        }, (res) => {
+            let text = '';
+            res.on('data', (c) => { text += c; });
+            res.on('end', () => resolve(JSON.parse(text)));
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(encode(body)));
+    });
+
+    try {
+        assert.strictEqual((await call('POST', '/api/data', { key: 'k', value: typed() })).success, true);
+        assert.deepStrictEqual(db.get('k'), typed());
+
+        const res = await call('GET', '/api/data/k');
+        assert.deepStrictEqual(res.value.date, { $t: 'Date', v: '2024-05-01T12:00:00.000Z' });
+        assert.deepStrictEqual(decode(res).value, typed());
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+    await db.close();
+});
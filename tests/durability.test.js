@@ -0,0 +1,74 @@
+// Durability suite 💽
+// The three WAL modes: 'none' leaves syncing to the OS, 'interval'
+// fsyncs on a timer, 'always' fsyncs before a write resolves, with
+// concurrent writers sharing one fsync (group commit).
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-durability-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file, opts) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false, ...opts });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+test('rejects unknown modes', () => {
+    assert.throws(() => new Database({ path: tmpFile(), durability: 'sometimes' }), /Unknown durability mode/);
+});
+
+test("'none' never fsyncs the WAL", async () => {
+    const db = await open(tmpFile(), { durability: 'none' });
+    for (let i = 0; i < 5; i++) await db.set('k' + i, i);
+    assert.strictEqual(db.metrics.fsyncs, 0);
+    assert.strictEqual(db.getStats().durability, 'none');
+    await db.close();
+});
+
+test("'always' has the line on disk when set() resolves, one fsync per group", async () => {
+    const file = tmpFile();
+    const db = await open(file, { durability: 'always' });
+
+    await db.set('first', 1);
+    assert.strictEqual(db.metrics.fsyncs, 1);
+    assert.match(fs.readFileSync(file.replace(/\.json$/, '.log'), 'utf8'), /"k":"first"/);
+
+    // everything queued while the first fsync runs goes out in one more
+    await Promise.all(Array.from({ length: 50 }, (_, i) => db.set('k' + i, i)));
+    assert.ok(db.metrics.fsyncs < 20, `${db.metrics.fsyncs} fsyncs for 50 writes`);
+    const wal = fs.readFileSync(file.replace(/\.json$/, '.log'), 'utf8');
+    for (let i = 0; i < 50; i++) assert.ok(wal.includes(`"k":"k${i}"`));
+    assert.strictEqual(db.getStats().fsyncs, db.metrics.fsyncs);
+    await db.close();
+});
+
+test("'interval' fsyncs on the timer, not per write", async () => {
+    const db = await open(tmpFile(), { durability: 'interval', fsyncInterval: 20 });
+    await db.set('a', 1);
+    await db.set('b', 2);
+    assert.strictEqual(db.metrics.fsyncs, 0);
+
+    await new Promise(r => setTimeout(r, 100));
+    assert.strictEqual(db.metrics.fsyncs, 1); // only dirty ticks sync
+    await db.close();
+});
@@ -0,0 +1,159 @@
+// Storage engine suite 🔌
+// One set of checks for every engine from engines.js: the interface on
+// its own, then through Database (types, versions and ttls across a
+// restart).
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+const MemoryStorage = require('../src/core/MemoryStorage');
+const StreamStorage = require('../src/core/StreamStorage');
+const Storage = require('../src/core/Storage');
+const Persistence = require('../src/core/Persistence');
+
+// persistent: a second engine on the same file sees what the first saved
+const ENGINES = {
+    memory: { make: () => new MemoryStorage(), persistent: false },
+    stream: { make: file => new StreamStorage(file, { maxMemoryItems: 2 }), persistent: true },
+    storage: { make: file => new Storage(file, { backupOnWrite: false }), persistent: true },
+    persistence: { make: file => new Persistence(file, { autoSave: false }), persistent: true }
+};
+
+const typed = () => ({
+    date: new Date('2024-05-01T12:00:00Z'),
+    big: 12345678901234567890n,
+    buf: Buffer.from('hello'),
+    map: new Map([['a', 1]]),
+    set: new Set([1, 2]),
+    tagged: { $t: 'not a tag', n: 1 }
+});
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-engines-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+after(() => {
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function collect(engine) {
+    const out = new Map();
+    for await (const [k, v, meta] of engine.iterate()) out.set(k, { v, meta: meta || {} });
+    return out;
+}
+
+for (const [name, { make, persistent }] of Object.entries(ENGINES)) {
+    describe(`${name} engine`, () => {
+        test('put, get, del, iterate', async () => {
+            const e = make(tmpFile());
+            await e.open();
+            await e.put('a', 1);
+            await e.put('b', { x: [1, 2] });
+            assert.deepStrictEqual(await e.get('b'), { x: [1, 2] });
+
+            await e.del('a');
+            assert.strictEqual(await e.get('a'), undefined);
+            assert.deepStrictEqual([...(await collect(e)).keys()], ['b']);
+            await e.close();
+        });
+
+        test('keeps versions and ttls', async () => {
+            const e = make(tmpFile());
+            await e.open();
+            const exp = Date.now() + 60000;
+            await e.put('a', 1, { ver: 3, exp });
+            await e.put('b', 2, { ver: 1 });
+            const got = await collect(e);
+            assert.strictEqual(got.get('a').meta.ver, 3);
+            assert.strictEqual(got.get('a').meta.exp, exp);
+            assert.strictEqual(got.get('b').meta.exp, undefined);
+
+            await e.put('a', 1, { ver: 4 }); // persist(): ttl gone
+            assert.strictEqual((await collect(e)).get('a').meta.exp, undefined);
+            await e.close();
+        });
+
+        if (!persistent) return;
+
+        test('values, versions and ttls survive a reopen', async () => {
+            const file = tmpFile();
+            const exp = Date.now() + 60000;
+            let e = make(file);
+            await e.open();
+            await e.put('typed', typed(), { ver: 2, exp });
+            for (let i = 0; i < 5; i++) await e.put('k' + i, i); // more than stream keeps hot
+            await e.snapshot();
+            await e.close();
+
+            e = make(file);
+            await e.open();
+            const got = await collect(e);
+            assert.deepStrictEqual(got.get('typed').v, typed());
+            assert.deepStrictEqual(got.get('typed').meta, { ver: 2, exp });
+            assert.deepStrictEqual(await e.get('typed'), typed());
+            assert.strictEqual(got.size, 6);
+            assert.strictEqual(await e.get('k0'), 0);
+            await e.close();
+        });
+
+        test('clear() empties the file too', async () => {
+            const file = tmpFile();
+            let e = make(file);
+            await e.open();
+            await e.put('a', 1, { ver: 2 });
+            await e.snapshot();
+            await e.clear();
+            await e.snapshot();
+            await e.close();
+
+            e = make(file);
+            await e.open();
+            assert.strictEqual((await collect(e)).size, 0);
+            await e.close();
+        });
+    });
+}
+
+// the same through Database, wal-json included
+const DB_ENGINES = { 'wal-json': { make: () => 'wal-json', persistent: true }, ...ENGINES };
+
+for (const [name, { make, persistent }] of Object.entries(DB_ENGINES)) {
+    test(`Database with ${name} storage keeps types, versions and ttls`, async () => {
+        const file = tmpFile();
+        const open = async () => {
+            const db = new Database({ path: file, storage: make(file), autoSave: false, snapshotWorker: false });
+            await db.init();
+            return db;
+        };
+
+        let db = await open();
+        await db.set('typed', typed());
+        await db.set('typed', typed(), { ttl: 60 });
+        await db.set('plain', 'x');
+        await db.set('gone', 1);
+        await db.delete('gone');
+        assert.deepStrictEqual(db.getWithVersion('typed'), { value: typed(), version: 2 });
+        if (!persistent) return db.close();
+
+        await db.close();
+        db = await open();
+        assert.deepStrictEqual(db.getWithVersion('typed'), { value: typed(), version: 2 });
+        assert.ok(db.ttl('typed') > 50);
+        assert.strictEqual(db.ttl('plain'), -1);
+        assert.strictEqual(db.get('gone'), undefined);
+
+        await db.persist('typed');
+        await db.close();
+        db = await open();
+        assert.strictEqual(db.ttl('typed'), -1);
+        await db.close();
+    });
+}
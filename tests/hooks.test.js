@@ -0,0 +1,168 @@
+// Hooks suite 🪝
+// db.pre()/db.post() run by priority, then registration order, can
+// rewrite key/value/opts or throw to reject. The bundled plugins sit on
+// them, so they work in any use() order.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+const timestamp = require('../src/plugins/timestamp');
+const encryption = require('../src/plugins/encryption');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-hooks-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+test('runs by priority, then in the order they were added', async () => {
+    const db = await open(tmpFile());
+    const order = [];
+    db.pre('set', () => order.push('b'));
+    db.pre('set', () => order.push('last'), { priority: 10 });
+    db.pre('set', () => order.push('first'), { priority: -10 });
+    db.pre('set', () => order.push('c'));
+    db.post('set', () => order.push('post'));
+
+    await db.set('k', 1);
+    assert.deepStrictEqual(order, ['first', 'b', 'c', 'last', 'post']);
+    await db.close();
+});
+
+test('pre hooks rewrite key, value and opts', async () => {
+    const db = await open(tmpFile());
+    db.pre('set', (ctx) => {
+        ctx.key = 'user:' + ctx.key;
+        ctx.value = { ...ctx.value, seen: true };
+        ctx.opts = { ...ctx.opts, ttl: 60 };
+    });
+    db.pre('delete', (ctx) => {
+        ctx.key = 'user:' + ctx.key;
+    });
+
+    await db.set('ann', { n: 1 });
+    assert.strictEqual(db.has('ann'), false);
+    assert.deepStrictEqual(db.get('user:ann'), { n: 1, seen: true });
+    assert.ok(db.ttl('user:ann') > 0);
+
+    assert.strictEqual(await db.delete('ann'), true);
+    assert.strictEqual(db.has('user:ann'), false);
+    await db.close();
+});
+
+test('a throwing pre hook rejects the write, nothing changes', async () => {
+    const db = await open(tmpFile());
+    await db.set('a', 1);
+    db.pre('set', (ctx) => {
+        if (typeof ctx.value !== 'number') throw new Error('numbers only');
+    });
+    db.pre('delete', async () => {
+        throw new Error('no deleting');
+    });
+    const seen = [];
+    db.on('set', e => seen.push(e.key));
+
+    await assert.rejects(db.set('a', 'x'), /numbers only/);
+    await assert.rejects(db.delete('a'), /no deleting/);
+    assert.strictEqual(db.get('a'), 1);
+    assert.strictEqual(db.getWithVersion('a').version, 1);
+    assert.deepStrictEqual(seen, []);
+    await db.close();
+});
+
+test('post hooks see the old value and the result', async () => {
+    const db = await open(tmpFile());
+    const seen = [];
+    db.post('set', ctx => seen.push(['set', ctx.key, ctx.value, ctx.old]));
+    db.post('delete', ctx => seen.push(['delete', ctx.key, ctx.old, ctx.result]));
+
+    await db.set('a', 1);
+    await db.set('a', 2);
+    await db.delete('a');
+    await db.delete('a');
+    assert.deepStrictEqual(seen, [
+        ['set', 'a', 1, undefined],
+        ['set', 'a', 2, 1],
+        ['delete', 'a', 2, true],
+        ['delete', 'a', undefined, false]
+    ]);
+    await db.close();
+});
+
+test('get hooks can redirect the key and rewrite the value', async () => {
+    const db = await open(tmpFile());
+    await db.set('v2:a', 'new');
+    db.pre('get', (ctx) => {
+        if (!ctx.key.includes(':')) ctx.key = 'v2:' + ctx.key;
+    });
+    db.post('get', (ctx) => {
+        if (typeof ctx.value === 'string') ctx.value = ctx.value.toUpperCase();
+    });
+
+    assert.strictEqual(db.get('a'), 'NEW');
+    assert.strictEqual(db.get('v2:nope'), undefined);
+    await db.close();
+});
+
+test('rejects unknown ops and non-functions', async () => {
+    const db = await open(tmpFile());
+    assert.throws(() => db.pre('save', () => { }), /Unknown hook op: save/);
+    assert.throws(() => db.post('set', 'nope'), /Hook must be a function/);
+    await db.close();
+});
+
+test('timestamp keeps set options like ttl', async () => {
+    const db = await open(tmpFile());
+    db.use(timestamp);
+
+    await db.set('a', { n: 1 }, { ttl: 60 });
+    const first = db.get('a');
+    assert.ok(first.created_at && first.updated_at);
+    assert.ok(db.ttl('a') > 0);
+
+    await new Promise(r => setTimeout(r, 5));
+    await db.set('a', { n: 2 });
+    assert.strictEqual(db.get('a').created_at, first.created_at);
+    assert.ok(db.get('a').updated_at > first.updated_at);
+    await db.close();
+});
+
+for (const [first, order] of [['timestamp', [timestamp, encryption]], ['encryption', [encryption, timestamp]]]) {
+    test(`encryption + timestamp work with ${first} use()'d first`, async () => {
+        const file = tmpFile();
+        const db = await open(file);
+        for (const plugin of order) db.use(plugin, { key: 'secret' });
+
+        await db.set('a', { n: 1 });
+        const got = db.get('a');
+        assert.strictEqual(got.n, 1);
+        assert.ok(got.created_at);
+
+        // stored (and written) encrypted, timestamps included
+        assert.match(db._store.get('a'), /^enc:/);
+        await db._drainWAL();
+        const wal = fs.readFileSync(file.replace(/\.json$/, '.log'), 'utf8');
+        assert.ok(!wal.includes('created_at'));
+        await db.close();
+    });
+}
@@ -0,0 +1,101 @@
+// Process lock suite 🔐
+// <name>.lock keeps a second opener out (ELOCKED), a dead owner's lock
+// gets taken over, and readOnly opens without it but can't write.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-lock-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file, opts) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false, ...opts });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+const lockFile = file => file.replace(/\.json$/, '.lock');
+
+test('holds the lock while open and lets go on close', async () => {
+    const file = tmpFile();
+    const db = await open(file);
+    const owner = JSON.parse(fs.readFileSync(lockFile(file), 'utf8'));
+    assert.strictEqual(owner.pid, process.pid);
+    assert.strictEqual(owner.host, os.hostname());
+
+    await db.close();
+    assert.strictEqual(fs.existsSync(lockFile(file)), false);
+    await (await open(file)).close(); // free to open again
+});
+
+test('a second opener gets ELOCKED', async () => {
+    const file = tmpFile();
+    const db = await open(file);
+    await db.set('a', 1);
+
+    const err = await open(file).catch(e => e);
+    assert.strictEqual(err.code, 'ELOCKED');
+    assert.strictEqual(err.owner.pid, process.pid);
+    assert.match(err.message, /readOnly: true/);
+    assert.ok(fs.existsSync(lockFile(file))); // still the first one's
+    await db.close();
+});
+
+test("takes over a dead process's lock", async () => {
+    const file = tmpFile();
+    const { pid } = spawnSync(process.execPath, ['-e', '']); // exited by now
+    fs.writeFileSync(lockFile(file), JSON.stringify({ pid, host: os.hostname(), ts: 1 }));
+
+    const db = await open(file);
+    assert.strictEqual(JSON.parse(fs.readFileSync(lockFile(file), 'utf8')).pid, process.pid);
+    await db.close();
+});
+
+test("respects another host's lock", async () => {
+    const file = tmpFile();
+    fs.writeFileSync(lockFile(file), JSON.stringify({ pid: 1, host: 'elsewhere', ts: 1 }));
+    await assert.rejects(open(file), e => e.code === 'ELOCKED' && /pid 1 on elsewhere/.test(e.message));
+});
+
+test('readOnly opens a locked db, reads it, refuses writes', async () => {
+    const file = tmpFile();
+    const db = await open(file);
+    await db.set('a', 1);
+    await db._drainWAL();
+
+    const ro = await open(file, { readOnly: true });
+    assert.strictEqual(ro.get('a'), 1);
+    await assert.rejects(ro.set('b', 2), e => e.code === 'EREADONLY');
+    await assert.rejects(ro.delete('a'), e => e.code === 'EREADONLY');
+    await ro.close();
+
+    assert.ok(fs.existsSync(lockFile(file))); // not its lock to remove
+    assert.strictEqual(db.get('a'), 1);
+    await db.close();
+});
+
+test('lock: false skips it', async () => {
+    const file = tmpFile();
+    const db = await open(file, { lock: false });
+    assert.strictEqual(fs.existsSync(lockFile(file)), false);
+    await db.close();
+});
@@ -0,0 +1,120 @@
+// In-memory mode suite 🧠
+// path ':memory:' / inMemory: true never touches the disk, everything on
+// top (collections, indexes, ttl, watchers) still works, and dump()/load()
+// seed and inspect the state.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+const SehawqDB = require('../src/index');
+
+const dirs = []; // gone after the suite
+
+function tmpDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-memory-'));
+    dirs.push(dir);
+    return dir;
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(opts) {
+    const db = new Database({ path: ':memory:', ...opts });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+test('writes no files, not even with a real path or a save()', async () => {
+    const dir = tmpDir();
+    const cwd = process.cwd();
+    process.chdir(dir); // ':memory:' would land here if it were a file name
+    try {
+        const a = await open();
+        const b = await open({ path: path.join(dir, 'sub', 'db.json'), inMemory: true });
+        for (const db of [a, b]) {
+            assert.strictEqual(db.conf.inMemory, true);
+            assert.strictEqual(db.storage, 'memory');
+            await db.set('k', 1);
+            await db.delete('k');
+            await db.save();
+            await db.close();
+        }
+    } finally {
+        process.chdir(cwd);
+    }
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test('no snapshot timer, nothing kept after close', async () => {
+    let db = await open({ autoSave: true, saveInterval: 10 });
+    assert.strictEqual(db._timer, null);
+    await db.set('a', 1);
+    await db.close();
+
+    db = await open();
+    assert.deepStrictEqual(db.dump(), {});
+    await db.close();
+});
+
+test('dump() shows the live state, load() replaces or merges it', async () => {
+    const db = await open();
+    const events = [];
+    db.on('batch', e => events.push(e.count));
+
+    await db.load({ a: 1, b: { n: 2 }, d: new Date(0) });
+    assert.deepStrictEqual(db.dump(), { a: 1, b: { n: 2 }, d: new Date(0) });
+    assert.deepStrictEqual(events, [3]); // one batch, like any bulk write
+
+    await db.load({ c: 3 }, { merge: true });
+    assert.deepStrictEqual(Object.keys(db.dump()).sort(), ['a', 'b', 'c', 'd']);
+
+    await db.load({ only: true });
+    assert.deepStrictEqual(db.dump(), { only: true });
+
+    await db.set('gone', 1, { ttl: 0.01 });
+    await new Promise(r => setTimeout(r, 20));
+    assert.deepStrictEqual(db.dump(), { only: true }); // expired keys stay out
+
+    await assert.rejects(db.load([1, 2]), /plain object/);
+    await db.close();
+});
+
+test('load() goes through the hooks', async () => {
+    const db = await open();
+    db.pre('set', (ctx) => { ctx.value = { wrapped: ctx.value }; });
+    await db.load({ a: 1 });
+    assert.deepStrictEqual(db.dump(), { a: { wrapped: 1 } });
+    await db.close();
+});
+
+test('collections, indexes, ttl and watchers all work', async () => {
+    const sdb = new SehawqDB({ path: ':memory:' });
+    await sdb.start();
+    opened.push(sdb.db);
+    assert.strictEqual(sdb.audit, null); // the audit log is a file, off by default here
+
+    const seen = [];
+    sdb.db.watch('users:*', (val, old, key, op) => seen.push(`${key} ${op}`));
+    const users = sdb.collection('users');
+    await sdb.idx.create('role');
+    const id = await users.insert({ name: 'a', role: 'admin' });
+    const [id2] = await users.insertMany([{ name: 'b', role: 'user' }]);
+
+    assert.strictEqual(users.count(), 2);
+    assert.deepStrictEqual(sdb.idx.find('role', '=', 'admin'), [id]);
+    assert.deepStrictEqual(seen, [`${id} set`, `${id2} set`]);
+
+    await sdb.set('temp', 1, { ttl: 60 });
+    assert.ok(sdb.ttl('temp') > 0);
+    await sdb.stop();
+});
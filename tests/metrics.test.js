@@ -0,0 +1,141 @@
+// Metrics suite 📈
+// Telemetry on its own (buckets, quantiles, Prometheus text), then
+// through the db: histograms only with `metrics: true`, gauges always,
+// db.metrics() and GET /metrics.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { performance } = require('perf_hooks');
+
+const Database = require('../src/core/Database');
+const Telemetry = require('../src/core/Telemetry');
+const APIServer = require('../src/server/api');
+const SehawqDB = require('../src/index');
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+});
+
+// metrics don't need files
+async function open(opts) {
+    const db = new Database({ path: ':memory:', ...opts });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+test('histograms bucket by upper bound and answer quantiles from them', () => {
+    const t = new Telemetry({ enabled: true });
+    const h = t.latency.get('get');
+    for (let i = 0; i < 90; i++) h.observe(0.00002); // le 0.000025
+    for (let i = 0; i < 9; i++) h.observe(0.003); // le 0.005
+    h.observe(10); // past the last bucket
+
+    assert.strictEqual(h.count, 100);
+    assert.strictEqual(h.quantile(0.5), 0.000025);
+    assert.strictEqual(h.quantile(0.95), 0.005);
+    assert.strictEqual(h.quantile(1), Infinity);
+    assert.strictEqual(t.latency.get('set').quantile(0.5), 0); // nothing yet
+
+    t.observe('set', performance.now() - 2); // 2ms ago, in seconds
+    const set = t.latency.get('set');
+    assert.strictEqual(set.count, 1);
+    assert.ok(set.sum >= 0.002 && set.sum < 0.1, `${set.sum}`);
+});
+
+test('writes Prometheus text with cumulative buckets and escaped labels', () => {
+    const t = new Telemetry({ enabled: true });
+    t.latency.get('get').observe(0.00002);
+    t.latency.get('get').observe(0.3);
+    t.counter('x_total', 'Things done', () => 7);
+    t.gauge('x_lag', 'Per node', () => [{ labels: { node: 'a "b"\n' }, value: 1.5 }]);
+    t.gauge('x_broken', 'Throws', () => { throw new Error('nope'); });
+
+    const text = t.toPrometheus();
+    assert.ok(text.endsWith('\n'));
+    assert.match(text, /# TYPE sehawq_op_duration_seconds histogram\n/);
+    assert.match(text, /sehawq_op_duration_seconds_bucket\{op="get",le="0.000025"\} 1\n/);
+    assert.match(text, /sehawq_op_duration_seconds_bucket\{op="get",le="0.25"\} 1\n/);
+    assert.match(text, /sehawq_op_duration_seconds_bucket\{op="get",le="0.5"\} 2\n/);
+    assert.match(text, /sehawq_op_duration_seconds_bucket\{op="get",le="\+Inf"\} 2\n/);
+    assert.match(text, /sehawq_op_duration_seconds_count\{op="get"\} 2\n/);
+    assert.match(text, /# HELP x_total Things done\n# TYPE x_total counter\nx_total 7\n/);
+    assert.ok(text.includes('x_lag{node="a \\"b\\"\\n"} 1.5\n'));
+    assert.match(text, /# TYPE x_broken gauge\n/); // listed, just no sample
+    assert.doesNotMatch(text, /^x_broken /m);
+});
+
+test('gauge() hands back a function that removes it', () => {
+    const t = new Telemetry();
+    const remove = t.gauge('x', 'x', () => 1);
+    assert.strictEqual(t.collect().metrics.x, 1);
+    remove();
+    assert.strictEqual('x' in t.collect().metrics, false);
+});
+
+test('with metrics off nothing is timed, gauges still read', async () => {
+    const db = await open();
+    await db.set('a', 1, { ttl: 60 });
+    db.get('a');
+
+    const m = db.telemetry.collect();
+    assert.strictEqual(m.enabled, false);
+    assert.strictEqual(m.latency.get.count, 0);
+    assert.strictEqual(m.latency.set.count, 0);
+    assert.strictEqual(m.metrics.sehawq_keys, 1);
+    assert.strictEqual(m.metrics.sehawq_ttl_keys, 1);
+    assert.doesNotMatch(db.telemetry.toPrometheus(), /sehawq_op_duration_seconds/);
+    await db.close();
+});
+
+test('with metrics on get/set/delete/query are timed', async () => {
+    const sdb = new SehawqDB({ path: ':memory:', metrics: true });
+    await sdb.start();
+    opened.push(sdb.db);
+    const reads = sdb.metrics().latency.get.count; // start() reads the migration state
+
+    await sdb.set('a', { n: 1 });
+    await sdb.set('b', { n: 2 });
+    sdb.get('a');
+    await sdb.delete('b');
+    sdb.query.where('n', '=', 1);
+    sdb.collection('c').find({});
+
+    const m = sdb.metrics();
+    assert.strictEqual(m.enabled, true);
+    assert.strictEqual(m.latency.set.count, 2);
+    assert.strictEqual(m.latency.get.count, reads + 1);
+    assert.strictEqual(m.latency.delete.count, 1);
+    assert.strictEqual(m.latency.query.count, 2);
+    assert.ok(m.latency.set.p99 > 0);
+    assert.strictEqual(m.metrics.sehawq_keys, 1);
+
+    assert.match(sdb.metrics({ format: 'prometheus' }), /sehawq_op_duration_seconds_count\{op="set"\} 2\n/);
+    await sdb.stop();
+});
+
+test('GET /metrics serves the same text', async () => {
+    const db = await open({ metrics: true });
+    await db.set('a', 1);
+    const server = http.createServer(new APIServer(db, {}).app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const res = await new Promise((resolve, reject) => {
+            http.get(`http://127.0.0.1:${server.address().port}/metrics`, (r) => {
+                let body = '';
+                r.on('data', (c) => { body += c; });
+                r.on('end', () => resolve({ type: r.headers['content-type'], body }));
+            }).on('error', reject);
+        });
+        assert.match(res.type, /^text\/plain;.* version=0\.0\.4/);
+        assert.match(res.body, /^sehawq_keys 1$/m);
+        assert.match(res.body, /sehawq_op_duration_seconds_count\{op="set"\} 1\n/);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+    await db.close();
+});
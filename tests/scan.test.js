@@ -0,0 +1,148 @@
+// Ordered scans suite 🔤
+// SortedKeys against a plain sorted array (enough keys to split chunks),
+// then db.scan()/keys()/entries() and the collections built on them.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+const SortedKeys = require('../src/core/SortedKeys');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-scan-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+// same keys every run
+function rng(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+    };
+}
+
+// what range() should give, the slow way
+function expected(keys, opts) {
+    let out = [...keys].sort().filter(k => (!opts.prefix || k.startsWith(opts.prefix)) &&
+        (opts.gt === undefined || k > opts.gt) && (opts.gte === undefined || k >= opts.gte) &&
+        (opts.lt === undefined || k < opts.lt) && (opts.lte === undefined || k <= opts.lte));
+    if (opts.reverse) out = out.reverse();
+    return out;
+}
+
+test('SortedKeys matches a sorted array through adds, deletes and chunk splits', () => {
+    const rand = rng(42);
+    const key = () => String.fromCharCode(97 + Math.floor(rand() * 4)) + ':' + Math.floor(rand() * 5000);
+    const ref = new Set();
+    for (let i = 0; i < 1500; i++) ref.add(key());
+    const sk = new SortedKeys(ref);
+
+    for (let i = 0; i < 3000; i++) {
+        const k = key();
+        if (rand() < 0.7) {
+            sk.add(k);
+            ref.add(k);
+        } else {
+            sk.delete(k);
+            ref.delete(k);
+        }
+    }
+    assert.strictEqual(sk.size, ref.size);
+    assert.deepStrictEqual([...sk.range()], expected(ref, {}));
+
+    const queries = [
+        { prefix: 'b:' },
+        { prefix: 'c:', reverse: true },
+        { gte: 'a:2', lt: 'b:1' },
+        { gt: 'b:1000', lte: 'd:3', reverse: true },
+        { prefix: 'a:', gte: 'a:3' },
+        { prefix: 'z:' },
+        { gt: 'd:' + 9999 }
+    ];
+    for (const q of queries) assert.deepStrictEqual([...sk.range(q)], expected(ref, q), JSON.stringify(q));
+    for (const p of ['a:', 'b:4', 'x']) assert.strictEqual(sk.countPrefix(p), expected(ref, { prefix: p }).length);
+});
+
+test('a live range() keeps going while keys change under it', () => {
+    const sk = new SortedKeys(['a', 'b', 'c', 'd']);
+    const seen = [];
+    for (const k of sk.range()) {
+        seen.push(k);
+        if (k === 'b') {
+            sk.delete('c');
+            sk.add('bb');
+            sk.add('a0'); // behind us, not revisited
+        }
+    }
+    assert.deepStrictEqual(seen, ['a', 'b', 'bb', 'd']);
+});
+
+test('scan, keys and entries take prefix, bounds, reverse and limit', async () => {
+    const db = await open(tmpFile());
+    for (const k of ['user:3', 'user:1', 'post:1', 'user:2', 'userx', 'zed']) await db.set(k, k.toUpperCase());
+
+    assert.deepStrictEqual([...db.scan({ prefix: 'user:' })].map(([k]) => k), ['user:1', 'user:2', 'user:3']);
+    assert.deepStrictEqual([...db.scan({ prefix: 'user:', reverse: true, limit: 2 })], [['user:3', 'USER:3'], ['user:2', 'USER:2']]);
+    assert.deepStrictEqual([...db.scan({ gt: 'user:1', lte: 'userx' })].map(([k]) => k), ['user:2', 'user:3', 'userx']);
+    assert.deepStrictEqual([...db.scan({ limit: 0 })], []);
+
+    const keys = [];
+    for await (const k of db.keys({ lt: 'user' })) keys.push(k);
+    assert.deepStrictEqual(keys, ['post:1']);
+
+    const entries = [];
+    for await (const e of db.entries({ prefix: 'z' })) entries.push(e);
+    assert.deepStrictEqual(entries, [['zed', 'ZED']]);
+    await db.close();
+});
+
+test('deleted and expired keys drop out, a restart rebuilds the order', async () => {
+    const file = tmpFile();
+    let db = await open(file);
+    await db.set('k:1', 1);
+    await db.set('k:2', 2, { ttl: 0.001 });
+    await db.set('k:3', 3);
+    await db.delete('k:1');
+    await new Promise(r => setTimeout(r, 10));
+
+    assert.deepStrictEqual([...db.scan({ prefix: 'k:' })], [['k:3', 3]]);
+    await db.set('k:0', 0);
+    await db.close();
+
+    db = await open(file);
+    assert.deepStrictEqual([...db.scan({ prefix: 'k:' })].map(([k]) => k), ['k:0', 'k:3']);
+    await db.close();
+});
+
+test('collections only read their own prefix', async () => {
+    const db = await open(tmpFile());
+    const people = db.collection('people');
+    await people.insert({ name: 'a', age: 30 });
+    await people.insert({ name: 'b', age: 20 });
+    await db.set('peoplex', { name: 'not one of them', age: 30 });
+    await db.collection('pets').insert({ name: 'c', age: 30 });
+
+    assert.deepStrictEqual(people.find({ age: 30 }).map(d => d.name), ['a']);
+    assert.strictEqual(people.count(), 2);
+    await db.close();
+});
@@ -0,0 +1,160 @@
+// Read snapshots suite 📸
+// db.snapshot() answers as of the moment it was taken, whatever gets
+// written afterwards, keeps only the keys that changed, and stops
+// collecting once released.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const Database = require('../src/core/Database');
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+});
+
+// snapshots live in memory, no need for files here
+async function open() {
+    const db = new Database({ path: ':memory:' });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+async function seeded() {
+    const db = await open();
+    await db.load({ 'a': 1, 'b': { n: 2 }, 'c': 3, 'x:1': 'x1', 'x:2': 'x2' });
+    return db;
+}
+
+test('sees the moment it was taken through every kind of write', async () => {
+    const db = await seeded();
+    const snap = db.snapshot();
+
+    await db.set('a', 10);
+    await db.setPath('b', 'n', 20);
+    await db.delete('c');
+    await db.set('new', 1);
+    await db.batch([{ op: 'put', k: 'x:1', v: 'changed' }, { op: 'del', k: 'x:2' }]);
+    await db.transaction((tx) => { tx.set('a', 100).set('other', 1); });
+
+    assert.deepStrictEqual(snap.all(), { 'a': 1, 'b': { n: 2 }, 'c': 3, 'x:1': 'x1', 'x:2': 'x2' });
+    assert.strictEqual(snap.has('new'), false);
+    assert.strictEqual(snap.get('c'), 3);
+    assert.deepStrictEqual(snap.getWithVersion('a'), { value: 1, version: 1 });
+    assert.strictEqual(db.get('a'), 100); // the db itself moved on
+    assert.deepStrictEqual(db.get('b'), { n: 20 });
+    snap.release();
+    await db.close();
+});
+
+test('a clear() leaves the snapshot on the old state', async () => {
+    const db = await seeded();
+    const snap = db.snapshot();
+    await db.clear();
+    await db.set('a', 'after');
+
+    assert.strictEqual(snap.get('a'), 1);
+    assert.strictEqual(Object.keys(snap.all()).length, 5);
+    assert.deepStrictEqual(db.all(), { a: 'after' });
+    snap.release();
+    await db.close();
+});
+
+test('only keeps the keys that changed', async () => {
+    const db = await seeded();
+    const snap = db.snapshot();
+    assert.strictEqual(snap._prior.size, 0); // nothing copied up front
+
+    await db.set('a', 2);
+    await db.set('a', 3);
+    await db.set('brand-new', 1);
+    assert.deepStrictEqual([...snap._prior.keys()], ['a', 'brand-new']);
+    assert.deepStrictEqual(snap._prior.get('a'), { had: true, v: 1, ver: 1, exp: undefined });
+    snap.release();
+    await db.close();
+});
+
+test('iterating while writes land stays consistent and in order', async () => {
+    const db = await seeded();
+    const snap = db.snapshot();
+
+    const seen = [];
+    for (const [k, v] of snap.scan()) {
+        seen.push([k, v]);
+        if (k === 'a') {
+            await db.delete('b'); // ahead of us
+            await db.delete('a'); // behind us
+            await db.set('bb', 'new');
+            await db.set('c', 'changed');
+        }
+    }
+    assert.deepStrictEqual(seen, [['a', 1], ['b', { n: 2 }], ['c', 3], ['x:1', 'x1'], ['x:2', 'x2']]);
+    snap.release();
+    await db.close();
+});
+
+test('ranges, reverse and limit work like db.scan()', async () => {
+    const db = await seeded();
+    const snap = db.snapshot();
+    await db.delete('x:1');
+    await db.set('x:3', 'late');
+
+    assert.deepStrictEqual([...snap.scan({ prefix: 'x:' })], [['x:1', 'x1'], ['x:2', 'x2']]);
+    assert.deepStrictEqual([...snap.scan({ reverse: true, limit: 2 })].map(([k]) => k), ['x:2', 'x:1']);
+    assert.deepStrictEqual([...snap.iterate({ gt: 'a', lte: 'c' })], [['b', { n: 2 }, { ver: 1, exp: undefined }], ['c', 3, { ver: 1, exp: undefined }]]);
+
+    const keys = [];
+    for await (const k of snap.keys({ prefix: 'x:' })) keys.push(k);
+    assert.deepStrictEqual(keys, ['x:1', 'x:2']);
+    snap.release();
+    await db.close();
+});
+
+test('ttls are judged at the moment it was taken', async () => {
+    const db = await open();
+    await db.set('short', 1, { ttl: 0.02 });
+    const snap = db.snapshot();
+    await new Promise(r => setTimeout(r, 40));
+
+    assert.strictEqual(db.has('short'), false);
+    assert.strictEqual(snap.get('short'), 1);
+    snap.release();
+    await db.close();
+});
+
+test('release() stops the collecting and closes the view', async () => {
+    const db = await seeded();
+    const snap = db.snapshot();
+    const other = db.snapshot();
+    assert.strictEqual(db._snapshots.size, 2);
+
+    snap.release();
+    snap.release(); // twice is fine
+    assert.strictEqual(db._snapshots.size, 1);
+    assert.throws(() => snap.get('a'), /already released/);
+    assert.throws(() => [...snap.scan()], /already released/);
+
+    await db.set('a', 2);
+    assert.strictEqual(other.get('a'), 1);
+    other.release();
+    assert.strictEqual(db._snapshots.size, 0);
+    await db.close();
+});
+
+test('a namespace snapshot only sees its own keys, without the prefix', async () => {
+    const db = await seeded();
+    const ns = db.namespace('tenant');
+    await ns.set('1', 'one');
+    await ns.set('2', 'two');
+    const snap = ns.snapshot();
+    await ns.set('1', 'changed');
+    await db.set('a', 'changed');
+
+    assert.deepStrictEqual(snap.all(), { 1: 'one', 2: 'two' });
+    assert.strictEqual(snap.get('a'), undefined);
+    assert.strictEqual(snap._prior.has('a'), false); // not ours to keep
+    snap.release();
+    await db.close();
+});
@@ -0,0 +1,169 @@
+// Transactions suite 🔒
+// All-or-nothing in memory (hooks, version conflicts, a throwing fn) and
+// on disk: WAL replay only applies groups that got their commit marker,
+// and a half-written last line gets cut off.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+const { crc32, hex8 } = require('../src/core/crc32');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-tx-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+// WAL text the way appendToWAL() writes it
+const walLines = entries => entries.map((e) => {
+    const json = JSON.stringify(e);
+    return `${hex8(crc32(json))} ${json}\n`;
+}).join('');
+
+test('commits every write at once, with one event each after the commit', async () => {
+    const db = await open(tmpFile());
+    await db.set('b', 'old');
+    const seen = [];
+    db.on('set', e => seen.push([e.key, db.has('a'), db.has('b')]));
+    db.on('delete', e => seen.push([e.key, db.has('a'), db.has('b')]));
+
+    const res = await db.transaction(async (tx) => {
+        tx.set('a', 1).delete('b');
+        assert.strictEqual(tx.get('a'), 1); // sees its own writes
+        assert.strictEqual(tx.has('b'), false);
+        assert.strictEqual(db.get('a'), undefined); // nobody else does yet
+        return 'done';
+    });
+
+    assert.strictEqual(res, 'done');
+    assert.strictEqual(db.get('a'), 1);
+    assert.strictEqual(db.has('b'), false);
+    assert.deepStrictEqual(seen, [['a', true, false], ['b', true, false]]);
+    await db.close();
+});
+
+test('leaves nothing behind when the function throws', async () => {
+    const db = await open(tmpFile());
+    await db.set('a', 1);
+
+    await assert.rejects(db.transaction(async (tx) => {
+        tx.set('a', 2).set('b', 2);
+        throw new Error('nope');
+    }), /nope/);
+
+    assert.strictEqual(db.get('a'), 1);
+    assert.strictEqual(db.has('b'), false);
+    await db.close();
+});
+
+test('a version conflict or a throwing hook aborts the whole group', async () => {
+    const db = await open(tmpFile());
+    await db.set('a', 1);
+
+    await assert.rejects(db.transaction((tx) => {
+        tx.set('b', 1);
+        tx.set('a', 2, { ifVersion: 5 });
+    }), e => e.code === 'ECONFLICT' && e.key === 'a');
+    assert.strictEqual(db.has('b'), false);
+
+    db.pre('set', (ctx) => {
+        if (ctx.key === 'bad') throw new Error('rejected');
+    });
+    await assert.rejects(db.transaction((tx) => {
+        tx.set('c', 1).set('bad', 1);
+    }), /rejected/);
+    assert.strictEqual(db.has('c'), false);
+    assert.strictEqual(db.get('a'), 1);
+    await db.close();
+});
+
+test('survives a restart through the WAL alone', async () => {
+    const file = tmpFile();
+    let db = await open(file);
+    await db.transaction((tx) => {
+        tx.set('a', { n: 1 }).set('b', new Date(0));
+    });
+    await db._drainWAL();
+    const wal = fs.readFileSync(file.replace(/\.json$/, '.log'), 'utf8');
+    await db.close();
+
+    // close() saved a snapshot, start over from just the WAL
+    fs.unlinkSync(file);
+    fs.writeFileSync(file.replace(/\.json$/, '.log'), wal);
+    db = await open(file);
+    assert.deepStrictEqual(db.get('a'), { n: 1 });
+    assert.deepStrictEqual(db.get('b'), new Date(0));
+    await db.close();
+});
+
+test('replay skips groups without a commit and ignores corrupt lines', async () => {
+    const file = tmpFile();
+    fs.writeFileSync(file.replace(/\.json$/, '.log'), walLines([
+        { op: 'put', k: 'solo', v: 1, ver: 1 },
+        { op: 'begin', tx: 't1' },
+        { op: 'put', k: 'a', v: 1, ver: 1, tx: 't1' },
+        { op: 'put', k: 'b', v: 1, ver: 1, tx: 't1' },
+        { op: 'commit', tx: 't1' },
+        { op: 'begin', tx: 't2' },
+        { op: 'put', k: 'a', v: 2, ver: 2, tx: 't2' },
+        { op: 'del', k: 'b', tx: 't2' } // crash before the commit marker
+    ]) + '00000000 {"op":"put","k":"bad","v":1}\n');
+
+    const warn = console.warn;
+    console.warn = () => { };
+    let db;
+    try {
+        db = await open(file);
+    } finally {
+        console.warn = warn;
+    }
+    assert.strictEqual(db.get('solo'), 1);
+    assert.strictEqual(db.get('a'), 1);
+    assert.strictEqual(db.get('b'), 1);
+    assert.strictEqual(db.has('bad'), false);
+    await db.close();
+});
+
+test('cuts off a torn last line and keeps writing after it', async () => {
+    const file = tmpFile();
+    const log = file.replace(/\.json$/, '.log');
+    const good = walLines([{ op: 'put', k: 'a', v: 1, ver: 1 }]);
+    fs.writeFileSync(log, good + '1234abcd {"op":"put","k":"b"');
+
+    let db = await open(file);
+    assert.strictEqual(db.get('a'), 1);
+    assert.strictEqual(db.has('b'), false);
+    assert.strictEqual(fs.readFileSync(log, 'utf8'), good);
+
+    await db.set('c', 3);
+    await db._drainWAL();
+    const wal = fs.readFileSync(log, 'utf8');
+    await db.close();
+
+    fs.unlinkSync(file);
+    fs.writeFileSync(log, wal);
+    db = await open(file);
+    assert.strictEqual(db.get('a'), 1);
+    assert.strictEqual(db.get('c'), 3);
+    await db.close();
+});
@@ -0,0 +1,230 @@
+// Trash suite 🗑️
+// With `trash` on, delete() keeps the last value with when and by whom,
+// restore()/purge() take it back out, entries run out after `retention`
+// days, and all of it survives a restart (WAL or .trash file).
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+const APIServer = require('../src/server/api');
+const encryption = require('../src/plugins/encryption');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-trash-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file, opts) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false, trash: true, ...opts });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('delete() moves the key to the trash, still a delete to everyone else', async () => {
+    const db = await open(tmpFile());
+    await db.set('a', { n: 1 });
+    const events = [];
+    db.on('delete', e => events.push(e.key));
+
+    const before = Date.now();
+    assert.strictEqual(await db.delete('a', { by: 'alice' }), true);
+    assert.strictEqual(db.has('a'), false);
+    assert.deepStrictEqual(events, ['a']);
+    assert.deepStrictEqual(db.all(), {});
+
+    const [item] = db.trash.list();
+    assert.strictEqual(item.key, 'a');
+    assert.deepStrictEqual(item.value, { n: 1 });
+    assert.strictEqual(item.by, 'alice');
+    assert.ok(item.deletedAt >= before);
+    assert.strictEqual(item.expiresAt, item.deletedAt + 30 * DAY); // default retention
+    assert.deepStrictEqual(db.trash.get('a'), item);
+    await db.close();
+});
+
+test('restore() puts it back as a new write, refuses to clobber a newer one', async () => {
+    const db = await open(tmpFile());
+    await db.set('a', 1);
+    await db.set('a', 2);
+    await db.delete('a');
+
+    assert.strictEqual(await db.trash.restore('a'), true);
+    assert.deepStrictEqual(db.getWithVersion('a'), { value: 2, version: 1 }); // deleted keys start over
+    assert.deepStrictEqual(db.trash.list(), []);
+    assert.strictEqual(await db.trash.restore('a'), false); // not in there anymore
+
+    await db.delete('a');
+    await db.set('a', 'new');
+    await assert.rejects(db.trash.restore('a'), e => e.code === 'EEXIST');
+    assert.strictEqual(db.get('a'), 'new');
+    assert.strictEqual(await db.trash.restore('a', { overwrite: true }), true);
+    assert.strictEqual(db.get('a'), 2);
+    await db.close();
+});
+
+test('purge() drops one entry or all of them', async () => {
+    const db = await open(tmpFile());
+    await db.load({ a: 1, b: 2, c: 3 });
+    for (const k of ['a', 'b', 'c']) await db.delete(k);
+
+    assert.strictEqual(await db.trash.purge('a'), 1);
+    assert.strictEqual(await db.trash.purge('a'), 0);
+    assert.deepStrictEqual(db.trash.list().map(i => i.key).sort(), ['b', 'c']);
+    assert.strictEqual(await db.trash.purge(), 2);
+    assert.deepStrictEqual(db.trash.list(), []);
+    await db.close();
+});
+
+test('hard deletes, ttl expiry, clear() and internal keys skip the trash', async () => {
+    const db = await open(tmpFile());
+    await db.load({ hard: 1, _internal: 1, cleared: 1 });
+    await db.set('ttl', 1, { ttl: 0.01 });
+
+    await db.delete('hard', { hard: true });
+    await db.delete('_internal');
+    await new Promise(r => setTimeout(r, 20));
+    db.get('ttl');
+    await db.clear();
+    assert.deepStrictEqual(db.trash.list(), []);
+    await db.close();
+});
+
+test('entries run out after the retention, 0 keeps them until purged', async () => {
+    const file = tmpFile();
+    let db = await open(file, { trash: { retention: 7 } });
+    await db.load({ old: 1, fresh: 2 });
+    await db.delete('old');
+    await db.delete('fresh');
+    db.trash._entries.get('old').exp = Date.now() - 1; // as if 7 days went by
+
+    assert.deepStrictEqual(db.trash.list().map(i => i.key), ['fresh']);
+    assert.strictEqual(await db.trash.restore('old'), false);
+    await db.save();
+    assert.strictEqual(db.trash._entries.has('old'), false); // save() drops it for good
+    await db.close();
+
+    db = await open(tmpFile(), { trash: { retention: 0 } });
+    await db.set('a', 1);
+    await db.delete('a');
+    assert.strictEqual(db.trash.get('a').expiresAt, null);
+    await db.close();
+
+    assert.throws(() => new Database({ path: tmpFile(), trash: { retention: -1 } }), /Invalid trash retention/);
+});
+
+test('survives a restart through the .trash file and through the WAL alone', async () => {
+    const file = tmpFile();
+    let db = await open(file);
+    await db.load({ saved: 1, logged: 2, restored: 3 });
+    await db.delete('saved', { by: 'bob' });
+    await db.save();
+    await db.delete('logged');
+    await db.delete('restored');
+    await db.trash.restore('restored');
+    await db._drainWAL();
+    const wal = fs.readFileSync(file.replace(/\.json$/, '.log'), 'utf8');
+    const trashFile = fs.readFileSync(file.replace(/\.json$/, '.trash'), 'utf8');
+    await db.close();
+
+    db = await open(file);
+    assert.deepStrictEqual(db.trash.list().map(i => i.key).sort(), ['logged', 'saved']);
+    assert.strictEqual(db.trash.get('saved').by, 'bob');
+    assert.strictEqual(db.get('restored'), 3);
+    await db.close();
+
+    // back to the state before close(): the first save's files plus the WAL
+    fs.writeFileSync(file.replace(/\.json$/, '.trash'), trashFile);
+    fs.writeFileSync(file.replace(/\.json$/, '.log'), wal);
+    fs.unlinkSync(file);
+    db = await open(file);
+    assert.deepStrictEqual(db.trash.list().map(i => i.key).sort(), ['logged', 'saved']);
+    assert.strictEqual(await db.trash.restore('logged'), true);
+    assert.strictEqual(db.get('logged'), 2);
+    await db.close();
+});
+
+test('collections and namespaces delete into the trash too', async () => {
+    const db = await open(tmpFile());
+    const users = db.collection('users');
+    const id = await users.insert({ name: 'a' });
+    await users.insert({ name: 'b' });
+    await users.remove({ name: 'a' }, { by: 'admin' });
+    assert.strictEqual(db.trash.get(id).by, 'admin');
+    await users.drop();
+    assert.strictEqual(db.trash.list({ prefix: 'users:' }).length, 2);
+
+    const ns = db.namespace('t1');
+    await ns.set('k', 1);
+    await ns.delete('k');
+    assert.deepStrictEqual(ns.trash.list().map(i => i.key), ['k']); // relative to the namespace
+    assert.strictEqual(await ns.trash.restore('k'), true);
+    assert.strictEqual(ns.get('k'), 1);
+    await db.close();
+});
+
+test('an encrypted value is listed decrypted and restored as it was', async () => {
+    const db = await open(tmpFile());
+    db.use(encryption, { key: 'secret' });
+    await db.set('a', { card: '4242' });
+    await db.delete('a');
+
+    assert.deepStrictEqual(db.trash.get('a').value, { card: '4242' });
+    assert.match(db.trash._entries.get('a').v, /^enc:/);
+    await db.trash.restore('a');
+    assert.deepStrictEqual(db.get('a'), { card: '4242' });
+    await db.close();
+});
+
+test('the REST endpoints list, restore and purge', async () => {
+    const db = await open(tmpFile());
+    await db.load({ a: 1, b: 2 });
+    const server = http.createServer(new APIServer(db, {}).app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const call = (method, url) => new Promise((resolve, reject) => {
+        http.request(`http://127.0.0.1:${server.address().port}${url}`, { method }, (res) => {
+            let text = '';
+            res.on('data', (c) => { text += c; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        }).on('error', reject).end();
+    });
+
+    try {
+        await call('DELETE', '/api/data/a');
+        await call('DELETE', '/api/data/b');
+        let res = await call('GET', '/api/trash');
+        assert.strictEqual(res.body.enabled, true);
+        assert.deepStrictEqual(res.body.items.map(i => i.key).sort(), ['a', 'b']);
+
+        await db.set('a', 'again');
+        assert.strictEqual((await call('POST', '/api/trash/a/restore')).status, 409);
+        assert.strictEqual((await call('POST', '/api/trash/a/restore?overwrite=1')).status, 200);
+        assert.strictEqual(db.get('a'), 1);
+        assert.strictEqual((await call('POST', '/api/trash/nope/restore')).status, 404);
+
+        assert.strictEqual((await call('DELETE', '/api/trash')).status, 403); // admins only
+        res = await call('DELETE', '/api/trash/b');
+        assert.deepStrictEqual([res.status, res.body.purged], [200, 1]);
+        assert.strictEqual((await call('DELETE', '/api/trash/b')).status, 404);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+    await db.close();
+});
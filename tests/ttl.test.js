@@ -0,0 +1,162 @@
+// TTL suite ⏳
+// Expirations are kept in the WAL and the snapshot, reads expire keys
+// lazily, and an expiry is its own 'expire' event (watchers and the
+// audit log see it too), not a delete.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+const AuditLog = require('../src/core/AuditLog');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-ttl-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// ttl() counts down in whole seconds, give a slow machine some slack
+const assertTTL = (db, k, secs) => assert.ok(Math.abs(db.ttl(k) - secs) <= 2, `ttl(${k}) = ${db.ttl(k)}, wanted ~${secs}`);
+
+test('ttl() answers like redis, expire/expireAt/persist change it', async () => {
+    const db = await open(tmpFile());
+    await db.set('a', 1);
+    assert.strictEqual(db.ttl('a'), -1);
+    assert.strictEqual(db.ttl('nope'), -2);
+
+    assert.strictEqual(await db.expire('a', 60), true);
+    assertTTL(db, 'a', 60);
+    assert.strictEqual(await db.expireAt('a', new Date(Date.now() + 120000)), true);
+    assertTTL(db, 'a', 120);
+
+    assert.strictEqual(await db.persist('a'), true);
+    assert.strictEqual(db.ttl('a'), -1);
+    assert.strictEqual(await db.persist('a'), false); // nothing to drop
+
+    assert.strictEqual(await db.expire('nope', 60), false);
+    await assert.rejects(db.expireAt('a', 'soon'), /Invalid expiry/);
+    await db.close();
+});
+
+test('reads expire keys lazily with an expire event, not a delete', async () => {
+    const db = await open(tmpFile());
+    await db.set('a', { n: 1 }, { ttl: 0.02 });
+    await db.set('b', 2);
+    const events = [];
+    db.on('expire', e => events.push(['expire', e.key, e.old]));
+    db.on('delete', e => events.push(['delete', e.key]));
+    const watched = [];
+    db.watch('a', (val, old, key, op) => watched.push([key, val, old, op]));
+
+    await sleep(40);
+    assert.deepStrictEqual(events, []); // nobody looked yet
+    assert.strictEqual(db.get('a'), undefined);
+    assert.strictEqual(db.has('a'), false);
+    assert.strictEqual(db.ttl('a'), -2);
+    assert.deepStrictEqual(events, [['expire', 'a', { n: 1 }]]);
+    assert.deepStrictEqual(watched, [['a', undefined, { n: 1 }, 'expire']]);
+    assert.strictEqual(db.get('b'), 2);
+    await db.close();
+});
+
+test('an expireAt in the past expires the key right away', async () => {
+    const db = await open(tmpFile());
+    await db.set('a', 1);
+    const expired = [];
+    db.on('expire', e => expired.push(e.key));
+
+    assert.strictEqual(await db.expireAt('a', Date.now() - 1000), true);
+    assert.deepStrictEqual(expired, ['a']);
+    assert.strictEqual(db.has('a'), false);
+    await db.close();
+});
+
+test('the sweep catches keys nobody reads', async () => {
+    const db = await open(tmpFile());
+    await db.set('a', 1, { ttl: 0.01 });
+    await db.set('b', 1, { ttl: 60 });
+    await sleep(20);
+
+    const expired = [];
+    db.on('expire', e => expired.push(e.key));
+    db._sweepExpired(); // what the 10s timer runs
+    assert.deepStrictEqual(expired, ['a']);
+    assert.deepStrictEqual(Object.keys(db.all()), ['b']);
+    await db.close();
+});
+
+test('expirations survive a save, the WAL alone, and a persist()', async () => {
+    const file = tmpFile();
+    let db = await open(file);
+    await db.set('snap', 1, { ttl: 60 });
+    await db.set('kept', 1, { ttl: 60 });
+    await db.save();
+    await db.persist('kept');
+    await db.set('wal', 1);
+    await db.expire('wal', 120);
+    await db._drainWAL();
+    const wal = fs.readFileSync(file.replace(/\.json$/, '.log'), 'utf8');
+    await db.close();
+
+    db = await open(file);
+    assertTTL(db, 'snap', 60);
+    assert.strictEqual(db.ttl('kept'), -1);
+    assertTTL(db, 'wal', 120);
+    await db.close();
+
+    // close() saved a snapshot, start over from just the WAL
+    fs.unlinkSync(file);
+    fs.writeFileSync(file.replace(/\.json$/, '.log'), wal);
+    db = await open(file);
+    assertTTL(db, 'wal', 120);
+    await db.close();
+});
+
+test('a key that ran out while closed is gone after a restart', async () => {
+    const file = tmpFile();
+    let db = await open(file);
+    await db.set('a', 1, { ttl: 0.02 });
+    await db.set('b', 1);
+    await db.close();
+    await sleep(40);
+
+    db = await open(file);
+    assert.strictEqual(db.get('a'), undefined);
+    assert.deepStrictEqual(db.all(), { b: 1 });
+    await db.close();
+});
+
+test('the audit log records expiries', async () => {
+    const db = await open(tmpFile());
+    const audit = new AuditLog(db);
+    await db.set('a', 1, { ttl: 0.01 });
+    await sleep(20);
+    db.get('a');
+
+    const entries = await audit.query({ action: 'EXPIRE' });
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].key, 'a');
+    await audit.stop();
+    await db.close();
+});
@@ -0,0 +1,143 @@
+// Versions / CAS suite 🔢
+// Every write bumps the key's version, kept through the WAL and the
+// snapshot. ifVersion / compareAndSwap() throw ECONFLICT on a stale
+// version, update() and the add/push helpers retry until they land.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+const SehawqDB = require('../src/index');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-versions-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+test('versions count up per key and start over after a delete', async () => {
+    const db = await open(tmpFile());
+    assert.deepStrictEqual(db.getWithVersion('a'), { value: undefined, version: 0 });
+
+    await db.set('a', 1);
+    await db.set('a', 2);
+    await db.setPath('a', 'x', 1); // a patch is a write too
+    await db.set('b', 1);
+    assert.strictEqual(db.getWithVersion('a').version, 3);
+    assert.strictEqual(db.getWithVersion('b').version, 1);
+
+    await db.delete('a');
+    assert.strictEqual(db.getWithVersion('a').version, 0);
+    await db.set('a', 'again');
+    assert.strictEqual(db.getWithVersion('a').version, 1);
+    await db.close();
+});
+
+test('versions survive the WAL and the snapshot', async () => {
+    const file = tmpFile();
+    let db = await open(file);
+    await db.set('snap', 1);
+    await db.set('snap', 2);
+    await db.save();
+    await db.set('wal', 1);
+    await db.set('wal', 2);
+    await db.set('wal', 3);
+    await db._drainWAL();
+    const wal = fs.readFileSync(file.replace(/\.json$/, '.log'), 'utf8');
+    await db.close();
+
+    db = await open(file);
+    assert.strictEqual(db.getWithVersion('snap').version, 2);
+    assert.strictEqual(db.getWithVersion('wal').version, 3);
+    await db.close();
+
+    // close() saved a snapshot, start over from just the WAL
+    fs.unlinkSync(file);
+    fs.writeFileSync(file.replace(/\.json$/, '.log'), wal);
+    db = await open(file);
+    assert.strictEqual(db.has('snap'), false);
+    assert.strictEqual(db.getWithVersion('wal').version, 3);
+    await db.close();
+});
+
+test('ifVersion only writes over the version it expects', async () => {
+    const db = await open(tmpFile());
+    await db.set('a', 'first', { ifVersion: 0 }); // 0 = create only
+    await assert.rejects(db.set('a', 'again', { ifVersion: 0 }), Database.ConflictError);
+
+    const err = await db.set('a', 'stale', { ifVersion: 5 }).catch(e => e);
+    assert.strictEqual(err.code, 'ECONFLICT');
+    assert.strictEqual(err.key, 'a');
+    assert.strictEqual(err.expected, 5);
+    assert.strictEqual(err.actual, 1);
+    assert.strictEqual(db.get('a'), 'first');
+
+    await db.set('a', 'second', { ifVersion: 1 });
+    assert.deepStrictEqual(db.getWithVersion('a'), { value: 'second', version: 2 });
+    await db.close();
+});
+
+test('compareAndSwap hands back the new version, loses to a writer in between', async () => {
+    const db = await open(tmpFile());
+    await db.set('n', 1);
+    const { version } = db.getWithVersion('n');
+
+    assert.strictEqual(await db.compareAndSwap('n', version, 2), 2);
+    await assert.rejects(db.compareAndSwap('n', version, 3), e => e.code === 'ECONFLICT' && e.actual === 2);
+    assert.strictEqual(db.get('n'), 2);
+    await db.close();
+});
+
+test('update() retries on a conflict and gives up after `retries`', async () => {
+    const db = await open(tmpFile());
+    await db.set('n', 0);
+
+    let calls = 0;
+    const res = await db.update('n', async (n) => {
+        calls++;
+        if (calls === 1) await db.set('n', 10); // someone beats us once
+        return n + 1;
+    });
+    assert.strictEqual(res, 11);
+    assert.strictEqual(calls, 2);
+
+    await assert.rejects(db.update('n', async (n) => {
+        await db.set('n', -1);
+        return n + 1;
+    }, { retries: 2 }), e => e.code === 'ECONFLICT');
+    await db.close();
+});
+
+test('concurrent add() and push() lose nothing', async () => {
+    const sdb = new SehawqDB({ path: tmpFile(), autoSave: false, snapshotWorker: false, audit: false });
+    await sdb.start();
+    opened.push(sdb.db);
+
+    await Promise.all(Array.from({ length: 50 }, () => sdb.add('hits', 1)));
+    await Promise.all(Array.from({ length: 20 }, (_, i) => sdb.push('list', i)));
+    await sdb.subtract('hits', 8);
+
+    assert.strictEqual(sdb.get('hits'), 42);
+    assert.deepStrictEqual([...sdb.get('list')].sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i));
+    assert.strictEqual(SehawqDB.ConflictError, Database.ConflictError);
+    await sdb.stop();
+});
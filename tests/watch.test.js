@@ -0,0 +1,175 @@
+// Watchers suite 👀
+// watch() takes an exact key, a glob or { prefix }, calls back with
+// (newValue, oldValue, key, op), and only looks at the pattern groups
+// whose literal prefix a key starts with.
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const Database = require('../src/core/Database');
+
+const dirs = []; // gone after the suite
+
+function tmpFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sehawq-watch-'));
+    dirs.push(dir);
+    return path.join(dir, 'db.json');
+}
+
+const opened = []; // closed after the suite if a failed test left them open
+
+after(async () => {
+    for (const db of opened) if (db.ready) await db.close();
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function open(file) {
+    const db = new Database({ path: file, autoSave: false, snapshotWorker: false });
+    await db.init();
+    opened.push(db);
+    return db;
+}
+
+// what each watcher saw, as "key op"
+function recorder(db) {
+    const seen = {};
+    return {
+        seen,
+        watch(target, name = String(target)) {
+            seen[name] = [];
+            const cb = (val, old, key, op) => seen[name].push(`${key} ${op}`);
+            db.watch(target, cb);
+            return cb;
+        }
+    };
+}
+
+test('exact keys, globs and prefixes each get what matches', async () => {
+    const db = await open(tmpFile());
+    const r = recorder(db);
+    r.watch('session:1');
+    r.watch('session:*');
+    r.watch('user:?');
+    r.watch('*:admin');
+    r.watch({ prefix: 'user:' }, 'prefix user:');
+
+    await db.set('session:1', 'a');
+    await db.set('session:22', 'b');
+    await db.set('user:7', 'c');
+    await db.set('user:77', 'd');
+    await db.set('user:admin', 'e');
+    await db.set('sessions', 'f');
+
+    assert.deepStrictEqual(r.seen, {
+        'session:1': ['session:1 set'],
+        'session:*': ['session:1 set', 'session:22 set'],
+        'user:?': ['user:7 set'],
+        '*:admin': ['user:admin set'],
+        'prefix user:': ['user:7 set', 'user:77 set', 'user:admin set']
+    });
+    await db.close();
+});
+
+test('hands over new value, old value, key and op for every kind of change', async () => {
+    const db = await open(tmpFile());
+    const calls = [];
+    db.watch('k:*', (...args) => calls.push(args));
+
+    await db.set('k:1', 1);
+    await db.set('k:1', 2);
+    await db.delete('k:1');
+    await db.batch([{ op: 'put', k: 'k:2', v: 'b' }]);
+    await db.transaction((tx) => { tx.delete('k:2'); });
+    await db.set('k:3', 3, { ttl: 0.01 });
+    await new Promise(r => setTimeout(r, 20));
+    db.get('k:3');
+
+    assert.deepStrictEqual(calls, [
+        [1, undefined, 'k:1', 'set'],
+        [2, 1, 'k:1', 'set'],
+        [undefined, 2, 'k:1', 'delete'],
+        ['b', undefined, 'k:2', 'set'],
+        [undefined, 'b', 'k:2', 'delete'],
+        [3, undefined, 'k:3', 'set'],
+        [undefined, 3, 'k:3', 'expire']
+    ]);
+    await db.close();
+});
+
+test('glob characters are the only special ones', async () => {
+    const db = await open(tmpFile());
+    const r = recorder(db);
+    r.watch('a.b*');
+    r.watch('(x)+?');
+    r.watch('line*end');
+
+    await db.set('axb1', 1);
+    await db.set('a.b1', 1);
+    await db.set('(x)+!', 1);
+    await db.set('xx!', 1);
+    await db.set('line\nend', 1);
+
+    assert.deepStrictEqual(r.seen, {
+        'a.b*': ['a.b1 set'],
+        '(x)+?': ['(x)+! set'],
+        'line*end': ['line\nend set']
+    });
+    await db.close();
+});
+
+test('unwatch drops one callback or all of them, and cleans up', async () => {
+    const db = await open(tmpFile());
+    const r = recorder(db);
+    const one = r.watch('p:*', 'one');
+    r.watch('p:*', 'two');
+    r.watch('exact', 'exact');
+
+    db.unwatch('p:*', one);
+    await db.set('p:1', 1);
+    db.unwatch('p:*');
+    db.unwatch('exact');
+    await db.set('p:2', 1);
+    await db.set('exact', 1);
+
+    assert.deepStrictEqual(r.seen, { one: [], two: ['p:1 set'], exact: [] });
+    assert.strictEqual(db._patternWatchers.size, 0);
+    assert.strictEqual(db._prefixLens.size, 0);
+    assert.strictEqual(db._watchers.size, 0);
+    db.unwatch('never:*'); // nothing to do, no throw
+    await db.close();
+});
+
+test('a throwing callback stays out of the way', async () => {
+    const db = await open(tmpFile());
+    const r = recorder(db);
+    db.watch('a*', () => { throw new Error('boom'); });
+    r.watch('a?');
+
+    await db.set('ab', 1);
+    assert.deepStrictEqual(r.seen['a?'], ['ab set']);
+    assert.strictEqual(db.get('ab'), 1);
+    await db.close();
+});
+
+test('thousands of watchers, a write only runs the patterns that could match', async () => {
+    const db = await open(tmpFile());
+    let tested = 0;
+    const counting = re => ({ test: (k) => { tested++; return re.test(k); } });
+
+    for (let i = 0; i < 5000; i++) db.watch(`tenant${i}:*:log`, () => { });
+    for (const group of db._patternWatchers.values()) {
+        for (const entry of group.values()) entry.re = counting(entry.re);
+    }
+    let hits = 0;
+    db.watch('tenant42:*:log', () => hits++);
+
+    await db.set('tenant42:a:log', 1);
+    await db.set('tenant42:a:other', 1);
+    await db.set('unrelated', 1);
+    assert.strictEqual(hits, 1);
+    assert.strictEqual(tested, 2); // tenant42's group, twice
+    await db.close();
+});